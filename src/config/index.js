@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+/**
+ * Application Configuration
+ *
+ * This file is the single place where environment variables are read.
+ * Values come from the process environment first, then from the optional
+ * files below (earlier files win), and are validated against the schema
+ * at startup so a misconfigured deployment fails with a clear message
+ * instead of misbehaving later.
+ *
+ *   .env.<NODE_ENV>.local
+ *   .env.local            (not loaded when NODE_ENV is test)
+ *   .env.<NODE_ENV>
+ *   .env
+ */
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const PLACEHOLDER_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+
+// Template values such as <generate with: openssl rand -hex 64>
+const PLACEHOLDER_PATTERN = /^<.*>$/;
+
+/**
+ * Read a dotenv file without applying it
+ * @param {string} filename - File name in the project root
+ * @returns {object} Parsed values, empty if the file does not exist
+ */
+const readEnvFile = (filename) => {
+  const filePath = path.join(ROOT_DIR, filename);
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+};
+
+/**
+ * Load the per-environment files into process.env without overriding
+ * variables that are already set
+ * @returns {string} Environment name used to pick the files
+ */
+const loadEnvFiles = () => {
+  const nodeEnv = process.env.NODE_ENV || readEnvFile('.env').NODE_ENV || 'development';
+  const files = [`.env.${nodeEnv}.local`, '.env.local', `.env.${nodeEnv}`, '.env']
+    .filter((file) => !(nodeEnv === 'test' && file === '.env.local'));
+
+  files.forEach((file) => {
+    const values = readEnvFile(file);
+
+    Object.keys(values).forEach((key) => {
+      if (process.env[key] === undefined) {
+        process.env[key] = values[key];
+      }
+    });
+  });
+
+  return nodeEnv;
+};
+
+/**
+ * Configuration schema. Each entry describes one environment variable:
+ * its type, default, and the environments where it must be set explicitly.
+ */
+const schema = {
+  NODE_ENV: { type: 'enum', values: ['development', 'test', 'production'], default: 'development' },
+  PORT: { type: 'integer', min: 1, max: 65535, default: 8000 },
+  VERCEL: { type: 'boolean', default: false },
+
+  MONGODB_URI: {
+    type: 'string',
+    pattern: /^mongodb(\+srv)?:\/\//,
+    patternMessage: 'must start with mongodb:// or mongodb+srv://',
+    default: 'mongodb://localhost:27017/rfp_management',
+    requiredIn: ['production']
+  },
+
+  JWT_SECRET: { type: 'string', default: 'development-only-jwt-secret' },
+  JWT_KEYS: { type: 'json' },
+  JWT_KEYS_FILE: { type: 'string' },
+  JWT_SIGNING_KEY_ID: { type: 'string' },
+  JWT_EXPIRES_IN: { type: 'duration', default: '15m' },
+  REFRESH_TOKEN_TTL_DAYS: { type: 'integer', min: 1, default: 7 },
+
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: { type: 'integer', min: 1, default: 60 },
+  EMAIL_VERIFICATION_TOKEN_TTL_HOURS: { type: 'integer', min: 1, default: 48 },
+  ORGANIZATION_INVITATION_TTL_DAYS: { type: 'integer', min: 1, default: 7 },
+
+  LOGIN_BACKOFF_THRESHOLD: { type: 'integer', min: 1, default: 3 },
+  LOGIN_BACKOFF_BASE_SECONDS: { type: 'integer', min: 1, default: 1 },
+  LOGIN_BACKOFF_MAX_SECONDS: { type: 'integer', min: 1, default: 300 },
+  LOGIN_LOCKOUT_THRESHOLD: { type: 'integer', min: 1, default: 10 },
+  LOGIN_LOCKOUT_MINUTES: { type: 'integer', min: 1, default: 30 },
+  LOGIN_FAILURE_WINDOW_MINUTES: { type: 'integer', min: 1, default: 60 },
+
+  TOTP_ISSUER: { type: 'string', default: 'RFP Management' },
+  REQUIRE_2FA_FOR_BUYERS: { type: 'boolean', default: false },
+
+  OIDC_ISSUER: { type: 'url' },
+  OIDC_CLIENT_ID: { type: 'string' },
+  OIDC_CLIENT_SECRET: { type: 'string' },
+  OIDC_REDIRECT_URI: { type: 'url' },
+  OIDC_SCOPES: { type: 'string', default: 'openid email profile' },
+  OIDC_ROLE_CLAIM: { type: 'string', default: 'roles' },
+  OIDC_ROLE_MAPPING: { type: 'list', default: [] },
+  OIDC_DEFAULT_ROLE: { type: 'enum', values: ['buyer', 'supplier'] },
+  OIDC_LINK_BY_EMAIL: { type: 'boolean', default: false },
+  OIDC_POST_LOGIN_PATH: { type: 'string', pattern: /^\//, patternMessage: 'must start with /' },
+
+  MAIL_TRANSPORT: { type: 'string', default: 'console' },
+  MAIL_FROM: { type: 'string', default: 'RFP Management <no-reply@localhost>' },
+  MAIL_FILE_DIR: { type: 'path', default: 'logs/mail' },
+
+  EVALUATION_PANEL_MIN_SIZE: { type: 'integer', min: 1, default: 3 },
+  CLARIFICATION_CUTOFF_HOURS: { type: 'integer', min: 0, default: 48 },
+
+  RFP_SCHEDULER_ENABLED: { type: 'boolean', default: true },
+  RFP_SCHEDULER_INTERVAL_SECONDS: { type: 'integer', min: 5, default: 60 },
+  CRON_SECRET: { type: 'string' },
+  DEADLINE_REOPEN_GRACE_HOURS: { type: 'integer', min: 0, default: 72 },
+
+  MAX_FILE_SIZE: { type: 'integer', min: 1, default: 10 * 1024 * 1024 },
+  UPLOAD_PATH: { type: 'path', default: 'uploads' },
+
+  FRONTEND_URL: { type: 'url', default: 'http://localhost:3000' },
+  CORS_ORIGINS: {
+    type: 'list',
+    default: [
+      'https://rfp-fe-nextjs.vercel.app',
+      'http://localhost:3000',
+      'http://localhost:3001',
+      'https://localhost:3000',
+      'https://localhost:3001'
+    ]
+  },
+
+  RATE_LIMIT_WINDOW: { type: 'integer', min: 1, default: 15 },
+  RATE_LIMIT_MAX_REQUESTS: { type: 'integer', min: 1, default: 100 }
+};
+
+/**
+ * Convert one raw value according to its schema entry
+ * @returns {object} { value } or { error }
+ */
+const parseValue = (raw, rule) => {
+  switch (rule.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) return { error: 'must be an integer' };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value };
+    }
+    case 'boolean':
+      if (['true', '1'].includes(raw.toLowerCase())) return { value: true };
+      if (['false', '0'].includes(raw.toLowerCase())) return { value: false };
+      return { error: 'must be true or false' };
+    case 'enum':
+      return rule.values.includes(raw) ? { value: raw } : { error: `must be one of: ${rule.values.join(', ')}` };
+    case 'url':
+      try {
+        new URL(raw);
+        return { value: raw.replace(/\/+$/, '') };
+      } catch (error) {
+        return { error: 'must be an absolute URL' };
+      }
+    case 'list':
+      return { value: raw.split(',').map((item) => item.trim()).filter(Boolean) };
+    case 'json':
+      try {
+        return { value: JSON.parse(raw) };
+      } catch (error) {
+        return { error: `must be valid JSON (${error.message})` };
+      }
+    case 'path':
+      return { value: path.resolve(ROOT_DIR, raw) };
+    case 'duration':
+      // jsonwebtoken reads a string without a unit as milliseconds, so plain numbers become seconds
+      if (/^\d+$/.test(raw)) return { value: Number(raw) };
+      if (/^\d+[smhd]$/.test(raw)) return { value: raw };
+      return { error: 'must be a number of seconds or a duration such as 15m or 1h' };
+    default:
+      if (rule.pattern && !rule.pattern.test(raw)) return { error: rule.patternMessage };
+      return { value: raw };
+  }
+};
+
+/**
+ * Validate the environment against the schema
+ * @param {object} env - Environment variables
+ * @param {string} nodeEnv - Environment name
+ * @returns {object} Parsed values by variable name
+ */
+const validateEnv = (env, nodeEnv) => {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const raw = env[key];
+
+    if (raw === undefined || raw === '') {
+      if (rule.requiredIn && rule.requiredIn.includes(nodeEnv)) {
+        errors.push(`${key} is required when NODE_ENV is ${nodeEnv}`);
+      } else if (rule.default !== undefined) {
+        values[key] = rule.type === 'path' ? path.resolve(ROOT_DIR, rule.default) : rule.default;
+      }
+      return;
+    }
+
+    const { value, error } = parseValue(String(raw).trim(), rule);
+
+    if (error) {
+      errors.push(`${key} ${error}`);
+    } else {
+      values[key] = value;
+    }
+  });
+
+  // Rules spanning several variables
+  if (nodeEnv === 'production' && !values.JWT_KEYS && !values.JWT_KEYS_FILE &&
+      (!env.JWT_SECRET || env.JWT_SECRET === PLACEHOLDER_JWT_SECRET || PLACEHOLDER_PATTERN.test(env.JWT_SECRET.trim()))) {
+    errors.push('JWT_SECRET (or JWT_KEYS / JWT_KEYS_FILE) must be set to a real secret when NODE_ENV is production');
+  }
+
+  if (values.OIDC_ISSUER && !values.OIDC_CLIENT_ID) {
+    errors.push('OIDC_CLIENT_ID is required when OIDC_ISSUER is set');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return values;
+};
+
+const nodeEnv = loadEnvFiles();
+const env = validateEnv(process.env, nodeEnv);
+
+const config = {
+  rootDir: ROOT_DIR,
+  env: env.NODE_ENV,
+  isDevelopment: env.NODE_ENV === 'development',
+  isProduction: env.NODE_ENV === 'production',
+  port: env.PORT,
+  vercel: env.VERCEL,
+
+  database: {
+    uri: env.MONGODB_URI
+  },
+
+  jwt: {
+    secret: env.JWT_SECRET,
+    keys: env.JWT_KEYS,
+    keysFile: env.JWT_KEYS_FILE && path.resolve(ROOT_DIR, env.JWT_KEYS_FILE),
+    signingKeyId: env.JWT_SIGNING_KEY_ID,
+    expiresIn: env.JWT_EXPIRES_IN,
+    refreshTokenTtlDays: env.REFRESH_TOKEN_TTL_DAYS
+  },
+
+  accountTokens: {
+    passwordResetTtlMinutes: env.PASSWORD_RESET_TOKEN_TTL_MINUTES,
+    emailVerificationTtlHours: env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS,
+    organizationInvitationTtlDays: env.ORGANIZATION_INVITATION_TTL_DAYS
+  },
+
+  loginThrottle: {
+    backoffThreshold: env.LOGIN_BACKOFF_THRESHOLD,
+    backoffBaseSeconds: env.LOGIN_BACKOFF_BASE_SECONDS,
+    backoffMaxSeconds: env.LOGIN_BACKOFF_MAX_SECONDS,
+    lockoutThreshold: env.LOGIN_LOCKOUT_THRESHOLD,
+    lockoutMinutes: env.LOGIN_LOCKOUT_MINUTES,
+    failureWindowMinutes: env.LOGIN_FAILURE_WINDOW_MINUTES
+  },
+
+  twoFactor: {
+    issuer: env.TOTP_ISSUER,
+    requireForBuyers: env.REQUIRE_2FA_FOR_BUYERS
+  },
+
+  oidc: {
+    issuer: env.OIDC_ISSUER || '',
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri: env.OIDC_REDIRECT_URI || `http://localhost:${env.PORT}/api/auth/oidc/callback`,
+    scopes: env.OIDC_SCOPES,
+    roleClaim: env.OIDC_ROLE_CLAIM,
+    roleMapping: env.OIDC_ROLE_MAPPING,
+    defaultRole: env.OIDC_DEFAULT_ROLE,
+    linkByEmail: env.OIDC_LINK_BY_EMAIL,
+    postLoginPath: env.OIDC_POST_LOGIN_PATH
+  },
+
+  mail: {
+    transport: env.MAIL_TRANSPORT,
+    from: env.MAIL_FROM,
+    fileDir: env.MAIL_FILE_DIR
+  },
+
+  evaluation: {
+    minPanelSize: env.EVALUATION_PANEL_MIN_SIZE
+  },
+
+  clarifications: {
+    defaultCutoffHours: env.CLARIFICATION_CUTOFF_HOURS
+  },
+
+  scheduler: {
+    enabled: env.RFP_SCHEDULER_ENABLED,
+    intervalSeconds: env.RFP_SCHEDULER_INTERVAL_SECONDS,
+    cronSecret: env.CRON_SECRET
+  },
+
+  deadlineExtension: {
+    reopenGraceHours: env.DEADLINE_REOPEN_GRACE_HOURS
+  },
+
+  upload: {
+    maxFileSize: env.MAX_FILE_SIZE,
+    path: env.UPLOAD_PATH
+  },
+
+  frontendUrl: env.FRONTEND_URL,
+
+  cors: {
+    allowedOrigins: env.CORS_ORIGINS
+  },
+
+  rateLimit: {
+    windowMinutes: env.RATE_LIMIT_WINDOW,
+    maxRequests: env.RATE_LIMIT_MAX_REQUESTS
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,183 @@
+const RFP = require('../models/RFP');
+const Response = require('../models/Response');
+const Addendum = require('../models/Addendum');
+const RFPInvitation = require('../models/RFPInvitation');
+const { hasRFPAccess, hasResponseAccess } = require('../utils/permissions');
+
+/**
+ * Addendum Controller
+ *
+ * This controller handles reading the addenda of an RFP and suppliers
+ * acknowledging them. Addenda are created by updating a published RFP.
+ */
+
+/**
+ * Find the RFP targeted by :id, sending a 404 if it does not exist or the
+ * user cannot see it (drafts are only visible to the buyer side, later
+ * stages and invite-only RFPs also to the suppliers invited to them)
+ */
+const findVisibleRFP = async (req, res) => {
+  const rfp = await RFP.findById(req.params.id).select('+shortlist');
+  const isBuyerSide = rfp != null && req.user != null && hasRFPAccess(req.user, rfp, 'view');
+
+  if (!rfp || (!isBuyerSide && (rfp.status === 'draft' || !(await RFPInvitation.isInvited(req.user, rfp))))) {
+    res.status(404).json({
+      error: 'RFP not found',
+      message: 'The requested RFP does not exist'
+    });
+    return null;
+  }
+
+  return rfp;
+};
+
+/**
+ * Find the response targeted by :id, sending a 404 if it does not exist
+ * or a 403 if the user cannot manage it
+ */
+const findManagedResponse = async (req, res) => {
+  const response = await Response.findById(req.params.id);
+
+  if (!response) {
+    res.status(404).json({
+      error: 'Response not found',
+      message: 'The requested response does not exist'
+    });
+    return null;
+  }
+
+  if (!hasResponseAccess(req.user, response, 'manage')) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only acknowledge addenda for responses you own or manage in your organization'
+    });
+    return null;
+  }
+
+  return response;
+};
+
+/**
+ * Get all addenda of an RFP
+ * GET /api/rfps/:id/addenda
+ */
+const getAddenda = async (req, res, next) => {
+  try {
+    const rfp = await findVisibleRFP(req, res);
+    if (!rfp) return;
+
+    const addenda = await Addendum.find({ rfp_id: rfp._id }).sort({ number: 1 });
+
+    res.json({
+      message: 'Addenda retrieved successfully',
+      data: addenda
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single addendum of an RFP
+ * GET /api/rfps/:id/addenda/:addendumId
+ */
+const getAddendumById = async (req, res, next) => {
+  try {
+    const rfp = await findVisibleRFP(req, res);
+    if (!rfp) return;
+
+    const addendum = await Addendum.findOne({ _id: req.params.addendumId, rfp_id: rfp._id });
+
+    if (!addendum) {
+      return res.status(404).json({
+        error: 'Addendum not found',
+        message: 'The requested addendum does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Addendum retrieved successfully',
+      data: addendum
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the addenda a response has acknowledged and still has to acknowledge
+ * GET /api/responses/:id/addenda
+ */
+const getResponseAddenda = async (req, res, next) => {
+  try {
+    const response = await findManagedResponse(req, res);
+    if (!response) return;
+
+    const pending = await Addendum.findPendingFor(response);
+
+    res.json({
+      message: 'Response addenda retrieved successfully',
+      data: {
+        acknowledged: response.acknowledged_addenda,
+        pending
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Acknowledge an addendum for a response
+ * POST /api/responses/:id/addenda/:addendumId/acknowledge
+ */
+const acknowledgeAddendum = async (req, res, next) => {
+  try {
+    const response = await findManagedResponse(req, res);
+    if (!response) return;
+
+    const addendum = await Addendum.findOne({ _id: req.params.addendumId, rfp_id: response.rfp_id });
+
+    if (!addendum) {
+      return res.status(404).json({
+        error: 'Addendum not found',
+        message: 'The requested addendum does not exist for this RFP'
+      });
+    }
+
+    const alreadyAcknowledged = response.acknowledged_addenda.some((entry) => entry.addendum_id.equals(addendum._id));
+
+    if (!alreadyAcknowledged) {
+      response.acknowledged_addenda.push({
+        addendum_id: addendum._id,
+        acknowledged_by: req.user._id
+      });
+      await response.save();
+    }
+
+    const pending = await Addendum.findPendingFor(response);
+
+    res.json({
+      message: alreadyAcknowledged
+        ? `Addendum ${addendum.number} was already acknowledged`
+        : `Addendum ${addendum.number} acknowledged successfully`,
+      data: {
+        acknowledged: response.acknowledged_addenda,
+        pending
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAddenda,
+  getAddendumById,
+  getResponseAddenda,
+  acknowledgeAddendum
+};
@@ -0,0 +1,567 @@
+const User = require('../models/User');
+const RFP = require('../models/RFP');
+const Response = require('../models/Response');
+const Document = require('../models/Document');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuthEvent = require('../models/AuthEvent');
+const { sendPasswordResetEmail } = require('../utils/accountEmails');
+const { escapeRegExp } = require('../utils/helpers');
+const { recordAuthEvent } = require('../utils/authEvents');
+
+/**
+ * Admin Controller
+ *
+ * This controller handles user administration operations including
+ * searching users, activating/deactivating accounts, changing roles and
+ * inspecting the RFPs, responses and documents that belong to a user.
+ */
+
+/**
+ * Find the user targeted by :id, sending a 404 if it does not exist
+ */
+const findTargetUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      error: 'User not found',
+      message: 'The requested user does not exist'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Build the auth event filter shared by the query and export endpoints
+ */
+const buildAuthEventFilter = (query) => {
+  const filter = {};
+
+  ['user_id', 'actor_id', 'username', 'type', 'outcome', 'ip_address'].forEach((field) => {
+    if (query[field]) {
+      filter[field] = query[field];
+    }
+  });
+
+  if (query.from || query.to) {
+    filter.created_at = {};
+    if (query.from) filter.created_at.$gte = new Date(query.from);
+    if (query.to) filter.created_at.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+/**
+ * Quote a value for a CSV cell. Values that a spreadsheet would run as a
+ * formula are prefixed with a quote, since usernames and user agents are
+ * supplied by clients.
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const AUTH_EVENT_CSV_COLUMNS = [
+  'created_at', 'type', 'outcome', 'reason', 'username', 'user_id',
+  'actor_id', 'ip_address', 'user_agent', 'metadata'
+];
+
+/**
+ * Get all users with pagination, search and filtering
+ * GET /api/admin/users
+ */
+const getAllUsers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+
+    // Filter by role
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    // Filter by active state
+    if (req.query.is_active !== undefined) {
+      filter.is_active = req.query.is_active === 'true';
+    }
+
+    // Filter by search term (username, email, name or company)
+    if (req.query.search) {
+      const search = new RegExp(escapeRegExp(req.query.search), 'i');
+      filter.$or = [
+        { username: search },
+        { email: search },
+        { full_name: search },
+        { company_name: search }
+      ];
+    }
+
+    const users = await User.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      message: 'Users retrieved successfully',
+      data: users,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single user by ID with activity counts
+ * GET /api/admin/users/:id
+ */
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [rfpCount, responseCount, documentCount, activeSessionCount, throttle] = await Promise.all([
+      RFP.countDocuments({ created_by: user._id }),
+      Response.countDocuments({ submitted_by: user._id }),
+      Document.countDocuments({ uploaded_by: user._id }),
+      Session.countDocuments({ user_id: user._id, revoked_at: null, expires_at: { $gt: new Date() } }),
+      LoginThrottle.findOne({ username: user.username })
+    ]);
+
+    res.json({
+      message: 'User retrieved successfully',
+      data: {
+        ...user.toJSON(),
+        stats: {
+          rfp_count: rfpCount,
+          response_count: responseCount,
+          document_count: documentCount,
+          active_session_count: activeSessionCount
+        },
+        is_locked: throttle ? throttle.is_locked : false,
+        locked_until: throttle && throttle.is_locked ? throttle.locked_until : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activate or deactivate a user
+ * PUT /api/admin/users/:id/status
+ */
+const updateUserStatus = async (req, res, next) => {
+  try {
+    const { is_active } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Cannot update user',
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.is_active = is_active;
+    await user.save();
+
+    // Deactivated users are signed out everywhere
+    if (!is_active) {
+      await Session.revokeAllForUser(user._id, 'admin');
+    }
+
+    await recordAuthEvent(req, 'admin_user_status', 'success', {
+      user,
+      actor: req.user,
+      reason: is_active ? 'activated' : 'deactivated'
+    });
+
+    res.json({
+      message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * PUT /api/admin/users/:id/role
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Cannot update user',
+        message: 'You cannot change the role of your own account'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await recordAuthEvent(req, 'admin_user_role', 'success', {
+      user,
+      actor: req.user,
+      metadata: { from: previousRole, to: role }
+    });
+
+    res.json({
+      message: `User role changed to ${role} successfully`,
+      data: user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Force a password reset on next login
+ * POST /api/admin/users/:id/force-password-reset
+ */
+const forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const resetToken = user.createPasswordResetToken();
+    user.password_reset_required = true;
+    await user.save({ validateBeforeSave: false });
+
+    // Sign the user out everywhere until they pick a new password
+    await Session.revokeAllForUser(user._id, 'admin');
+
+    await sendPasswordResetEmail(user, resetToken, { forced: true });
+
+    await recordAuthEvent(req, 'admin_force_password_reset', 'success', { user, actor: req.user });
+
+    res.json({
+      message: 'Password reset required. A reset link has been sent to the user.',
+      data: user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get RFPs created by a user
+ * GET /api/admin/users/:id/rfps
+ */
+const getUserRFPs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const filter = { created_by: user._id };
+
+    const rfps = await RFP.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RFP.countDocuments(filter);
+
+    res.json({
+      message: 'User RFPs retrieved successfully',
+      data: rfps,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get responses submitted by a user
+ * GET /api/admin/users/:id/responses
+ */
+const getUserResponses = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const filter = { submitted_by: user._id };
+
+    const responses = await Response.find(filter)
+      .populate('rfp_id', 'title status deadline')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Response.countDocuments(filter);
+
+    res.json({
+      message: 'User responses retrieved successfully',
+      data: responses,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get documents uploaded by a user
+ * GET /api/admin/users/:id/documents
+ */
+const getUserDocuments = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const filter = { uploaded_by: user._id };
+
+    const documents = await Document.find(filter)
+      .populate('rfp_id', 'title')
+      .populate('response_id', 'rfp_id status')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Document.countDocuments(filter);
+
+    res.json({
+      message: 'User documents retrieved successfully',
+      data: documents,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get account lock and unlock events
+ * GET /api/admin/lockouts
+ */
+const getLockoutEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const match = {};
+
+    if (req.query.username) {
+      match.username = req.query.username;
+    }
+
+    if (req.query.type) {
+      match['events.type'] = req.query.type;
+    }
+
+    const [result] = await LoginThrottle.aggregate([
+      { $unwind: '$events' },
+      { $match: match },
+      { $sort: { 'events.created_at': -1 } },
+      {
+        $facet: {
+          data: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                username: 1,
+                type: '$events.type',
+                reason: '$events.reason',
+                ip_address: '$events.ip_address',
+                user_agent: '$events.user_agent',
+                created_at: '$events.created_at'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      message: 'Lockout events retrieved successfully',
+      data: result.data,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Query the security audit log
+ * GET /api/admin/auth-events
+ */
+const getAuthEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = buildAuthEventFilter(req.query);
+
+    const events = await AuthEvent.find(filter)
+      .populate('actor_id', 'username full_name')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuthEvent.countDocuments(filter);
+
+    res.json({
+      message: 'Auth events retrieved successfully',
+      data: events,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the security audit log as CSV or JSON
+ * GET /api/admin/auth-events/export
+ */
+const exportAuthEvents = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    const filter = buildAuthEventFilter(req.query);
+    const filename = `auth-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    // Stream the matching events so large exports are never held in memory
+    const cursor = AuthEvent.find(filter).sort({ created_at: -1 }).lean().cursor();
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      res.type('application/json');
+      res.write('[');
+
+      let first = true;
+      for await (const event of cursor) {
+        const { _id, __v, ...fields } = event;
+        res.write(`${first ? '' : ','}\n${JSON.stringify({ id: _id, ...fields })}`);
+        first = false;
+      }
+
+      return res.end('\n]\n');
+    }
+
+    res.type('text/csv');
+    res.write(`${AUTH_EVENT_CSV_COLUMNS.join(',')}\n`);
+
+    for await (const event of cursor) {
+      const row = AUTH_EVENT_CSV_COLUMNS.map((column) => {
+        const value = column === 'metadata' && event.metadata ? JSON.stringify(event.metadata) : event[column];
+        return toCsvCell(value);
+      });
+      res.write(`${row.join(',')}\n`);
+    }
+
+    res.end();
+
+  } catch (error) {
+    // Headers are gone once streaming has started, so just cut the response
+    if (res.headersSent) {
+      console.error('Error exporting auth events:', error);
+      return res.end();
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllUsers,
+  getUserById,
+  updateUserStatus,
+  updateUserRole,
+  forcePasswordReset,
+  getUserRFPs,
+  getUserResponses,
+  getUserDocuments,
+  getLockoutEvents,
+  getAuthEvents,
+  exportAuthEvents
+};
@@ -0,0 +1,182 @@
+const ApiKey = require('../models/ApiKey');
+const { isSameId } = require('../utils/permissions');
+const { recordAuthEvent } = require('../utils/authEvents');
+
+/**
+ * API Key Controller
+ *
+ * This controller handles creating, listing and revoking API keys.
+ * Personal keys are managed by their creator; organization keys are
+ * managed by the organization's owners and managers.
+ */
+
+/**
+ * Check if the user manages the keys of their organization
+ */
+const canManageOrganizationKeys = (user) => {
+  return Boolean(user.organization_id) && ['owner', 'manager'].includes(user.organization_role);
+};
+
+/**
+ * Check if the user can see and revoke a key
+ */
+const canManageKey = (user, apiKey) => {
+  if (apiKey.organization_id) {
+    return canManageOrganizationKeys(user) && isSameId(apiKey.organization_id, user.organization_id);
+  }
+
+  return isSameId(apiKey.user_id, user._id);
+};
+
+/**
+ * Find the key targeted by :id, sending a 404 if the user cannot manage it
+ */
+const findManagedKey = async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id)
+    .populate('user_id', 'username full_name');
+
+  if (!apiKey || !canManageKey(req.user, apiKey)) {
+    res.status(404).json({
+      error: 'API key not found',
+      message: 'The requested API key does not exist'
+    });
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Get API keys the current user can manage
+ * GET /api/auth/api-keys
+ */
+const getApiKeys = async (req, res, next) => {
+  try {
+    const conditions = [{ user_id: req.user._id, organization_id: null }];
+
+    if (canManageOrganizationKeys(req.user)) {
+      conditions.push({ organization_id: req.user.organization_id });
+    }
+
+    const filter = { $or: conditions };
+
+    // Hide revoked keys unless asked for
+    if (req.query.include_revoked !== 'true') {
+      filter.revoked_at = null;
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('user_id', 'username full_name')
+      .sort({ created_at: -1 });
+
+    res.json({
+      message: 'API keys retrieved successfully',
+      data: apiKeys
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single API key by ID
+ * GET /api/auth/api-keys/:id
+ */
+const getApiKeyById = async (req, res, next) => {
+  try {
+    const apiKey = await findManagedKey(req, res);
+    if (!apiKey) return;
+
+    res.json({
+      message: 'API key retrieved successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new API key
+ * POST /api/auth/api-keys
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expires_at, organization } = req.body;
+
+    if (organization && !canManageOrganizationKeys(req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners and managers can create organization API keys'
+      });
+    }
+
+    const apiKey = new ApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      expires_at,
+      user_id: req.user._id,
+      organization_id: organization ? req.user.organization_id : undefined
+    });
+    const key = apiKey.createKey();
+    await apiKey.save();
+
+    await recordAuthEvent(req, 'api_key_create', 'success', {
+      user: req.user,
+      metadata: { api_key_id: apiKey._id, key_prefix: apiKey.key_prefix, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({
+      message: 'API key created successfully. Store the key somewhere safe, it will not be shown again.',
+      key,
+      data: apiKey
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/auth/api-keys/:id
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findManagedKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.revoked_at) {
+      return res.status(400).json({
+        error: 'Already revoked',
+        message: 'This API key has already been revoked'
+      });
+    }
+
+    apiKey.revoked_at = new Date();
+    apiKey.revoked_by = req.user._id;
+    await apiKey.save();
+
+    await recordAuthEvent(req, 'api_key_revoke', 'success', {
+      user: req.user,
+      metadata: { api_key_id: apiKey._id, key_prefix: apiKey.key_prefix }
+    });
+
+    res.json({
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey
+};
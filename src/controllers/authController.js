@@ -1,5 +1,12 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RFPInvitation = require('../models/RFPInvitation');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuthEvent = require('../models/AuthEvent');
+const { rejectThrottledLogin, recordFailedLogin, sendFailedLogin } = require('../utils/loginThrottle');
+const { createSession, rotateRefreshToken, generateChallengeToken } = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { recordAuthEvent } = require('../utils/authEvents');
 
 /**
  * Authentication Controller
@@ -8,20 +15,6 @@ const User = require('../models/User');
  * registration, login, and getting current user information.
  */
 
-/**
- * Generate JWT token for user
- */
-const generateToken = (userId) => {
-  const JWT_SECRET = '7979384fb634f6affd5455d439b3e7bf57edb18c248ccc09d56b739dab2fcf0aeb00d5eb237aca0c0d809f2cbe2b4945ca6c004f8c986c9133e6b6c6ecd6533f';
-  const JWT_EXPIRES_IN = '24h';
-  
-  return jwt.sign(
-    { userId },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
-};
-
 /**
  * Register a new user
  * POST /api/auth/register
@@ -60,21 +53,36 @@ const register = async (req, res, next) => {
       full_name,
       role,
       company_name,
-      phone
+      phone,
+      email_verified: false
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Invitations to invite-only RFPs sent to this address now belong to the new supplier
+    if (user.role === 'supplier') {
+      await RFPInvitation.claimForUser(user);
+    }
+
+    // A mail failure should not fail the registration, the user can resend
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    await recordAuthEvent(req, 'register', 'success', { user });
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
 
     // Remove password from response
     const userResponse = user.toJSON();
 
     res.status(201).json({
       message: 'User registered successfully',
-      access_token: token,
-      token_type: 'Bearer',
+      ...tokens,
       user: userResponse
     });
 
@@ -91,18 +99,24 @@ const login = async (req, res, next) => {
   try {
     const { username, password } = req.body;
 
+    // Per-username throttling, independent of the client IP
+    if (await rejectThrottledLogin(username, res)) {
+      await recordAuthEvent(req, 'login', 'failure', { username, reason: 'throttled' });
+      return;
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ username }).select('+password');
 
     if (!user) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Username or password is incorrect'
-      });
+      await recordAuthEvent(req, 'login', 'failure', { username, reason: 'unknown_username' });
+      const throttle = await recordFailedLogin(username, null, req);
+      return sendFailedLogin(throttle, res);
     }
 
     // Check if user is active
     if (!user.is_active) {
+      await recordAuthEvent(req, 'login', 'failure', { user, reason: 'account_deactivated' });
       return res.status(401).json({
         error: 'Account deactivated',
         message: 'Your account has been deactivated. Please contact support.'
@@ -113,22 +127,42 @@ const login = async (req, res, next) => {
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Username or password is incorrect'
+      await recordAuthEvent(req, 'login', 'failure', { user, reason: 'invalid_password' });
+      const throttle = await recordFailedLogin(username, user, req);
+      return sendFailedLogin(throttle, res);
+    }
+
+    if (user.password_reset_required) {
+      await recordAuthEvent(req, 'login', 'failure', { user, reason: 'password_reset_required' });
+      return res.status(403).json({
+        error: 'Password reset required',
+        message: 'You must reset your password before logging in. Check your email for a reset link.'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Ask for the second factor before issuing any session; the failure
+    // counter is only cleared once the second factor has been passed too
+    if (user.two_factor_enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        challenge_token: generateChallengeToken(user._id)
+      });
+    }
+
+    await LoginThrottle.clearFailures(username);
+    await recordAuthEvent(req, 'login', 'success', { user, metadata: { method: 'password' } });
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
 
     // Remove password from response
     const userResponse = user.toJSON();
 
     res.json({
       message: 'Login successful',
-      access_token: token,
-      token_type: 'Bearer',
+      ...tokens,
+      two_factor_enrollment_required: user.isTwoFactorRequired(),
       user: userResponse
     });
 
@@ -137,6 +171,54 @@ const login = async (req, res, next) => {
   }
 };
 
+/**
+ * Refresh access token
+ * POST /api/auth/refresh
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const result = await rotateRefreshToken(refresh_token);
+
+    if (result.error === 'reuse_detected') {
+      const user = await User.findById(result.session.user_id);
+      await recordAuthEvent(req, 'token_refresh', 'failure', { user, reason: 'reuse_detected' });
+
+      return res.status(401).json({
+        error: 'Session revoked',
+        message: 'Refresh token reuse detected. The session has been revoked, please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'Refresh token is invalid, expired or has been revoked'
+      });
+    }
+
+    // Make sure the account is still allowed to sign in
+    const user = await User.findById(result.session.user_id);
+
+    if (!user || !user.is_active) {
+      await result.session.revoke('admin');
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'User not found or account is deactivated'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...result.tokens
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get current user information
  * GET /api/auth/me
@@ -188,6 +270,11 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
+    await recordAuthEvent(req, 'profile_update', 'success', {
+      user,
+      metadata: { fields: Object.keys(updateFields) }
+    });
+
     res.json({
       message: 'Profile updated successfully',
       user: user.toJSON()
@@ -221,6 +308,7 @@ const changePassword = async (req, res, next) => {
     const isCurrentPasswordValid = await user.comparePassword(current_password);
 
     if (!isCurrentPasswordValid) {
+      await recordAuthEvent(req, 'password_change', 'failure', { user, reason: 'invalid_current_password' });
       return res.status(400).json({
         error: 'Invalid password',
         message: 'Current password is incorrect'
@@ -231,6 +319,11 @@ const changePassword = async (req, res, next) => {
     user.password = new_password;
     await user.save();
 
+    // Sign out every other device; the session that changed the password stays signed in
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession ? req.authSession._id : null);
+
+    await recordAuthEvent(req, 'password_change', 'success', { user });
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -241,22 +334,249 @@ const changePassword = async (req, res, next) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Only send mail to active accounts, but always answer the same way so
+    // the endpoint cannot be used to find out which emails are registered
+    if (user && user.is_active) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      // A mail failure gets the same answer too, the user can ask again
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+        await recordAuthEvent(req, 'password_reset_request', 'success', { user });
+      } catch (mailError) {
+        console.error('Error sending password reset email:', mailError);
+        await recordAuthEvent(req, 'password_reset_request', 'failure', { user, reason: 'mail_failed' });
+      }
+    }
+
+    res.json({
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset password using an emailed token
+ * POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, new_password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Update password and consume the token
+    user.password = new_password;
+    user.password_reset_token = undefined;
+    user.password_reset_expires = undefined;
+    user.password_reset_required = false;
+    await user.save();
+
+    // Sign out everywhere, the old password may have been compromised
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await recordAuthEvent(req, 'password_reset', 'success', { user });
+
+    res.json({
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify email address using an emailed token
+ * GET /api/auth/verify-email/:token
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Email verification token is invalid or has expired'
+      });
+    }
+
+    user.email_verified = true;
+    user.email_verified_at = new Date();
+    user.email_verification_token = undefined;
+    user.email_verification_expires = undefined;
+    await user.save();
+
+    await recordAuthEvent(req, 'email_verification', 'success', { user });
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ * POST /api/auth/resend-verification
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.email_verified !== false) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock an account using an emailed token
+ * GET /api/auth/unlock/:token
+ */
+const unlockAccount = async (req, res, next) => {
+  try {
+    const throttle = await LoginThrottle.findByUnlockToken(req.params.token);
+
+    if (!throttle) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Unlock token is invalid or has expired'
+      });
+    }
+
+    await throttle.reset(req, 'email_link');
+
+    const user = await User.findOne({ username: throttle.username });
+    await recordAuthEvent(req, 'account_unlock', 'success', {
+      user,
+      username: throttle.username,
+      reason: 'email_link'
+    });
+
+    res.json({
+      message: 'Account unlocked successfully. You can now log in.'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's authentication and account activity
+ * GET /api/auth/activity
+ */
+const getActivity = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { user_id: req.user._id };
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.outcome) {
+      filter.outcome = req.query.outcome;
+    }
+
+    const events = await AuthEvent.find(filter)
+      .select('-user_id -username')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuthEvent.countDocuments(filter);
+
+    res.json({
+      message: 'Activity retrieved successfully',
+      data: events,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout user by revoking the current session
  * POST /api/auth/logout
  */
-const logout = async (req, res) => {
-  // Since we're using stateless JWT tokens, logout is handled client-side
-  // by removing the token from storage
-  res.json({
-    message: 'Logout successful'
-  });
+const logout = async (req, res, next) => {
+  try {
+    // Revoking the session invalidates both the access and refresh tokens
+    await req.authSession.revoke('logout');
+
+    await recordAuthEvent(req, 'logout', 'success', { user: req.user });
+
+    res.json({
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
   register,
   login,
+  refreshToken,
   getCurrentUser,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  getActivity,
   logout
 };
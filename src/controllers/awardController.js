@@ -0,0 +1,267 @@
+const RFP = require('../models/RFP');
+const Response = require('../models/Response');
+const Award = require('../models/Award');
+const { hasRFPAccess, buildAccessFilter } = require('../utils/permissions');
+const { hasPanel } = require('../utils/scoring');
+const { sendAwardEmails } = require('../utils/rfpNotifications');
+const { emitStatusChange } = require('../utils/rfpEvents');
+
+/**
+ * Award Controller
+ *
+ * This controller handles awarding closed RFPs to one or more winning
+ * responses, and reading award records for reporting.
+ */
+
+// Response statuses that take part in the award decision
+const DECIDABLE_STATUSES = ['submitted', 'under_review', 'approved'];
+
+/**
+ * Award an RFP to one or more responses and reject the others
+ * POST /api/rfps/:id/award
+ */
+const awardRFP = async (req, res, next) => {
+  try {
+    const { awards, rejection_reason } = req.body;
+    const rfp = await RFP.findById(req.params.id).select('+evaluators');
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only award RFPs you own or manage in your organization'
+      });
+    }
+
+    if (rfp.status !== 'closed') {
+      return res.status(400).json({
+        error: 'Cannot award RFP',
+        message: 'Only closed RFPs can be awarded'
+      });
+    }
+
+    if (rfp.isSealed()) {
+      return res.status(400).json({
+        error: 'Bids sealed',
+        message: 'Open the sealed bids before awarding this RFP'
+      });
+    }
+
+    // A procurement is awarded from its final stage
+    if (rfp.next_stage_id) {
+      return res.status(400).json({
+        error: 'Cannot award RFP',
+        message: 'This RFP continues in a later stage; award the final stage instead'
+      });
+    }
+
+    const responses = await Response.find({ rfp_id: rfp._id, status: { $in: DECIDABLE_STATUSES } })
+      .select('+consensus');
+
+    // Check every winner is a submitted response to this RFP
+    const errors = [];
+    const winnerIds = new Set();
+
+    awards.forEach((entry, index) => {
+      const response = responses.find((item) => item._id.equals(entry.response_id));
+
+      if (!response) {
+        errors.push({
+          field: `awards[${index}].response_id`,
+          message: 'Response is not a submitted response to this RFP',
+          value: entry.response_id
+        });
+      } else if (winnerIds.has(response._id.toString())) {
+        errors.push({
+          field: `awards[${index}].response_id`,
+          message: 'Response is awarded more than once',
+          value: entry.response_id
+        });
+      } else if (hasPanel(rfp) && !(response.consensus && response.consensus.finalized_at)) {
+        errors.push({
+          field: `awards[${index}].response_id`,
+          message: 'Finalize the consensus scores of this response before awarding it',
+          value: entry.response_id
+        });
+      }
+
+      if (response) {
+        winnerIds.add(response._id.toString());
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid award',
+        message: 'Please check the awarded responses',
+        details: errors
+      });
+    }
+
+    const winners = awards.map((entry) => responses.find((item) => item._id.equals(entry.response_id)));
+    const rejected = responses.filter((response) => !winnerIds.has(response._id.toString()));
+
+    const award = new Award({
+      rfp_id: rfp._id,
+      rfp_created_by: rfp.created_by,
+      organization_id: rfp.organization_id,
+      winners: awards.map((entry, index) => ({
+        response_id: winners[index]._id,
+        supplier_id: winners[index].submitted_by,
+        amount: entry.amount,
+        notes: entry.notes
+      })),
+      rejected_response_ids: rejected.map((response) => response._id),
+      rejection_reason,
+      awarded_by: req.user._id
+    });
+    await award.validate();
+
+    // Approve the winners and reject everyone else in one go
+    const now = new Date();
+
+    await Response.updateMany(
+      { _id: { $in: winners.map((response) => response._id) } },
+      { $set: { status: 'approved', reviewed_at: now } }
+    );
+
+    if (rejected.length > 0) {
+      await Response.updateMany(
+        { _id: { $in: rejected.map((response) => response._id) } },
+        { $set: { status: 'rejected', reviewed_at: now, ...(rejection_reason && { reviewer_notes: rejection_reason }) } }
+      );
+    }
+
+    rfp.status = 'awarded';
+    await rfp.save();
+    await award.save();
+    emitStatusChange(rfp, 'closed', { actor: req.user });
+
+    await sendAwardEmails(rfp, award, rejected);
+
+    res.status(201).json({
+      message: `RFP awarded to ${winners.length} response(s), ${rejected.length} rejected`,
+      data: award
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the award of an RFP
+ * GET /api/rfps/:id/award
+ */
+const getRFPAward = async (req, res, next) => {
+  try {
+    const rfp = await RFP.findById(req.params.id);
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can view the RFP
+    if (!hasRFPAccess(req.user, rfp, 'view')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view awards of RFPs in your organization'
+      });
+    }
+
+    const award = await Award.findOne({ rfp_id: rfp._id })
+      .populate('winners.supplier_id', 'username full_name company_name')
+      .populate('awarded_by', 'username full_name');
+
+    if (!award) {
+      return res.status(404).json({
+        error: 'Award not found',
+        message: 'This RFP has not been awarded'
+      });
+    }
+
+    res.json({
+      message: 'Award retrieved successfully',
+      data: award
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get awards of the user's and their organization's RFPs, with totals
+ * GET /api/awards
+ */
+const getAwards = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = buildAccessFilter(req.user, 'rfp_created_by', 'view');
+
+    // Filter by award date
+    if (req.query.from || req.query.to) {
+      filter.awarded_at = {};
+      if (req.query.from) filter.awarded_at.$gte = new Date(req.query.from);
+      if (req.query.to) filter.awarded_at.$lte = new Date(req.query.to);
+    }
+
+    const awards = await Award.find(filter)
+      .populate('rfp_id', 'title category')
+      .populate('winners.supplier_id', 'username full_name company_name')
+      .sort({ awarded_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const [summary] = await Award.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          total_items: { $sum: 1 },
+          total_amount: { $sum: '$total_amount' },
+          winning_responses: { $sum: { $size: '$winners' } }
+        }
+      }
+    ]);
+
+    const total = summary ? summary.total_items : 0;
+
+    res.json({
+      message: 'Awards retrieved successfully',
+      data: awards,
+      summary: {
+        total_amount: summary ? summary.total_amount : 0,
+        winning_responses: summary ? summary.winning_responses : 0
+      },
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  awardRFP,
+  getRFPAward,
+  getAwards
+};
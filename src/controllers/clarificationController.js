@@ -0,0 +1,273 @@
+const RFP = require('../models/RFP');
+const Clarification = require('../models/Clarification');
+const RFPInvitation = require('../models/RFPInvitation');
+const { hasRFPAccess, isSameId, buildAccessFilter } = require('../utils/permissions');
+const { sendClarificationQuestionEmail, sendClarificationAnswerEmails } = require('../utils/rfpNotifications');
+
+/**
+ * Clarification Controller
+ *
+ * This controller handles the clarification Q&A board of an RFP:
+ * suppliers ask questions until the questions cutoff, the owner answers
+ * them privately or publicly, and suppliers can follow an RFP to be told
+ * about public answers.
+ */
+
+/**
+ * Find the RFP targeted by :id, sending a 404 if it does not exist
+ */
+const findRFP = async (req, res) => {
+  const rfp = await RFP.findById(req.params.id).select('+shortlist');
+
+  if (!rfp) {
+    res.status(404).json({
+      error: 'RFP not found',
+      message: 'The requested RFP does not exist'
+    });
+    return null;
+  }
+
+  return rfp;
+};
+
+/**
+ * Check if a clarification was asked by the user or their organization
+ */
+const isOwnQuestion = (user, clarification) => {
+  return isSameId(clarification.asked_by, user._id) ||
+    (user.organization_id != null && isSameId(clarification.organization_id, user.organization_id));
+};
+
+/**
+ * Get clarifications of an RFP. Buyers who can view the RFP see every
+ * question; suppliers see public answers and their own questions.
+ * GET /api/rfps/:id/questions
+ */
+const getClarifications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const rfp = await findRFP(req, res);
+    if (!rfp) return;
+
+    const isBuyerSide = hasRFPAccess(req.user, rfp, 'view');
+
+    if (!isBuyerSide && (req.user.role !== 'supplier' || rfp.status === 'draft' || !(await RFPInvitation.isInvited(req.user, rfp)))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You cannot view questions about this RFP'
+      });
+    }
+
+    const filter = { rfp_id: rfp._id };
+
+    if (!isBuyerSide) {
+      filter.$or = [
+        { visibility: 'public', answered_at: { $ne: null } },
+        ...buildAccessFilter(req.user, 'asked_by', 'view').$or
+      ];
+    }
+
+    // Filter by answered state
+    if (req.query.answered === 'true') {
+      filter.answered_at = { $ne: null };
+    } else if (req.query.answered === 'false') {
+      filter.answered_at = null;
+    }
+
+    const query = Clarification.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Only the buyer side learns who asked
+    if (isBuyerSide) {
+      query.populate('asked_by', 'username full_name company_name');
+    }
+
+    const clarifications = await query;
+
+    const total = await Clarification.countDocuments(filter);
+
+    res.json({
+      message: 'Questions retrieved successfully',
+      data: clarifications.map((clarification) => (
+        isBuyerSide || isOwnQuestion(req.user, clarification)
+          ? clarification.toJSON()
+          : clarification.toAnonymousJSON()
+      )),
+      questions_deadline: rfp.getQuestionsCutoff(),
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ask a clarification question
+ * POST /api/rfps/:id/questions
+ */
+const askClarification = async (req, res, next) => {
+  try {
+    const rfp = await findRFP(req, res);
+    if (!rfp) return;
+
+    if (rfp.status !== 'published') {
+      return res.status(400).json({
+        error: 'Cannot ask question',
+        message: 'You can only ask questions about published RFPs'
+      });
+    }
+
+    if (!(await RFPInvitation.isInvited(req.user, rfp))) {
+      return res.status(403).json({
+        error: 'Not invited',
+        message: 'This RFP is only open to invited suppliers'
+      });
+    }
+
+    if (rfp.getQuestionsCutoff() < new Date()) {
+      return res.status(400).json({
+        error: 'Questions closed',
+        message: 'The deadline for questions about this RFP has passed'
+      });
+    }
+
+    const clarification = new Clarification({
+      rfp_id: rfp._id,
+      asked_by: req.user._id,
+      organization_id: req.user.organization_id,
+      question: req.body.question
+    });
+    await clarification.save();
+
+    // Askers follow the RFP so they hear about public answers
+    await RFP.registerInterest(rfp._id, req.user._id);
+    await sendClarificationQuestionEmail(rfp, clarification);
+
+    res.status(201).json({
+      message: 'Question submitted successfully',
+      data: clarification
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Answer a clarification question, privately or publicly
+ * POST /api/rfps/:id/questions/:questionId/answer
+ */
+const answerClarification = async (req, res, next) => {
+  try {
+    const { answer, visibility = 'private' } = req.body;
+
+    const rfp = await findRFP(req, res);
+    if (!rfp) return;
+
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only answer questions about RFPs you own or manage in your organization'
+      });
+    }
+
+    const clarification = await Clarification.findOne({ _id: req.params.questionId, rfp_id: rfp._id });
+
+    if (!clarification) {
+      return res.status(404).json({
+        error: 'Question not found',
+        message: 'The requested question does not exist'
+      });
+    }
+
+    clarification.answer = answer;
+    clarification.visibility = visibility;
+    clarification.answered_by = req.user._id;
+    clarification.answered_at = new Date();
+    await clarification.save();
+
+    await sendClarificationAnswerEmails(rfp, clarification);
+
+    res.json({
+      message: `Question answered ${visibility === 'public' ? 'publicly' : 'privately'}`,
+      data: clarification
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Follow an RFP to be notified about clarifications
+ * POST /api/rfps/:id/interest
+ */
+const registerInterest = async (req, res, next) => {
+  try {
+    const rfp = await findRFP(req, res);
+    if (!rfp) return;
+
+    if (rfp.status !== 'published') {
+      return res.status(400).json({
+        error: 'Cannot follow RFP',
+        message: 'You can only follow published RFPs'
+      });
+    }
+
+    if (!(await RFPInvitation.isInvited(req.user, rfp))) {
+      return res.status(403).json({
+        error: 'Not invited',
+        message: 'This RFP is only open to invited suppliers'
+      });
+    }
+
+    await RFP.registerInterest(rfp._id, req.user._id);
+
+    res.json({
+      message: 'You will be notified about updates to this RFP'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop following an RFP
+ * DELETE /api/rfps/:id/interest
+ */
+const withdrawInterest = async (req, res, next) => {
+  try {
+    const rfp = await findRFP(req, res);
+    if (!rfp) return;
+
+    await RFP.updateOne({ _id: rfp._id }, { $pull: { interested_suppliers: req.user._id } });
+
+    res.json({
+      message: 'You have stopped following this RFP'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getClarifications,
+  askClarification,
+  answerClarification,
+  registerInterest,
+  withdrawInterest
+};
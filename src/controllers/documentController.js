@@ -1,10 +1,13 @@
+const config = require('../config');
 const Document = require('../models/Document');
 const RFP = require('../models/RFP');
 const Response = require('../models/Response');
+const RFPInvitation = require('../models/RFPInvitation');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const { isSameId, hasRFPAccess, hasResponseAccess, canReadResponseContent } = require('../utils/permissions');
 
 /**
  * Document Controller
@@ -16,7 +19,7 @@ const { v4: uuidv4 } = require('uuid');
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../../uploads');
+    const uploadPath = config.upload.path;
     try {
       await fs.mkdir(uploadPath, { recursive: true });
       cb(null, uploadPath);
@@ -56,10 +59,46 @@ const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB default
+    fileSize: config.upload.maxFileSize
   }
 });
 
+/**
+ * Check if a user can read the documents of an RFP: the buyer side, and
+ * everyone who can see the RFP once it is published (see getRFPById)
+ */
+const canReadRFPDocuments = async (user, rfp) => {
+  if (user && hasRFPAccess(user, rfp, 'view')) return true;
+
+  const visibleRFP = await RFP.findById(rfp._id).select('+shortlist');
+  return visibleRFP != null && visibleRFP.status !== 'draft' && RFPInvitation.isInvited(user, visibleRFP);
+};
+
+/**
+ * Check if a user can read the documents of a response: the supplier side,
+ * and the buyer side of its RFP once the RFP's bids are no longer sealed
+ */
+const canReadResponseDocuments = async (user, response) => {
+  if (hasResponseAccess(user, response, 'view')) return true;
+
+  const rfp = await RFP.findById(response.rfp_id);
+  return rfp != null && hasRFPAccess(user, rfp, 'view') && canReadResponseContent(user, rfp, response);
+};
+
+/**
+ * Check if a user (null for anonymous requests) can read a document with
+ * its RFP and response populated
+ */
+const canReadDocument = async (user, document) => {
+  if (user && isSameId(document.uploaded_by, user._id)) return true;
+
+  // Access through the RFP's organization or its visibility
+  if (document.rfp_id && await canReadRFPDocuments(user, document.rfp_id)) return true;
+
+  // Access through the response's organization or its RFP
+  return user != null && document.response_id != null && canReadResponseDocuments(user, document.response_id);
+};
+
 /**
  * Upload document
  * POST /api/documents/upload
@@ -105,11 +144,11 @@ const uploadDocument = async (req, res, next) => {
         });
       }
 
-      // Check if user owns the RFP
-      if (rfp.created_by.toString() !== req.user._id.toString()) {
+      // Check if user can manage the RFP
+      if (!hasRFPAccess(req.user, rfp, 'manage')) {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'You can only upload documents to your own RFPs'
+          message: 'You can only upload documents to RFPs you own or manage in your organization'
         });
       }
     }
@@ -124,11 +163,11 @@ const uploadDocument = async (req, res, next) => {
         });
       }
 
-      // Check if user owns the response
-      if (response.submitted_by.toString() !== req.user._id.toString()) {
+      // Check if user can manage the response
+      if (!hasResponseAccess(req.user, response, 'manage')) {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'You can only upload documents to your own responses'
+          message: 'You can only upload documents to responses you own or manage in your organization'
         });
       }
     }
@@ -208,6 +247,15 @@ const getAllDocuments = async (req, res, next) => {
 
     // Filter by Response ID
     if (req.query.response_id) {
+      const response = await Response.findById(req.query.response_id);
+
+      if (!response || !(await canReadResponseDocuments(req.user, response))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You do not have permission to view the documents of this response'
+        });
+      }
+
       filter.response_id = req.query.response_id;
     }
 
@@ -250,8 +298,8 @@ const getDocumentById = async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id)
       .populate('uploaded_by', 'username full_name company_name')
-      .populate('rfp_id', 'title created_by')
-      .populate('response_id', 'proposal submitted_by');
+      .populate('rfp_id', 'title created_by organization_id')
+      .populate('response_id', 'proposal rfp_id submitted_by organization_id');
 
     if (!document) {
       return res.status(404).json({
@@ -261,20 +309,7 @@ const getDocumentById = async (req, res, next) => {
     }
 
     // Check access permissions
-    const isOwner = document.uploaded_by._id.toString() === req.user._id.toString();
-    let hasAccess = isOwner;
-
-    // Check if user has access through RFP ownership
-    if (document.rfp_id && document.rfp_id.created_by.toString() === req.user._id.toString()) {
-      hasAccess = true;
-    }
-
-    // Check if user has access through Response ownership
-    if (document.response_id && document.response_id.submitted_by.toString() === req.user._id.toString()) {
-      hasAccess = true;
-    }
-
-    if (!hasAccess) {
+    if (!(await canReadDocument(req.user, document))) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You do not have permission to view this document'
@@ -298,8 +333,8 @@ const getDocumentById = async (req, res, next) => {
 const downloadDocument = async (req, res, next) => {
   try {
     const document = await Document.findById(req.params.id)
-      .populate('rfp_id', 'created_by')
-      .populate('response_id', 'submitted_by');
+      .populate('rfp_id', 'created_by organization_id')
+      .populate('response_id', 'rfp_id submitted_by organization_id');
 
     if (!document) {
       return res.status(404).json({
@@ -309,18 +344,7 @@ const downloadDocument = async (req, res, next) => {
     }
 
     // Check access permissions (same logic as getDocumentById)
-    const isOwner = document.uploaded_by.toString() === req.user._id.toString();
-    let hasAccess = isOwner;
-
-    if (document.rfp_id && document.rfp_id.created_by.toString() === req.user._id.toString()) {
-      hasAccess = true;
-    }
-
-    if (document.response_id && document.response_id.submitted_by.toString() === req.user._id.toString()) {
-      hasAccess = true;
-    }
-
-    if (!hasAccess) {
+    if (!(await canReadDocument(req.user, document))) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You do not have permission to download this document'
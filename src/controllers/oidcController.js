@@ -0,0 +1,390 @@
+const config = require('../config');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RFPInvitation = require('../models/RFPInvitation');
+const OidcState = require('../models/OidcState');
+const { createSession, generateChallengeToken, hashToken } = require('../utils/tokens');
+const {
+  OIDC_ISSUER,
+  isOidcEnabled,
+  generateAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromClaims
+} = require('../utils/oidc');
+const { buildAppUrl } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/accountEmails');
+const { recordAuthEvent } = require('../utils/authEvents');
+
+/**
+ * OpenID Connect Controller
+ *
+ * This controller handles single sign-on through an external identity
+ * provider: starting the login, handling the callback, provisioning new
+ * users on first login and linking existing accounts.
+ */
+
+const OIDC_LINK_BY_EMAIL = config.oidc.linkByEmail;
+const OIDC_POST_LOGIN_PATH = config.oidc.postLoginPath;
+
+/**
+ * Send a 404 when single sign-on is not configured
+ */
+const rejectIfDisabled = (res) => {
+  if (isOidcEnabled()) return false;
+
+  res.status(404).json({
+    error: 'Not configured',
+    message: 'Single sign-on is not configured'
+  });
+  return true;
+};
+
+/**
+ * Store a new authorization request and build the provider URL for it
+ */
+const startAuthorization = async (linkUserId) => {
+  const params = generateAuthorizationParams();
+
+  await new OidcState({
+    state_hash: hashToken(params.state),
+    nonce: params.nonce,
+    code_verifier: params.codeVerifier,
+    link_user_id: linkUserId,
+    expires_at: params.expiresAt
+  }).save();
+
+  return buildAuthorizationUrl(params);
+};
+
+/**
+ * Pick a free username based on the provider's claims
+ */
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || (claims.email || '').split('@')[0] || 'user';
+  let base = source.replace(/[^a-zA-Z0-9_]/g, '_').substring(0, 24);
+
+  if (base.length < 3) {
+    base = `${base}_user`;
+  }
+
+  let username = base;
+
+  while (await User.exists({ username })) {
+    username = `${base}_${Math.floor(100000 + Math.random() * 900000)}`.substring(0, 30);
+  }
+
+  return username;
+};
+
+/**
+ * Create a user for a first-time single sign-on login
+ */
+const provisionUser = async (claims, role) => {
+  const user = new User({
+    username: await generateUsername(claims),
+    email: claims.email,
+    full_name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || claims.email,
+    role,
+    email_verified: claims.email_verified === true,
+    email_verified_at: claims.email_verified === true ? new Date() : undefined,
+    oidc_issuer: OIDC_ISSUER,
+    oidc_subject: claims.sub,
+    oidc_linked_at: new Date()
+  });
+
+  const verificationToken = user.email_verified ? null : user.createEmailVerificationToken();
+  await user.save();
+
+  // Invitations to invite-only RFPs sent to this address now belong to the new supplier
+  if (role === 'supplier') {
+    await RFPInvitation.claimForUser(user);
+  }
+
+  if (!verificationToken) return user;
+
+  // A mail failure should not fail the login, the user can resend
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (mailError) {
+    console.error('Error sending verification email:', mailError);
+  }
+
+  return user;
+};
+
+/**
+ * Send the login result as JSON, or to the frontend in the URL fragment
+ * when OIDC_POST_LOGIN_PATH is set (the callback is opened by the browser)
+ */
+const sendLoginResult = (res, payload) => {
+  if (!OIDC_POST_LOGIN_PATH) {
+    return res.json(payload);
+  }
+
+  const fragment = new URLSearchParams();
+
+  Object.entries(payload).forEach(([key, value]) => {
+    if (value !== undefined && typeof value !== 'object') {
+      fragment.set(key, String(value));
+    }
+  });
+
+  return res.redirect(`${buildAppUrl(OIDC_POST_LOGIN_PATH)}#${fragment.toString()}`);
+};
+
+/**
+ * Redirect to the identity provider to log in
+ * GET /api/auth/oidc/login
+ */
+const startOidcLogin = async (req, res, next) => {
+  try {
+    if (rejectIfDisabled(res)) return;
+
+    const authorizationUrl = await startAuthorization();
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start linking the current account to the identity provider
+ * POST /api/auth/oidc/link
+ */
+const startOidcLink = async (req, res, next) => {
+  try {
+    if (rejectIfDisabled(res)) return;
+
+    if (req.user.oidc_subject) {
+      return res.status(400).json({
+        error: 'Already linked',
+        message: 'Your account is already linked to single sign-on'
+      });
+    }
+
+    const authorizationUrl = await startAuthorization(req.user._id);
+
+    res.json({
+      message: 'Open the authorization URL to link your account',
+      authorization_url: authorizationUrl
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the single sign-on link from the current account
+ * DELETE /api/auth/oidc/link
+ */
+const unlinkOidc = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.oidc_subject) {
+      return res.status(400).json({
+        error: 'Not linked',
+        message: 'Your account is not linked to single sign-on'
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        error: 'Cannot unlink',
+        message: 'Set a password with the forgot password flow before removing single sign-on'
+      });
+    }
+
+    user.oidc_issuer = undefined;
+    user.oidc_subject = undefined;
+    user.oidc_linked_at = undefined;
+    await user.save();
+
+    await recordAuthEvent(req, 'sso_unlink', 'success', { user });
+
+    res.json({
+      message: 'Single sign-on has been unlinked from your account'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handle the identity provider's redirect back
+ * GET /api/auth/oidc/callback
+ */
+const oidcCallback = async (req, res, next) => {
+  try {
+    if (rejectIfDisabled(res)) return;
+
+    const { code, state, error, error_description } = req.query;
+
+    if (error) {
+      return res.status(401).json({
+        error: 'Single sign-on failed',
+        message: error_description || error
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        error: 'Invalid callback',
+        message: 'Authorization code and state are required'
+      });
+    }
+
+    // Each state can only be used once
+    const authorization = await OidcState.findOneAndDelete({
+      state_hash: hashToken(String(state)),
+      expires_at: { $gt: new Date() }
+    }).select('+code_verifier');
+
+    if (!authorization) {
+      return res.status(400).json({
+        error: 'Invalid state',
+        message: 'Login request is invalid or has expired, please try again'
+      });
+    }
+
+    let claims;
+
+    try {
+      const tokenResponse = await exchangeCode(String(code), authorization.code_verifier);
+      claims = await verifyIdToken(tokenResponse.id_token, authorization.nonce);
+    } catch (providerError) {
+      console.error('OIDC error:', providerError);
+      await recordAuthEvent(req, 'login', 'failure', {
+        reason: 'sso_verification_failed',
+        metadata: { method: 'oidc' }
+      });
+      return res.status(401).json({
+        error: 'Single sign-on failed',
+        message: 'Could not verify the identity provider response'
+      });
+    }
+
+    const identity = { oidc_issuer: OIDC_ISSUER, oidc_subject: claims.sub };
+    let user = await User.findOne(identity);
+
+    // Linking an existing account started from POST /link
+    if (authorization.link_user_id) {
+      if (user && !user._id.equals(authorization.link_user_id)) {
+        return res.status(409).json({
+          error: 'Identity in use',
+          message: 'This single sign-on identity is already linked to another account'
+        });
+      }
+
+      const linkedUser = await User.findByIdAndUpdate(
+        authorization.link_user_id,
+        { ...identity, oidc_linked_at: new Date() },
+        { new: true }
+      );
+
+      await recordAuthEvent(req, 'sso_link', 'success', { user: linkedUser });
+
+      return sendLoginResult(res, {
+        message: 'Single sign-on linked successfully',
+        linked: true,
+        user: linkedUser
+      });
+    }
+
+    if (!user && claims.email) {
+      const existingUser = await User.findOne({ email: String(claims.email).toLowerCase() });
+
+      if (existingUser) {
+        // Only link when both the provider and this account have verified the email
+        if (!OIDC_LINK_BY_EMAIL || claims.email_verified !== true || existingUser.email_verified !== true ||
+            existingUser.oidc_subject) {
+          return res.status(409).json({
+            error: 'Account exists',
+            message: 'An account with this email already exists. Log in and link single sign-on from your account.'
+          });
+        }
+
+        existingUser.oidc_issuer = identity.oidc_issuer;
+        existingUser.oidc_subject = identity.oidc_subject;
+        existingUser.oidc_linked_at = new Date();
+        await existingUser.save();
+        user = existingUser;
+
+        // Sessions opened before the link may belong to someone else who knew the password
+        await Session.revokeAllForUser(user._id, 'sso_linked');
+
+        await recordAuthEvent(req, 'sso_link', 'success', { user, reason: 'verified_email' });
+      }
+    }
+
+    // Just-in-time provisioning on first login
+    if (!user) {
+      if (!claims.email) {
+        return res.status(400).json({
+          error: 'Missing email',
+          message: 'The identity provider did not share an email address'
+        });
+      }
+
+      const role = mapRoleFromClaims(claims);
+
+      if (!role) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Your identity provider account is not assigned a role in this application'
+        });
+      }
+
+      user = await provisionUser(claims, role);
+      await recordAuthEvent(req, 'register', 'success', { user, metadata: { method: 'oidc' } });
+    }
+
+    if (!user.is_active) {
+      await recordAuthEvent(req, 'login', 'failure', {
+        user,
+        reason: 'account_deactivated',
+        metadata: { method: 'oidc' }
+      });
+      return res.status(401).json({
+        error: 'Account deactivated',
+        message: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+
+    if (user.two_factor_enabled) {
+      return sendLoginResult(res, {
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        challenge_token: generateChallengeToken(user._id)
+      });
+    }
+
+    await recordAuthEvent(req, 'login', 'success', { user, metadata: { method: 'oidc' } });
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
+
+    sendLoginResult(res, {
+      message: 'Login successful',
+      ...tokens,
+      two_factor_enrollment_required: user.isTwoFactorRequired(),
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startOidcLogin,
+  startOidcLink,
+  unlinkOidc,
+  oidcCallback
+};
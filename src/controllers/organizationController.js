@@ -0,0 +1,455 @@
+const Organization = require('../models/Organization');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+const User = require('../models/User');
+const { sendOrganizationInvitationEmail } = require('../utils/accountEmails');
+
+/**
+ * Organization Controller
+ *
+ * This controller handles organizations, their members and invitations.
+ * All `/current` operations act on the organization of the logged in user.
+ */
+
+/**
+ * Count the owners of an organization
+ */
+const countOwners = (organizationId) => {
+  return User.countDocuments({ organization_id: organizationId, organization_role: 'owner' });
+};
+
+/**
+ * Find a member of the current user's organization, sending a 404 if missing
+ */
+const findMember = async (req, res) => {
+  const member = await User.findOne({
+    _id: req.params.userId,
+    organization_id: req.user.organization_id
+  });
+
+  if (!member) {
+    res.status(404).json({
+      error: 'Member not found',
+      message: 'The requested user is not a member of your organization'
+    });
+    return null;
+  }
+
+  return member;
+};
+
+/**
+ * Create an organization with the current user as owner
+ * POST /api/organizations
+ */
+const createOrganization = async (req, res, next) => {
+  try {
+    if (req.user.organization_id) {
+      return res.status(400).json({
+        error: 'Already a member',
+        message: 'You already belong to an organization'
+      });
+    }
+
+    const organization = new Organization({
+      name: req.body.name,
+      description: req.body.description,
+      created_by: req.user._id,
+      side: req.user.role
+    });
+    await organization.save();
+
+    req.user.organization_id = organization._id;
+    req.user.organization_role = 'owner';
+    await req.user.save();
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's organization
+ * GET /api/organizations/current
+ */
+const getCurrentOrganization = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organization_id);
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        message: 'Your organization no longer exists'
+      });
+    }
+
+    const memberCount = await User.countDocuments({ organization_id: organization._id });
+
+    res.json({
+      message: 'Organization retrieved successfully',
+      data: {
+        ...organization.toJSON(),
+        member_count: memberCount,
+        my_role: req.user.organization_role
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's organization
+ * PUT /api/organizations/current
+ */
+const updateCurrentOrganization = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const updateFields = {};
+    if (name !== undefined) updateFields.name = name;
+    if (description !== undefined) updateFields.description = description;
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organization_id,
+      updateFields,
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        message: 'Your organization no longer exists'
+      });
+    }
+
+    res.json({
+      message: 'Organization updated successfully',
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get members of the current user's organization
+ * GET /api/organizations/current/members
+ */
+const getMembers = async (req, res, next) => {
+  try {
+    const members = await User.find({ organization_id: req.user.organization_id })
+      .select('username full_name email role organization_role is_active')
+      .sort({ full_name: 1 });
+
+    res.json({
+      message: 'Members retrieved successfully',
+      data: members
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's organization role
+ * PUT /api/organizations/current/members/:userId
+ */
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    // Keep at least one owner in the organization
+    if (member.organization_role === 'owner' && role !== 'owner' && await countOwners(member.organization_id) <= 1) {
+      return res.status(400).json({
+        error: 'Cannot change role',
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    member.organization_role = role;
+    await member.save();
+
+    res.json({
+      message: 'Member role updated successfully',
+      data: member
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from the current user's organization
+ * DELETE /api/organizations/current/members/:userId
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+
+    if (member.organization_role === 'owner' && await countOwners(member.organization_id) <= 1) {
+      return res.status(400).json({
+        error: 'Cannot remove member',
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    member.organization_id = undefined;
+    member.organization_role = undefined;
+    await member.save();
+
+    res.json({
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave the current user's organization
+ * POST /api/organizations/current/leave
+ */
+const leaveOrganization = async (req, res, next) => {
+  try {
+    if (req.user.organization_role === 'owner' && await countOwners(req.user.organization_id) <= 1) {
+      return res.status(400).json({
+        error: 'Cannot leave organization',
+        message: 'Transfer ownership to another member before leaving'
+      });
+    }
+
+    req.user.organization_id = undefined;
+    req.user.organization_role = undefined;
+    await req.user.save();
+
+    res.json({
+      message: 'You have left the organization'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get invitations of the current user's organization
+ * GET /api/organizations/current/invitations
+ */
+const getInvitations = async (req, res, next) => {
+  try {
+    const filter = { organization_id: req.user.organization_id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const invitations = await OrganizationInvitation.find(filter)
+      .populate('invited_by', 'username full_name')
+      .sort({ created_at: -1 });
+
+    res.json({
+      message: 'Invitations retrieved successfully',
+      data: invitations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone to the current user's organization
+ * POST /api/organizations/current/invitations
+ */
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    // Only owners can hand out ownership
+    if (role === 'owner' && req.user.organization_role !== 'owner') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only organization owners can invite owners'
+      });
+    }
+
+    const [invitee, organization] = await Promise.all([
+      User.findOne({ email }),
+      Organization.findById(req.user.organization_id)
+    ]);
+
+    if (invitee && invitee.organization_id && invitee.organization_id.equals(organization._id)) {
+      return res.status(400).json({
+        error: 'Already a member',
+        message: 'This user is already a member of your organization'
+      });
+    }
+
+    // Buyers and suppliers never share an organization, or they would see each other's RFPs and responses
+    const side = await organization.getSide();
+
+    if (invitee && invitee.role !== side) {
+      return res.status(400).json({
+        error: 'Role mismatch',
+        message: `Only ${side} accounts can join your organization`
+      });
+    }
+
+    // Replace any pending invitation for the same address
+    await OrganizationInvitation.updateMany(
+      { organization_id: organization._id, email, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    const invitation = new OrganizationInvitation({
+      organization_id: organization._id,
+      email,
+      role,
+      invited_by: req.user._id
+    });
+    const invitationToken = invitation.createToken();
+    await invitation.save();
+
+    await sendOrganizationInvitationEmail(email, organization, req.user, role, invitationToken);
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * DELETE /api/organizations/current/invitations/:invitationId
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await OrganizationInvitation.findOne({
+      _id: req.params.invitationId,
+      organization_id: req.user.organization_id
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'The requested invitation does not exist'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        error: 'Cannot revoke invitation',
+        message: 'Only pending invitations can be revoked'
+      });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation with the emailed token
+ * POST /api/organizations/invitations/accept
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await OrganizationInvitation.findByToken(req.body.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Invitation is invalid, has expired or has been revoked'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (req.user.organization_id) {
+      return res.status(400).json({
+        error: 'Already a member',
+        message: 'Leave your current organization before joining another one'
+      });
+    }
+
+    const organization = await Organization.findById(invitation.organization_id);
+
+    if (!organization) {
+      return res.status(400).json({
+        error: 'Invalid token',
+        message: 'Invitation is invalid, has expired or has been revoked'
+      });
+    }
+
+    const side = await organization.getSide();
+
+    if (req.user.role !== side) {
+      return res.status(403).json({
+        error: 'Role mismatch',
+        message: `Only ${side} accounts can join this organization`
+      });
+    }
+
+    req.user.organization_id = invitation.organization_id;
+    req.user.organization_role = invitation.role;
+    await req.user.save();
+
+    invitation.status = 'accepted';
+    invitation.accepted_by = req.user._id;
+    invitation.accepted_at = new Date();
+    await invitation.save();
+
+    res.json({
+      message: `You have joined ${organization.name}`,
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -1,5 +1,26 @@
 const Response = require('../models/Response');
 const RFP = require('../models/RFP');
+const Addendum = require('../models/Addendum');
+const RFPInvitation = require('../models/RFPInvitation');
+const {
+  hasRFPAccess,
+  hasResponseAccess,
+  canReadResponseContent,
+  isPanelEvaluator,
+  findShortlistEntry,
+  buildAccessFilter
+} = require('../utils/permissions');
+const { validateAnswers } = require('../utils/questionnaire');
+const { priceLineItems } = require('../utils/pricing');
+const { compareRounds } = require('../utils/stages');
+const {
+  hasPanel,
+  hasSubmittedScores,
+  getVisibleScores,
+  canViewPanelScores,
+  calculateEvaluation,
+  analyzeScores
+} = require('../utils/scoring');
 
 /**
  * Response Controller
@@ -8,6 +29,111 @@ const RFP = require('../models/RFP');
  * creating, reading, updating, and managing responses to RFPs.
  */
 
+/**
+ * Send a 400 listing questionnaire answers that failed validation
+ */
+const sendAnswerErrors = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your answers to the RFP questions',
+    details: errors
+  });
+};
+
+/**
+ * Send a 400 listing line item prices that failed validation
+ */
+const sendPriceErrors = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your prices for the RFP line items',
+    details: errors
+  });
+};
+
+// Fields that only change through their own endpoints or are set by the server, never through the supplier's updates
+const PROTECTED_FIELDS = [
+  'scores', 'evaluator_submissions', 'consensus', 'acknowledged_addenda',
+  'submitted_by', 'organization_id', 'previous_response_id'
+];
+
+/**
+ * Send a 400 if the response has addenda it has not acknowledged,
+ * resolving to true when the request was rejected
+ */
+const rejectIfAddendaPending = async (res, response) => {
+  const pending = await Addendum.findPendingFor(response);
+
+  if (pending.length === 0) return false;
+
+  res.status(400).json({
+    error: 'Addenda not acknowledged',
+    message: `Acknowledge every addendum before submitting your response (pending: ${pending.map((addendum) => addendum.number).join(', ')})`,
+    pending_addenda: pending.map((addendum) => ({ id: addendum._id, number: addendum.number, reason: addendum.reason }))
+  });
+  return true;
+};
+
+/**
+ * Send a 400 if the bids of the RFP are still sealed, resolving to true
+ * when the request was rejected
+ */
+const rejectIfSealed = (res, rfp) => {
+  if (!rfp.isSealed()) return false;
+
+  res.status(400).json({
+    error: 'Bids sealed',
+    message: 'Responses to this sealed RFP cannot be evaluated before its deadline or bid opening'
+  });
+  return true;
+};
+
+/**
+ * Find the response targeted by :id with its evaluation data and RFP
+ * panel, sending a 404 if it does not exist or a 400 if it is still sealed
+ */
+const findResponseForEvaluation = async (req, res) => {
+  const response = await Response.findById(req.params.id)
+    .select('+scores +evaluator_submissions +consensus')
+    .populate({ path: 'rfp_id', select: '+evaluators' });
+
+  if (!response) {
+    res.status(404).json({
+      error: 'Response not found',
+      message: 'The requested response does not exist'
+    });
+    return null;
+  }
+
+  if (rejectIfSealed(res, response.rfp_id)) return null;
+
+  return response;
+};
+
+/**
+ * Check if a user can score responses to an RFP. With an evaluation
+ * panel only its members score.
+ */
+const canScore = (user, rfp) => {
+  return hasRFPAccess(user, rfp, 'evaluate') && (!hasPanel(rfp) || isPanelEvaluator(user, rfp));
+};
+
+/**
+ * Build the evaluation report of a response as seen by a user
+ */
+const buildEvaluationReport = (user, rfp, response) => {
+  return {
+    panel: (rfp.evaluators || []).map((evaluatorId) => {
+      const submission = response.evaluator_submissions.find((entry) => entry.evaluator_id.equals(evaluatorId));
+      return { evaluator_id: evaluatorId, submitted_at: submission ? submission.submitted_at : null };
+    }),
+    scores: getVisibleScores(user, rfp, response),
+    criteria: analyzeScores(rfp, response),
+    consensus: response.consensus || null,
+    evaluation: calculateEvaluation(rfp, response)
+  };
+};
+
 /**
  * Get all responses with pagination and filtering
  * GET /api/responses
@@ -26,22 +152,22 @@ const getAllResponses = async (req, res, next) => {
       filter.status = req.query.status;
     }
 
-    // For suppliers, only show their own responses
+    // For suppliers, only show their own and their organization's responses
     if (req.user.role === 'supplier') {
-      filter.submitted_by = req.user._id;
+      Object.assign(filter, buildAccessFilter(req.user, 'submitted_by', 'view'));
     }
 
-    // For buyers, show responses to their RFPs
+    // For buyers, show responses to their own and their organization's RFPs
     if (req.user.role === 'buyer') {
-      // First get all RFPs created by this buyer
-      const buyerRFPs = await RFP.find({ created_by: req.user._id }).select('_id');
+      // First get all RFPs the buyer can view
+      const buyerRFPs = await RFP.find(buildAccessFilter(req.user, 'created_by', 'view')).select('_id');
       const rfpIds = buyerRFPs.map(rfp => rfp._id);
       filter.rfp_id = { $in: rfpIds };
     }
 
     const responses = await Response.find(filter)
       .populate('submitted_by', 'username full_name company_name')
-      .populate('rfp_id', 'title status deadline')
+      .populate('rfp_id', 'title status deadline sealed bid_opening')
       .sort({ created_at: -1 })
       .skip(skip)
       .limit(limit);
@@ -50,7 +176,10 @@ const getAllResponses = async (req, res, next) => {
 
     res.json({
       message: 'Responses retrieved successfully',
-      data: responses,
+      // Sealed bids only show their receipt to the buyer side
+      data: responses.map((response) => (
+        canReadResponseContent(req.user, response.rfp_id, response) ? response : response.toSealedJSON()
+      )),
       pagination: {
         current_page: page,
         total_pages: Math.ceil(total / limit),
@@ -72,7 +201,7 @@ const getResponseById = async (req, res, next) => {
   try {
     const response = await Response.findById(req.params.id)
       .populate('submitted_by', 'username full_name company_name')
-      .populate('rfp_id', 'title status deadline created_by')
+      .populate('rfp_id', 'title status deadline created_by organization_id sealed bid_opening')
       .populate('document_ids');
 
     if (!response) {
@@ -83,19 +212,19 @@ const getResponseById = async (req, res, next) => {
     }
 
     // Check access permissions
-    const isOwner = response.submitted_by._id.toString() === req.user._id.toString();
-    const isRFPOwner = response.rfp_id.created_by.toString() === req.user._id.toString();
+    const isOwner = hasResponseAccess(req.user, response, 'view');
+    const isRFPOwner = hasRFPAccess(req.user, response.rfp_id, 'view');
 
     if (!isOwner && !isRFPOwner) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only view your own responses or responses to your RFPs'
+        message: 'You can only view responses of your organization or responses to its RFPs'
       });
     }
 
     res.json({
       message: 'Response retrieved successfully',
-      data: response
+      data: canReadResponseContent(req.user, response.rfp_id, response) ? response : response.toSealedJSON()
     });
 
   } catch (error) {
@@ -112,7 +241,7 @@ const createResponse = async (req, res, next) => {
     const { rfp_id } = req.body;
 
     // Check if RFP exists and is published
-    const rfp = await RFP.findById(rfp_id);
+    const rfp = await RFP.findById(rfp_id).select('+shortlist');
 
     if (!rfp) {
       return res.status(404).json({
@@ -128,6 +257,14 @@ const createResponse = async (req, res, next) => {
       });
     }
 
+    // Later procurement stages and invite-only RFPs only take responses from invited suppliers
+    if (!(await RFPInvitation.isInvited(req.user, rfp))) {
+      return res.status(403).json({
+        error: 'Not invited',
+        message: 'This RFP is only open to invited suppliers'
+      });
+    }
+
     // Check if RFP deadline has passed
     if (rfp.deadline < new Date()) {
       return res.status(400).json({
@@ -136,27 +273,65 @@ const createResponse = async (req, res, next) => {
       });
     }
 
-    // Check if user already has a response to this RFP
+    // Check if user or their organization already has a response to this RFP
     const existingResponse = await Response.findOne({
       rfp_id,
-      submitted_by: req.user._id
+      ...buildAccessFilter(req.user, 'submitted_by', 'view')
     });
 
     if (existingResponse) {
       return res.status(400).json({
         error: 'Response already exists',
-        message: 'You have already submitted a response to this RFP'
+        message: 'You or your organization have already submitted a response to this RFP'
       });
     }
 
+    // Check answers against the questionnaire; submitted responses must answer every mandatory question
+    const { answers, errors } = validateAnswers(rfp, req.body.answers, {
+      requireMandatory: (req.body.status || 'draft') !== 'draft',
+      documentIds: []
+    });
+
+    if (errors.length > 0) {
+      return sendAnswerErrors(res, errors);
+    }
+
+    // Check prices against the line items; submitted responses must price every mandatory item
+    const pricing = priceLineItems(rfp, req.body.line_item_prices, {
+      requireMandatory: (req.body.status || 'draft') !== 'draft'
+    });
+
+    if (pricing.errors.length > 0) {
+      return sendPriceErrors(res, pricing.errors);
+    }
+
+    // Evaluation data, acknowledgements and ownership only change through their own endpoints
+    PROTECTED_FIELDS.forEach((field) => delete req.body[field]);
+
+    // Link the response to the supplier's response in the previous stage
+    const shortlisted = findShortlistEntry(req.user, rfp);
+
     const responseData = {
       ...req.body,
-      submitted_by: req.user._id
+      answers,
+      line_item_prices: pricing.line_item_prices,
+      price_total: pricing.price_total,
+      previous_response_id: shortlisted ? shortlisted.response_id : undefined,
+      submitted_by: req.user._id,
+      organization_id: req.user.organization_id
     };
 
     const response = new Response(responseData);
     await response.save();
 
+    // Responding accepts a pending invitation
+    if (rfp.visibility === 'invite_only') {
+      await RFPInvitation.updateMany(
+        { rfp_id: rfp._id, ...RFPInvitation.filterForUser(req.user, ['pending']) },
+        { $set: { status: 'accepted', responded_at: new Date() } }
+      );
+    }
+
     // Update RFP response count if response is submitted
     if (response.status === 'submitted') {
       await RFP.findByIdAndUpdate(rfp_id, {
@@ -193,11 +368,11 @@ const updateResponse = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the response
-    if (response.submitted_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the response
+    if (!hasResponseAccess(req.user, response, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only update your own responses'
+        message: 'You can only update responses you own or manage in your organization'
       });
     }
 
@@ -218,9 +393,48 @@ const updateResponse = async (req, res, next) => {
     }
 
     const oldStatus = response.status;
-    
+
+    // Check answers against the questionnaire; submitted responses must answer every mandatory question
+    const { answers, errors } = validateAnswers(
+      response.rfp_id,
+      req.body.answers !== undefined ? req.body.answers : response.answers,
+      {
+        requireMandatory: (req.body.status || oldStatus) !== 'draft',
+        documentIds: response.document_ids
+      }
+    );
+
+    if (errors.length > 0) {
+      return sendAnswerErrors(res, errors);
+    }
+
+    // Check prices against the line items; totals are always recomputed from the RFP's quantities
+    const pricing = priceLineItems(
+      response.rfp_id,
+      req.body.line_item_prices !== undefined ? req.body.line_item_prices : response.line_item_prices,
+      { requireMandatory: (req.body.status || oldStatus) !== 'draft' }
+    );
+
+    if (pricing.errors.length > 0) {
+      return sendPriceErrors(res, pricing.errors);
+    }
+
+    // Submitting requires every addendum to be acknowledged
+    if (oldStatus === 'draft' && req.body.status === 'submitted' && await rejectIfAddendaPending(res, response)) {
+      return;
+    }
+
+    // Evaluation data, acknowledgements and ownership only change through their own endpoints,
+    // and a response stays with its RFP
+    PROTECTED_FIELDS.forEach((field) => delete req.body[field]);
+    delete req.body.rfp_id;
+
     // Update response
-    Object.assign(response, req.body);
+    Object.assign(response, req.body, {
+      answers,
+      line_item_prices: pricing.line_item_prices,
+      price_total: pricing.price_total
+    });
     await response.save();
 
     // Update RFP response count if status changed from draft to submitted
@@ -259,11 +473,11 @@ const deleteResponse = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the response
-    if (response.submitted_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the response
+    if (!hasResponseAccess(req.user, response, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only delete your own responses'
+        message: 'You can only delete responses you own or manage in your organization'
       });
     }
 
@@ -301,11 +515,11 @@ const submitResponse = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the response
-    if (response.submitted_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the response
+    if (!hasResponseAccess(req.user, response, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only submit your own responses'
+        message: 'You can only submit responses you own or manage in your organization'
       });
     }
 
@@ -325,6 +539,26 @@ const submitResponse = async (req, res, next) => {
       });
     }
 
+    // Check that every mandatory question is answered and file answers still exist
+    const { errors } = validateAnswers(response.rfp_id, response.answers, {
+      requireMandatory: true,
+      documentIds: response.document_ids
+    });
+
+    if (errors.length > 0) {
+      return sendAnswerErrors(res, errors);
+    }
+
+    // Check that every mandatory line item is priced
+    const pricing = priceLineItems(response.rfp_id, response.line_item_prices, { requireMandatory: true });
+
+    if (pricing.errors.length > 0) {
+      return sendPriceErrors(res, pricing.errors);
+    }
+
+    // Check that every addendum issued since the response was started is acknowledged
+    if (await rejectIfAddendaPending(res, response)) return;
+
     // Update status to submitted
     response.status = 'submitted';
     response.submitted_at = new Date();
@@ -357,7 +591,9 @@ const reviewResponse = async (req, res, next) => {
   try {
     const { status, reviewer_notes } = req.body;
     
-    const response = await Response.findById(req.params.id).populate('rfp_id');
+    const response = await Response.findById(req.params.id)
+      .select('+consensus')
+      .populate({ path: 'rfp_id', select: '+evaluators' });
 
     if (!response) {
       return res.status(404).json({
@@ -366,14 +602,16 @@ const reviewResponse = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (response.rfp_id.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can evaluate responses to the RFP
+    if (!hasRFPAccess(req.user, response.rfp_id, 'evaluate')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only review responses to your own RFPs'
+        message: 'You can only review responses to RFPs you evaluate in your organization'
       });
     }
 
+    if (rejectIfSealed(res, response.rfp_id)) return;
+
     // Check if response can be reviewed
     if (!['submitted', 'under_review'].includes(response.status)) {
       return res.status(400).json({
@@ -382,6 +620,15 @@ const reviewResponse = async (req, res, next) => {
       });
     }
 
+    // Panel evaluations need agreed scores before the decision
+    if (['approved', 'rejected'].includes(status) && hasPanel(response.rfp_id) &&
+        !(response.consensus && response.consensus.finalized_at)) {
+      return res.status(400).json({
+        error: 'Consensus required',
+        message: 'Finalize the consensus scores before approving or rejecting this response'
+      });
+    }
+
     // Update response status and review details
     response.status = status;
     response.reviewer_notes = reviewer_notes;
@@ -402,6 +649,357 @@ const reviewResponse = async (req, res, next) => {
   }
 };
 
+/**
+ * Score response on the RFP's evaluation criteria
+ * POST /api/responses/:id/scores
+ */
+const scoreResponse = async (req, res, next) => {
+  try {
+    const { scores } = req.body;
+
+    const response = await findResponseForEvaluation(req, res);
+    if (!response) return;
+
+    const rfp = response.rfp_id;
+
+    // Check if user can score responses to the RFP
+    if (!canScore(req.user, rfp)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: hasPanel(rfp)
+          ? 'Only members of the evaluation panel can score responses to this RFP'
+          : 'You can only score responses to RFPs you evaluate in your organization'
+      });
+    }
+
+    if (response.status === 'draft') {
+      return res.status(400).json({
+        error: 'Cannot score response',
+        message: 'Only submitted responses can be scored'
+      });
+    }
+
+    if (hasSubmittedScores(response, req.user._id) || (response.consensus && response.consensus.finalized_at)) {
+      return res.status(400).json({
+        error: 'Cannot score response',
+        message: 'Your scores for this response have already been submitted or finalized'
+      });
+    }
+
+    const criteria = rfp.evaluation_criteria;
+
+    if (criteria.length === 0) {
+      return res.status(400).json({
+        error: 'Cannot score response',
+        message: 'This RFP has no evaluation criteria'
+      });
+    }
+
+    // Check every score against its criterion's scale
+    const errors = [];
+
+    scores.forEach((entry, index) => {
+      const criterion = criteria.id(entry.criterion_id);
+
+      if (!criterion) {
+        errors.push({
+          field: `scores[${index}].criterion_id`,
+          message: 'Criterion does not belong to this RFP',
+          value: entry.criterion_id
+        });
+      } else if (entry.score < criterion.min_score || entry.score > criterion.max_score) {
+        errors.push({
+          field: `scores[${index}].score`,
+          message: `Score for "${criterion.name}" must be between ${criterion.min_score} and ${criterion.max_score}`,
+          value: entry.score
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your scores',
+        details: errors
+      });
+    }
+
+    scores.forEach((entry) => {
+      response.setScore(entry.criterion_id, req.user._id, entry.score, entry.comment);
+    });
+
+    // Scoring starts the review of a submitted response
+    if (response.status === 'submitted') {
+      response.status = 'under_review';
+    }
+
+    await response.save();
+
+    res.json({
+      message: 'Response scored successfully',
+      data: {
+        response_id: response._id,
+        status: response.status,
+        scores: getVisibleScores(req.user, rfp, response),
+        // Panel evaluators see the evaluation once they submit their scores
+        evaluation: canViewPanelScores(req.user, rfp, response) ? calculateEvaluation(rfp, response) : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit own panel scores, after which they can no longer change
+ * POST /api/responses/:id/scores/submit
+ */
+const submitScores = async (req, res, next) => {
+  try {
+    const response = await findResponseForEvaluation(req, res);
+    if (!response) return;
+
+    const rfp = response.rfp_id;
+
+    if (!hasPanel(rfp)) {
+      return res.status(400).json({
+        error: 'No evaluation panel',
+        message: 'This RFP has no evaluation panel, scores count as soon as they are recorded'
+      });
+    }
+
+    if (!canScore(req.user, rfp)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only members of the evaluation panel can submit scores for this RFP'
+      });
+    }
+
+    if (hasSubmittedScores(response, req.user._id)) {
+      return res.status(400).json({
+        error: 'Already submitted',
+        message: 'You have already submitted your scores for this response'
+      });
+    }
+
+    // Every criterion must be scored before submitting
+    const unscored = rfp.evaluation_criteria.filter((criterion) => !response.scores.some((entry) =>
+      entry.criterion_id.equals(criterion._id) && entry.scored_by.equals(req.user._id)
+    ));
+
+    if (rfp.evaluation_criteria.length === 0 || unscored.length > 0) {
+      return res.status(400).json({
+        error: 'Scoring incomplete',
+        message: `Score every criterion before submitting${unscored.length ? `: ${unscored.map((criterion) => criterion.name).join(', ')}` : ''}`
+      });
+    }
+
+    response.evaluator_submissions.push({ evaluator_id: req.user._id });
+    await response.save();
+
+    res.json({
+      message: 'Scores submitted successfully',
+      data: buildEvaluationReport(req.user, rfp, response)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the evaluation report of a response: panel progress, score
+ * variance and outliers per criterion, consensus and weighted total
+ * GET /api/responses/:id/evaluation
+ */
+const getEvaluationReport = async (req, res, next) => {
+  try {
+    const response = await findResponseForEvaluation(req, res);
+    if (!response) return;
+
+    const rfp = response.rfp_id;
+
+    if (!hasRFPAccess(req.user, rfp, 'view')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view evaluations of responses to RFPs of your organization'
+      });
+    }
+
+    // Panel evaluators score independently
+    if (!canViewPanelScores(req.user, rfp, response)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Submit your own scores before viewing the other evaluators\' scores'
+      });
+    }
+
+    res.json({
+      message: 'Evaluation retrieved successfully',
+      data: buildEvaluationReport(req.user, rfp, response)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upper bound on the rounds followed back from a response
+const MAX_ROUNDS = 20;
+
+/**
+ * Get a supplier's responses to the earlier stages of a procurement and
+ * how their prices and proposal changed from round to round
+ * GET /api/responses/:id/rounds
+ */
+const getResponseRounds = async (req, res, next) => {
+  try {
+    const response = await Response.findById(req.params.id).populate('rfp_id');
+
+    if (!response) {
+      return res.status(404).json({
+        error: 'Response not found',
+        message: 'The requested response does not exist'
+      });
+    }
+
+    if (!hasRFPAccess(req.user, response.rfp_id, 'view')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view rounds of responses to RFPs of your organization'
+      });
+    }
+
+    if (rejectIfSealed(res, response.rfp_id)) return;
+
+    // Follow the links back to the first round the user can view, oldest round first
+    const rounds = [response];
+
+    while (rounds.length < MAX_ROUNDS && rounds[0].previous_response_id) {
+      const previous = await Response.findById(rounds[0].previous_response_id).populate('rfp_id');
+
+      if (!previous || !previous.rfp_id || !hasRFPAccess(req.user, previous.rfp_id, 'view')) break;
+      rounds.unshift(previous);
+    }
+
+    res.json({
+      message: 'Response rounds retrieved successfully',
+      data: {
+        rounds: rounds.map((round) => ({
+          response_id: round._id,
+          rfp_id: round.rfp_id._id,
+          rfp_title: round.rfp_id.title,
+          stage: round.rfp_id.stage,
+          status: round.status,
+          proposed_budget: round.proposed_budget,
+          price_total: round.price_total,
+          submitted_at: round.submitted_at
+        })),
+        changes: rounds.slice(1).map((round, index) => compareRounds(rounds[index], round))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finalize the consensus scores of a panel evaluation
+ * POST /api/responses/:id/consensus
+ */
+const finalizeConsensus = async (req, res, next) => {
+  try {
+    const { scores = [] } = req.body;
+
+    const response = await findResponseForEvaluation(req, res);
+    if (!response) return;
+
+    const rfp = response.rfp_id;
+
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only finalize scores of RFPs you own or manage in your organization'
+      });
+    }
+
+    if (!hasPanel(rfp)) {
+      return res.status(400).json({
+        error: 'No evaluation panel',
+        message: 'Consensus scores are only used for RFPs with an evaluation panel'
+      });
+    }
+
+    if (['approved', 'rejected'].includes(response.status)) {
+      return res.status(400).json({
+        error: 'Cannot finalize scores',
+        message: 'This response has already been approved or rejected'
+      });
+    }
+
+    const pending = rfp.evaluators.filter((evaluatorId) => !hasSubmittedScores(response, evaluatorId));
+
+    if (pending.length > 0) {
+      return res.status(400).json({
+        error: 'Evaluation incomplete',
+        message: `${pending.length} panel evaluator(s) have not submitted their scores yet`
+      });
+    }
+
+    // Criteria without an agreed score take the panel's mean score
+    const analysis = analyzeScores(rfp, response);
+    const errors = [];
+    const consensusScores = rfp.evaluation_criteria.map((criterion, index) => {
+      const agreed = scores.find((entry) => criterion._id.equals(entry.criterion_id));
+
+      if (!agreed) {
+        return { criterion_id: criterion._id, score: analysis[index].mean };
+      }
+
+      if (agreed.score < criterion.min_score || agreed.score > criterion.max_score) {
+        errors.push({
+          field: 'scores',
+          message: `Score for "${criterion.name}" must be between ${criterion.min_score} and ${criterion.max_score}`,
+          value: agreed.score
+        });
+      }
+
+      return { criterion_id: criterion._id, score: agreed.score, comment: agreed.comment };
+    });
+
+    scores.forEach((entry) => {
+      if (!rfp.evaluation_criteria.id(entry.criterion_id)) {
+        errors.push({ field: 'scores', message: 'Criterion does not belong to this RFP', value: entry.criterion_id });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your scores',
+        details: errors
+      });
+    }
+
+    response.consensus = {
+      scores: consensusScores,
+      finalized_by: req.user._id,
+      finalized_at: new Date()
+    };
+    await response.save();
+
+    res.json({
+      message: 'Consensus scores finalized successfully',
+      data: buildEvaluationReport(req.user, rfp, response)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllResponses,
   getResponseById,
@@ -409,5 +1007,10 @@ module.exports = {
   updateResponse,
   deleteResponse,
   submitResponse,
-  reviewResponse
+  reviewResponse,
+  scoreResponse,
+  submitScores,
+  getEvaluationReport,
+  getResponseRounds,
+  finalizeConsensus
 };
@@ -1,6 +1,21 @@
 const RFP = require('../models/RFP');
+const RFPTemplate = require('../models/RFPTemplate');
+const RFPInvitation = require('../models/RFPInvitation');
 const Response = require('../models/Response');
 const Document = require('../models/Document');
+const User = require('../models/User');
+const Addendum = require('../models/Addendum');
+const config = require('../config');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { hasRFPAccess, buildAccessFilter, buildInvitationFilter } = require('../utils/permissions');
+const { rankResponses, getVisibleScores, canViewPanelScores } = require('../utils/scoring');
+const { sendAddendumEmails, sendDeadlineExtensionEmails } = require('../utils/rfpNotifications');
+const { emitStatusChange } = require('../utils/rfpEvents');
+const { extractContent } = require('../utils/rfpTemplates');
+const { canFollowStage } = require('../utils/stages');
+const { buildPriceComparison } = require('../utils/pricing');
 
 /**
  * RFP Controller
@@ -9,6 +24,31 @@ const Document = require('../models/Document');
  * creating, reading, updating, deleting, and managing RFPs.
  */
 
+// Fields whose changes to a published RFP are issued as an addendum
+const AMENDABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'budget_min',
+  'budget_max',
+  'questions_deadline',
+  'requirements',
+  'terms_and_conditions'
+];
+
+/**
+ * List the amendable fields that differ between two versions of an RFP
+ */
+const collectChanges = (before, after) => {
+  return AMENDABLE_FIELDS
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({
+      field,
+      old_value: before[field] === undefined ? null : before[field],
+      new_value: after[field] === undefined ? null : after[field]
+    }));
+};
+
 /**
  * Get all RFPs with pagination and filtering
  * GET /api/rfps
@@ -46,9 +86,16 @@ const getAllRFPs = async (req, res, next) => {
       filter.deadline = { $gt: new Date() };
     }
 
-    // For buyers, show their own RFPs
+    // For buyers, show their own and their organization's RFPs
     if (req.user && req.user.role === 'buyer' && req.query.my_rfps === 'true') {
-      filter.created_by = req.user._id;
+      const accessFilter = buildAccessFilter(req.user, 'created_by', 'view');
+      filter.$and = [...(filter.$and || []), accessFilter];
+    } else {
+      // Later procurement stages and invite-only RFPs are only listed to the suppliers invited to them
+      const invitedRFPIds = req.user
+        ? await RFPInvitation.find(RFPInvitation.filterForUser(req.user)).distinct('rfp_id')
+        : [];
+      filter.$and = [...(filter.$and || []), buildInvitationFilter(req.user, invitedRFPIds)];
     }
 
     const rfps = await RFP.find(filter)
@@ -82,6 +129,7 @@ const getAllRFPs = async (req, res, next) => {
 const getRFPById = async (req, res, next) => {
   try {
     const rfp = await RFP.findById(req.params.id)
+      .select('+shortlist')
       .populate('created_by', 'username full_name company_name')
       .populate('document_ids');
 
@@ -93,16 +141,26 @@ const getRFPById = async (req, res, next) => {
     }
 
     // Check access permissions
-    if (rfp.status === 'draft' && (!req.user || rfp.created_by._id.toString() !== req.user._id.toString())) {
+    if (rfp.status === 'draft' && (!req.user || !hasRFPAccess(req.user, rfp, 'view'))) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only view your own draft RFPs'
+        message: 'You can only view draft RFPs of your own organization'
+      });
+    }
+
+    // Later procurement stages and invite-only RFPs are only open to the suppliers invited to them
+    const isBuyerSide = Boolean(req.user) && hasRFPAccess(req.user, rfp, 'view');
+
+    if (!isBuyerSide && !(await RFPInvitation.isInvited(req.user, rfp))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This RFP is only open to invited suppliers'
       });
     }
 
     res.json({
       message: 'RFP retrieved successfully',
-      data: rfp
+      data: isBuyerSide ? rfp : { ...rfp.toJSON(), shortlist: undefined }
     });
 
   } catch (error) {
@@ -116,14 +174,64 @@ const getRFPById = async (req, res, next) => {
  */
 const createRFP = async (req, res, next) => {
   try {
+    const { template_id: templateId, placeholders = {} } = req.body;
+
+    // The evaluation panel, interested suppliers and version are managed through their own endpoints
+    delete req.body.evaluators;
+    delete req.body.interested_suppliers;
+    delete req.body.version;
+    delete req.body.closed_at;
+    delete req.body.closed_reason;
+    delete req.body.deadline_history;
+    delete req.body.cloned_from;
+    delete req.body.placeholders;
+    delete req.body.bid_opening;
+    delete req.body.previous_stage_id;
+    delete req.body.next_stage_id;
+    delete req.body.shortlist;
+
+    // Content from a template is the starting point; fields in the request override it
+    let templateContent = {};
+
+    if (templateId) {
+      const template = await RFPTemplate.findById(templateId);
+
+      if (!template || !hasRFPAccess(req.user, template, 'view')) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'The requested RFP template does not exist'
+        });
+      }
+
+      const { content, missing } = template.render(placeholders);
+
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Missing placeholder values',
+          message: `Please provide values for: ${missing.join(', ')}`,
+          details: missing.map((name) => ({
+            field: `placeholders.${name}`,
+            message: `A value for {{${name}}} is required`
+          }))
+        });
+      }
+
+      templateContent = content;
+    }
+
     const rfpData = {
+      ...templateContent,
       ...req.body,
-      created_by: req.user._id
+      created_by: req.user._id,
+      organization_id: req.user.organization_id
     };
 
     const rfp = new RFP(rfpData);
     await rfp.save();
 
+    // An RFP created straight into another status goes through the same events as a draft that changes to it
+    emitStatusChange(rfp, 'draft', { actor: req.user });
+
     // Populate creator information
     await rfp.populate('created_by', 'username full_name company_name');
 
@@ -137,6 +245,297 @@ const createRFP = async (req, res, next) => {
   }
 };
 
+/**
+ * Copy the documents of an RFP to a new RFP. Files are copied too, so
+ * deleting a document from one RFP never removes the other's file.
+ * Documents whose file is missing are skipped.
+ */
+const copyDocuments = async (source, target, user) => {
+  const documents = await Document.find({ _id: { $in: source.document_ids } });
+  const copies = [];
+
+  if (documents.length > 0) {
+    await fs.mkdir(config.upload.path, { recursive: true });
+  }
+
+  for (const document of documents) {
+    const filename = `${uuidv4()}-${Date.now()}${path.extname(document.filename)}`;
+    const filePath = path.join(config.upload.path, filename);
+
+    try {
+      await fs.copyFile(document.file_path, filePath);
+    } catch (error) {
+      console.error(`Error copying document ${document._id} for cloned RFP:`, error);
+      continue;
+    }
+
+    copies.push(await Document.create({
+      filename,
+      original_filename: document.original_filename,
+      file_size: document.file_size,
+      content_type: document.content_type,
+      document_type: document.document_type,
+      description: document.description,
+      rfp_id: target._id,
+      uploaded_by: user._id,
+      file_path: filePath,
+      content: document.content
+    }));
+  }
+
+  return copies;
+};
+
+/**
+ * Delete the documents of an RFP and their files. Documents whose file
+ * is already missing are still deleted.
+ */
+const deleteDocuments = async (rfp) => {
+  const documents = await Document.find({ rfp_id: rfp._id });
+
+  for (const document of documents) {
+    try {
+      await fs.unlink(document.file_path);
+    } catch (error) {
+      console.error(`Error deleting file of document ${document._id}:`, error);
+    }
+  }
+
+  await Document.deleteMany({ rfp_id: rfp._id });
+};
+
+/**
+ * Clone an RFP into a new draft
+ * POST /api/rfps/:id/clone
+ */
+const cloneRFP = async (req, res, next) => {
+  try {
+    const source = await RFP.findById(req.params.id);
+
+    if (!source || !hasRFPAccess(req.user, source, 'view')) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    const { title, deadline, questions_deadline } = req.body;
+    const content = extractContent(source);
+
+    const rfp = new RFP({
+      ...content,
+      title: title || `${content.title} (copy)`.substring(0, 200),
+      deadline,
+      questions_deadline,
+      status: 'draft',
+      cloned_from: source._id,
+      created_by: req.user._id,
+      organization_id: req.user.organization_id
+    });
+    await rfp.save();
+
+    const documents = await copyDocuments(source, rfp, req.user);
+
+    if (documents.length > 0) {
+      rfp.document_ids = documents.map((document) => document._id);
+      await rfp.save();
+    }
+
+    // Populate creator information
+    await rfp.populate('created_by', 'username full_name company_name');
+
+    res.status(201).json({
+      message: 'RFP cloned successfully',
+      data: rfp
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shortlist suppliers of a closed RFP into a new draft for the next stage
+ * POST /api/rfps/:id/next-stage
+ */
+const createNextStage = async (req, res, next) => {
+  try {
+    const { stage, response_ids, title, deadline, questions_deadline } = req.body;
+    const source = await RFP.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, source, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only shortlist suppliers of RFPs you own or manage in your organization'
+      });
+    }
+
+    if (source.status !== 'closed') {
+      return res.status(400).json({
+        error: 'Cannot shortlist suppliers',
+        message: 'Suppliers can only be shortlisted once the RFP has closed'
+      });
+    }
+
+    if (source.isSealed()) {
+      return res.status(400).json({
+        error: 'Bids sealed',
+        message: 'Open the sealed bids before shortlisting suppliers'
+      });
+    }
+
+    if (source.next_stage_id) {
+      return res.status(400).json({
+        error: 'Next stage exists',
+        message: 'Suppliers of this RFP have already been shortlisted into a next stage'
+      });
+    }
+
+    if (!canFollowStage(source.stage, stage)) {
+      return res.status(400).json({
+        error: 'Invalid stage',
+        message: `A ${stage} stage cannot follow a ${source.stage} stage`
+      });
+    }
+
+    // Check every shortlisted response is a submitted response to this RFP
+    const responses = await Response.find({
+      _id: { $in: response_ids },
+      rfp_id: source._id,
+      status: { $in: ['submitted', 'under_review', 'approved'] }
+    });
+
+    const errors = response_ids
+      .map((id, index) => ({ id, index }))
+      .filter(({ id }) => !responses.some((response) => response._id.equals(id)))
+      .map(({ id, index }) => ({
+        field: `response_ids[${index}]`,
+        message: 'Response is not a submitted response to this RFP',
+        value: id
+      }));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid shortlist',
+        message: 'Please check the shortlisted responses',
+        details: errors
+      });
+    }
+
+    // Line items keep their IDs so prices can be compared between rounds
+    const content = extractContent(source);
+
+    const rfp = new RFP({
+      ...content,
+      line_items: source.line_items.map((item) => item.toObject()),
+      title: title || content.title,
+      deadline,
+      questions_deadline,
+      sealed: source.sealed,
+      status: 'draft',
+      stage,
+      previous_stage_id: source._id,
+      shortlist: responses.map((response) => ({
+        supplier_id: response.submitted_by,
+        organization_id: response.organization_id,
+        response_id: response._id
+      })),
+      created_by: req.user._id,
+      organization_id: req.user.organization_id
+    });
+    await rfp.save();
+
+    source.next_stage_id = rfp._id;
+    await source.save();
+
+    const documents = await copyDocuments(source, rfp, req.user);
+
+    if (documents.length > 0) {
+      rfp.document_ids = documents.map((document) => document._id);
+      await rfp.save();
+    }
+
+    // Populate creator information
+    await rfp.populate('created_by', 'username full_name company_name');
+
+    res.status(201).json({
+      message: `${stage.toUpperCase()} stage created with ${responses.length} shortlisted supplier(s)`,
+      data: rfp
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the linked stages of an RFP's procurement, first stage first
+ * GET /api/rfps/:id/stages
+ */
+const getStages = async (req, res, next) => {
+  try {
+    const rfp = await RFP.findById(req.params.id).select('+shortlist');
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can view the RFP
+    if (!hasRFPAccess(req.user, rfp, 'view')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view stages of RFPs of your organization'
+      });
+    }
+
+    // Walk the links in both directions; the seen set guards against broken chains
+    const stages = [rfp];
+    const seen = new Set([rfp._id.toString()]);
+
+    const follow = async (from, field, add) => {
+      let current = from;
+
+      while (current[field] && !seen.has(current[field].toString())) {
+        current = await RFP.findById(current[field]).select('+shortlist');
+        if (!current) break;
+        seen.add(current._id.toString());
+        add(current);
+      }
+    };
+
+    await follow(rfp, 'previous_stage_id', (stage) => stages.unshift(stage));
+    await follow(rfp, 'next_stage_id', (stage) => stages.push(stage));
+
+    res.json({
+      message: 'RFP stages retrieved successfully',
+      data: stages.map((stage) => ({
+        id: stage._id,
+        stage: stage.stage,
+        title: stage.title,
+        status: stage.status,
+        deadline: stage.deadline,
+        response_count: stage.response_count,
+        shortlisted_count: stage.previous_stage_id ? stage.shortlist.length : null,
+        accessible: hasRFPAccess(req.user, stage, 'view')
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update RFP
  * PUT /api/rfps/:id
@@ -152,32 +551,168 @@ const updateRFP = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (rfp.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only update your own RFPs'
+        message: 'You can only update RFPs you own or manage in your organization'
       });
     }
 
-    // Check if RFP can be updated (only allow status changes for closed/cancelled RFPs)
-    if ((rfp.status === 'closed' || rfp.status === 'cancelled') && !req.body.status) {
+    // Status changes go through their own endpoints, which check transitions and record awards
+    if (req.body.status !== undefined && req.body.status !== rfp.status) {
+      return res.status(400).json({
+        error: 'Cannot change status',
+        message: 'Use PUT /api/rfps/:id/status to change the status of an RFP, or POST /api/rfps/:id/award to award it'
+      });
+    }
+
+    // Check if RFP can be updated
+    if (rfp.status === 'closed' || rfp.status === 'cancelled') {
       return res.status(400).json({
         error: 'Cannot update RFP',
-        message: 'Cannot update closed or cancelled RFPs unless changing status'
+        message: 'Cannot update closed or cancelled RFPs'
+      });
+    }
+
+    if (rfp.status === 'awarded') {
+      return res.status(400).json({
+        error: 'Cannot update RFP',
+        message: 'Awarded RFPs cannot be changed'
+      });
+    }
+
+    // Answers are keyed by question ID, so the questionnaire is fixed once suppliers can respond
+    if (req.body.sections && rfp.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Cannot update questionnaire',
+        message: 'Sections and questions can only be changed while the RFP is a draft'
+      });
+    }
+
+    // Prices are keyed by line item ID, so the bill of items is fixed once suppliers can respond
+    if (req.body.line_items && rfp.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Cannot update line items',
+        message: 'Line items can only be changed while the RFP is a draft'
+      });
+    }
+
+    // Linked stages keep the stage they were created as
+    if (req.body.stage !== undefined && req.body.stage !== rfp.stage &&
+        (rfp.status !== 'draft' || rfp.previous_stage_id || rfp.next_stage_id)) {
+      return res.status(400).json({
+        error: 'Cannot change stage',
+        message: 'The stage can only be changed on drafts that are not linked to other stages'
+      });
+    }
+
+    // Changing visibility after publishing would hide the RFP from suppliers already responding or open it to uninvited ones
+    if (req.body.visibility !== undefined && req.body.visibility !== rfp.visibility && rfp.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Cannot change visibility',
+        message: 'Visibility can only be changed while the RFP is a draft'
       });
     }
 
+    // Suppliers rely on the sealing promised when the RFP was published
+    if (req.body.sealed !== undefined && rfp.status !== 'draft' && Boolean(req.body.sealed) !== rfp.sealed) {
+      return res.status(400).json({
+        error: 'Cannot change sealed bids',
+        message: 'Sealed bids can only be turned on or off while the RFP is a draft'
+      });
+    }
+
+    // Scores are keyed by criterion ID, so the criteria are fixed once responses can be scored
+    if (req.body.evaluation_criteria && rfp.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Cannot update evaluation criteria',
+        message: 'Evaluation criteria can only be changed while the RFP is a draft'
+      });
+    }
+
+    // Once suppliers can respond, the deadline only moves through the audited extension workflow
+    if (req.body.deadline !== undefined && rfp.status !== 'draft' &&
+        new Date(req.body.deadline).getTime() !== rfp.deadline.getTime()) {
+      return res.status(400).json({
+        error: 'Cannot change deadline',
+        message: 'Use POST /api/rfps/:id/extend-deadline to extend the deadline of a published RFP'
+      });
+    }
+
+    // The publish time only matters until the scheduler has published the RFP
+    if (req.body.publish_at !== undefined && rfp.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Cannot schedule RFP',
+        message: 'The publish date can only be changed while the RFP is a draft'
+      });
+    }
+
+    // The evaluation panel, interested suppliers and version are managed through their own endpoints,
+    // and ownership never changes through updates
+    const amendmentReason = req.body.amendment_reason;
+    delete req.body.status;
+    delete req.body.created_by;
+    delete req.body.organization_id;
+    delete req.body.evaluators;
+    delete req.body.interested_suppliers;
+    delete req.body.version;
+    delete req.body.amendment_reason;
+    delete req.body.closed_at;
+    delete req.body.closed_reason;
+    delete req.body.deadline_history;
+    delete req.body.template_id;
+    delete req.body.cloned_from;
+    delete req.body.bid_opening;
+    delete req.body.previous_stage_id;
+    delete req.body.next_stage_id;
+    delete req.body.shortlist;
+
+    const before = rfp.toObject();
+
     // Update RFP
     Object.assign(rfp, req.body);
+
+    // Changes to a published RFP are issued as a numbered addendum
+    const changes = rfp.status === 'published' && before.status === 'published'
+      ? collectChanges(before, rfp.toObject())
+      : [];
+    let addendum = null;
+
+    if (changes.length > 0) {
+      if (!amendmentReason) {
+        return res.status(400).json({
+          error: 'Amendment reason required',
+          message: 'Changes to a published RFP are issued as an addendum, please provide an amendment_reason'
+        });
+      }
+
+      rfp.version += 1;
+      addendum = new Addendum({
+        rfp_id: rfp._id,
+        number: rfp.version,
+        reason: amendmentReason,
+        changes,
+        created_by: req.user._id
+      });
+      await addendum.validate();
+    }
+
     await rfp.save();
+    emitStatusChange(rfp, before.status, { actor: req.user });
+
+    if (addendum) {
+      await addendum.save();
+      await sendAddendumEmails(rfp, addendum);
+    }
 
     // Populate creator information
     await rfp.populate('created_by', 'username full_name company_name');
 
     res.json({
-      message: 'RFP updated successfully',
-      data: rfp
+      message: addendum ? `RFP updated with addendum ${addendum.number}` : 'RFP updated successfully',
+      data: rfp,
+      ...(addendum && { addendum })
     });
 
   } catch (error) {
@@ -200,11 +735,11 @@ const deleteRFP = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (rfp.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only delete your own RFPs'
+        message: 'You can only delete RFPs you own or manage in your organization'
       });
     }
 
@@ -216,6 +751,17 @@ const deleteRFP = async (req, res, next) => {
       });
     }
 
+    // Remove the draft's documents, including files copied from a clone or previous stage
+    await deleteDocuments(rfp);
+
+    // Unlink a next stage from its previous stage so the latter can start another one
+    if (rfp.previous_stage_id) {
+      await RFP.updateOne(
+        { _id: rfp.previous_stage_id, next_stage_id: rfp._id },
+        { $unset: { next_stage_id: '' } }
+      );
+    }
+
     await RFP.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -242,11 +788,11 @@ const publishRFP = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (rfp.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only publish your own RFPs'
+        message: 'You can only publish RFPs you own or manage in your organization'
       });
     }
 
@@ -258,10 +804,12 @@ const publishRFP = async (req, res, next) => {
       });
     }
 
-    // Update status to published
+    // Update status to published; publishing manually replaces any schedule
     rfp.status = 'published';
     rfp.published_at = new Date();
+    rfp.publish_at = undefined;
     await rfp.save();
+    emitStatusChange(rfp, 'draft', { actor: req.user });
 
     // Populate creator information
     await rfp.populate('created_by', 'username full_name company_name');
@@ -291,11 +839,11 @@ const closeRFP = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (rfp.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only close your own RFPs'
+        message: 'You can only close RFPs you own or manage in your organization'
       });
     }
 
@@ -309,7 +857,9 @@ const closeRFP = async (req, res, next) => {
 
     // Update status to closed
     rfp.status = 'closed';
+    rfp.closed_reason = 'manual';
     await rfp.save();
+    emitStatusChange(rfp, 'published', { actor: req.user });
 
     // Populate creator information
     await rfp.populate('created_by', 'username full_name company_name');
@@ -324,6 +874,84 @@ const closeRFP = async (req, res, next) => {
   }
 };
 
+/**
+ * Extend the deadline of an RFP, reopening it if it closed at its
+ * deadline within the grace window
+ * POST /api/rfps/:id/extend-deadline
+ */
+const extendDeadline = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const newDeadline = new Date(req.body.deadline);
+    const rfp = await RFP.findById(req.params.id);
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only extend RFPs you own or manage in your organization'
+      });
+    }
+
+    if (rfp.status === 'closed') {
+      const graceHours = config.deadlineExtension.reopenGraceHours;
+      const closedAt = rfp.closed_at || rfp.deadline;
+
+      if (rfp.closed_reason !== 'deadline' || Date.now() - closedAt.getTime() > graceHours * 60 * 60 * 1000) {
+        return res.status(400).json({
+          error: 'Cannot reopen RFP',
+          message: `Only RFPs closed at their deadline can be reopened, within ${graceHours} hours of closing`
+        });
+      }
+    } else if (rfp.status !== 'published') {
+      return res.status(400).json({
+        error: 'Cannot extend deadline',
+        message: 'Only published RFPs can have their deadline extended'
+      });
+    }
+
+    // Unsealed bids cannot be sealed again, and new bids would be readable as soon as they arrive
+    if (rfp.sealed && !rfp.isSealed()) {
+      return res.status(400).json({
+        error: 'Bids unsealed',
+        message: 'The deadline of a sealed RFP cannot be extended once its bids have been opened or the deadline has passed'
+      });
+    }
+
+    if (newDeadline <= rfp.deadline) {
+      return res.status(400).json({
+        error: 'Cannot extend deadline',
+        message: 'The new deadline must be later than the current deadline'
+      });
+    }
+
+    const previousStatus = rfp.status;
+    const extension = rfp.extendDeadline(newDeadline, reason, req.user._id);
+    await rfp.save();
+    emitStatusChange(rfp, previousStatus, { actor: req.user });
+
+    await sendDeadlineExtensionEmails(rfp, extension);
+
+    // Populate creator information
+    await rfp.populate('created_by', 'username full_name company_name');
+
+    res.json({
+      message: extension.reopened ? 'RFP reopened with a new deadline' : 'RFP deadline extended successfully',
+      data: rfp
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update RFP Status
  * PUT /api/rfps/:id/status
@@ -340,11 +968,11 @@ const updateRFPStatus = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (rfp.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only update your own RFPs'
+        message: 'You can only update RFPs you own or manage in your organization'
       });
     }
 
@@ -353,6 +981,7 @@ const updateRFPStatus = async (req, res, next) => {
       'draft': ['published', 'cancelled'],
       'published': ['closed', 'cancelled'],
       'closed': ['cancelled'], // Allow reopening closed RFPs as cancelled
+      'awarded': [], // Awarding goes through POST /api/rfps/:id/award and is final
       'cancelled': [] // No transitions from cancelled
     };
 
@@ -365,8 +994,9 @@ const updateRFPStatus = async (req, res, next) => {
 
     // Additional business rules
     if (status === 'published' && rfp.status === 'draft') {
-      // Set published_at when publishing
+      // Set published_at when publishing; publishing manually replaces any schedule
       rfp.published_at = new Date();
+      rfp.publish_at = undefined;
     }
 
     if (status === 'closed' && rfp.status === 'published') {
@@ -380,8 +1010,10 @@ const updateRFPStatus = async (req, res, next) => {
     }
 
     // Update status
+    const previousStatus = rfp.status;
     rfp.status = status;
     await rfp.save();
+    emitStatusChange(rfp, previousStatus, { actor: req.user });
 
     // Populate creator information
     await rfp.populate('created_by', 'username full_name company_name');
@@ -396,13 +1028,94 @@ const updateRFPStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Open the sealed bids of an RFP, recording who was present
+ * POST /api/rfps/:id/bid-opening
+ */
+const openBids = async (req, res, next) => {
+  try {
+    const { attendee_ids = [], notes } = req.body;
+    const rfp = await RFP.findById(req.params.id);
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only open bids of RFPs you own or manage in your organization'
+      });
+    }
+
+    if (!rfp.sealed) {
+      return res.status(400).json({
+        error: 'Cannot open bids',
+        message: 'This RFP does not use sealed bids'
+      });
+    }
+
+    if (rfp.bid_opening && rfp.bid_opening.opened_at) {
+      return res.status(400).json({
+        error: 'Cannot open bids',
+        message: 'The bids of this RFP have already been opened'
+      });
+    }
+
+    // Bids are opened once no more responses can come in
+    if (rfp.status === 'draft' || (rfp.status === 'published' && rfp.deadline > new Date())) {
+      return res.status(400).json({
+        error: 'Cannot open bids',
+        message: 'Bids can only be opened after the deadline or once the RFP is closed'
+      });
+    }
+
+    // The user opening the bids is always present
+    const attendeeIds = [...new Set([req.user._id.toString(), ...attendee_ids])];
+    const attendees = await User.find({ _id: { $in: attendeeIds }, is_active: true }).select('_id');
+    const found = new Set(attendees.map((user) => user._id.toString()));
+    const missing = attendeeIds.filter((id) => !found.has(id));
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid attendees',
+        message: 'Some attendees are not active users',
+        details: missing.map((id) => ({ field: 'attendee_ids', message: 'User not found or inactive', value: id }))
+      });
+    }
+
+    rfp.bid_opening = {
+      opened_at: new Date(),
+      opened_by: req.user._id,
+      attendees: attendeeIds,
+      response_count: await Response.countDocuments({ rfp_id: rfp._id, status: { $ne: 'draft' } }),
+      notes
+    };
+    await rfp.save();
+
+    await rfp.populate('bid_opening.attendees', 'username full_name company_name');
+
+    res.json({
+      message: `Bids opened: ${rfp.bid_opening.response_count} response(s)`,
+      data: rfp.bid_opening
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get RFP responses
  * GET /api/rfps/:id/responses
  */
 const getRFPResponses = async (req, res, next) => {
   try {
-    const rfp = await RFP.findById(req.params.id);
+    const rfp = await RFP.findById(req.params.id).select('+evaluators');
 
     if (!rfp) {
       return res.status(404).json({
@@ -411,21 +1124,204 @@ const getRFPResponses = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the RFP
-    if (rfp.created_by.toString() !== req.user._id.toString()) {
+    // Check if user can view the RFP's responses
+    if (!hasRFPAccess(req.user, rfp, 'view')) {
       return res.status(403).json({
         error: 'Access denied',
-        message: 'You can only view responses to your own RFPs'
+        message: 'You can only view responses to RFPs of your organization'
       });
     }
 
     const responses = await Response.find({ rfp_id: req.params.id })
+      .select('+scores +evaluator_submissions +consensus')
       .populate('submitted_by', 'username full_name company_name')
       .sort({ submitted_at: -1 });
 
+    // Sealed bids only show their receipt until the deadline or bid opening
+    if (rfp.isSealed()) {
+      return res.json({
+        message: 'RFP responses are sealed until the deadline or bid opening',
+        data: responses.map((response) => response.toSealedJSON()),
+        sealed: true
+      });
+    }
+
+    // Add weighted totals and rankings; panel evaluators only see them once they submitted their own scores
+    const evaluations = rankResponses(rfp, responses);
+    const data = responses.map((response) => {
+      const visible = canViewPanelScores(req.user, rfp, response);
+
+      return {
+        ...response.toJSON(),
+        scores: getVisibleScores(req.user, rfp, response),
+        evaluator_submissions: undefined,
+        consensus: visible ? response.consensus : undefined,
+        evaluation: visible ? evaluations.get(response._id.toString()) : null
+      };
+    });
+
+    // Optionally order by rank, unranked responses last
+    if (req.query.sort === 'rank') {
+      const rankOf = (item) => (item.evaluation && item.evaluation.rank) || Infinity;
+      data.sort((a, b) => rankOf(a) - rankOf(b));
+    }
+
     res.json({
       message: 'RFP responses retrieved successfully',
-      data: responses
+      data
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare the prices of an RFP's submitted responses line item by line item
+ * GET /api/rfps/:id/price-comparison
+ */
+const getPriceComparison = async (req, res, next) => {
+  try {
+    const rfp = await RFP.findById(req.params.id);
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can view the RFP's responses
+    if (!hasRFPAccess(req.user, rfp, 'view')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only compare responses to RFPs of your organization'
+      });
+    }
+
+    if (rfp.line_items.length === 0) {
+      return res.status(400).json({
+        error: 'No line items',
+        message: 'This RFP does not have line items to compare prices for'
+      });
+    }
+
+    if (rfp.isSealed()) {
+      return res.status(400).json({
+        error: 'Bids sealed',
+        message: 'Prices cannot be compared until the deadline or bid opening'
+      });
+    }
+
+    const responses = await Response.find({ rfp_id: rfp._id, status: { $ne: 'draft' } })
+      .populate('submitted_by', 'username full_name company_name')
+      .sort({ submitted_at: 1 });
+
+    res.json({
+      message: 'Price comparison retrieved successfully',
+      data: buildPriceComparison(rfp, responses)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the evaluation panel of an RFP
+ * GET /api/rfps/:id/evaluators
+ */
+const getEvaluators = async (req, res, next) => {
+  try {
+    const rfp = await RFP.findById(req.params.id)
+      .select('+evaluators')
+      .populate('evaluators', 'username full_name email organization_role');
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    if (!hasRFPAccess(req.user, rfp, 'view')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view evaluation panels of RFPs of your organization'
+      });
+    }
+
+    res.json({
+      message: 'Evaluation panel retrieved successfully',
+      data: rfp.evaluators
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign the evaluation panel of an RFP
+ * PUT /api/rfps/:id/evaluators
+ */
+const assignEvaluators = async (req, res, next) => {
+  try {
+    const evaluatorIds = [...new Set(req.body.evaluator_ids)];
+
+    const rfp = await RFP.findById(req.params.id).select('+evaluators');
+
+    if (!rfp) {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    // Check if user can manage the RFP
+    if (!hasRFPAccess(req.user, rfp, 'manage')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only assign evaluators to RFPs you own or manage in your organization'
+      });
+    }
+
+    if (rfp.status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Cannot assign evaluators',
+        message: 'Cannot assign evaluators to cancelled RFPs'
+      });
+    }
+
+    if (evaluatorIds.length < config.evaluation.minPanelSize) {
+      return res.status(400).json({
+        error: 'Panel too small',
+        message: `An evaluation panel needs at least ${config.evaluation.minPanelSize} different evaluators`
+      });
+    }
+
+    // Evaluators must be active users who can evaluate this RFP
+    const evaluators = await User.find({ _id: { $in: evaluatorIds }, is_active: true });
+    const ineligible = evaluatorIds.filter((id) => {
+      const evaluator = evaluators.find((user) => user._id.equals(id));
+      return !evaluator || evaluator.role !== 'buyer' || !hasRFPAccess(evaluator, rfp, 'evaluate');
+    });
+
+    if (ineligible.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid evaluators',
+        message: 'Evaluators must be active buyers who can evaluate this RFP (its creator or organization owners, managers and evaluators)',
+        details: ineligible.map((id) => ({ field: 'evaluator_ids', message: 'User cannot evaluate this RFP', value: id }))
+      });
+    }
+
+    rfp.evaluators = evaluatorIds;
+    await rfp.save({ validateModifiedOnly: true });
+    await rfp.populate('evaluators', 'username full_name email organization_role');
+
+    res.json({
+      message: 'Evaluation panel assigned successfully',
+      data: rfp.evaluators
     });
 
   } catch (error) {
@@ -437,10 +1333,18 @@ module.exports = {
   getAllRFPs,
   getRFPById,
   createRFP,
+  cloneRFP,
+  createNextStage,
+  getStages,
   updateRFP,
   updateRFPStatus,
   deleteRFP,
   publishRFP,
   closeRFP,
-  getRFPResponses
+  extendDeadline,
+  openBids,
+  getRFPResponses,
+  getPriceComparison,
+  getEvaluators,
+  assignEvaluators
 };
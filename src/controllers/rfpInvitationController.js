@@ -0,0 +1,286 @@
+const RFP = require('../models/RFP');
+const RFPInvitation = require('../models/RFPInvitation');
+const User = require('../models/User');
+const { hasRFPAccess } = require('../utils/permissions');
+const { sendRFPInvitationEmails } = require('../utils/rfpNotifications');
+
+/**
+ * RFP Invitation Controller
+ *
+ * This controller handles the supplier invitations of invite-only RFPs:
+ * the owner invites suppliers by user ID or email address and can revoke
+ * invitations, and invited suppliers accept or decline them.
+ */
+
+/**
+ * Find the RFP targeted by :id, sending a 404 if it does not exist or a
+ * 403 if the user lacks the access level
+ */
+const findRFP = async (req, res, level) => {
+  const rfp = await RFP.findById(req.params.id);
+
+  if (!rfp) {
+    res.status(404).json({
+      error: 'RFP not found',
+      message: 'The requested RFP does not exist'
+    });
+    return null;
+  }
+
+  if (!hasRFPAccess(req.user, rfp, level)) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: level === 'manage'
+        ? 'You can only invite suppliers to RFPs you own or manage in your organization'
+        : 'You can only view invitations to RFPs of your organization'
+    });
+    return null;
+  }
+
+  return rfp;
+};
+
+/**
+ * Check if a user can be invited as a supplier
+ */
+const isActiveSupplier = (user) => {
+  return user.role === 'supplier' && user.is_active;
+};
+
+/**
+ * Get the invitations of an RFP with a count per status
+ * GET /api/rfps/:id/invitations
+ */
+const getInvitations = async (req, res, next) => {
+  try {
+    const rfp = await findRFP(req, res, 'view');
+    if (!rfp) return;
+
+    const filter = { rfp_id: rfp._id };
+
+    // Filter by status
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const invitations = await RFPInvitation.find(filter)
+      .populate('supplier_id', 'username full_name company_name')
+      .populate('invited_by', 'username full_name')
+      .sort({ created_at: -1 });
+
+    const summary = Object.fromEntries(RFPInvitation.INVITATION_STATUSES.map((status) => [
+      status,
+      invitations.filter((invitation) => invitation.status === status).length
+    ]));
+
+    res.json({
+      message: 'Invitations retrieved successfully',
+      data: invitations,
+      summary
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite suppliers to an invite-only RFP by user ID or email address
+ * POST /api/rfps/:id/invitations
+ */
+const createInvitations = async (req, res, next) => {
+  try {
+    const { user_ids: userIds = [], emails = [] } = req.body;
+
+    const rfp = await findRFP(req, res, 'manage');
+    if (!rfp) return;
+
+    if (rfp.visibility !== 'invite_only') {
+      return res.status(400).json({
+        error: 'RFP is public',
+        message: 'Only invite-only RFPs take invitations'
+      });
+    }
+
+    if (!['draft', 'published'].includes(rfp.status)) {
+      return res.status(400).json({
+        error: 'Cannot invite suppliers',
+        message: 'Suppliers can only be invited to draft or published RFPs'
+      });
+    }
+
+    const [users, emailUsers] = await Promise.all([
+      User.find({ _id: { $in: userIds } }),
+      User.find({ email: { $in: emails } })
+    ]);
+
+    // Check every invitee is, or can become, an active supplier
+    const errors = [];
+
+    userIds.forEach((id, index) => {
+      const user = users.find((item) => item._id.equals(id));
+
+      if (!user || !isActiveSupplier(user)) {
+        errors.push({ field: `user_ids[${index}]`, message: 'User is not an active supplier', value: id });
+      }
+    });
+
+    emails.forEach((email, index) => {
+      const user = emailUsers.find((item) => item.email === email);
+
+      if (user && !isActiveSupplier(user)) {
+        errors.push({ field: `emails[${index}]`, message: 'Address belongs to an account that is not an active supplier', value: email });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid invitations',
+        message: 'Please check the invited suppliers',
+        details: errors
+      });
+    }
+
+    // Users invited by ID are addressed by their account's email, so both lists merge by address
+    const invitees = new Map();
+
+    users.forEach((user) => invitees.set(user.email, user));
+    emails.forEach((email) => {
+      if (!invitees.has(email)) {
+        invitees.set(email, emailUsers.find((item) => item.email === email) || null);
+      }
+    });
+
+    const existing = await RFPInvitation.find({ rfp_id: rfp._id, email: { $in: [...invitees.keys()] } });
+    const invitations = [];
+
+    for (const [email, user] of invitees) {
+      let invitation = existing.find((item) => item.email === email);
+
+      if (!invitation) {
+        invitation = new RFPInvitation({ rfp_id: rfp._id, email, invited_by: req.user._id });
+      } else if (!RFPInvitation.ACTIVE_STATUSES.includes(invitation.status)) {
+        // Invite again after a decline or revocation
+        invitation.status = 'pending';
+        invitation.invited_by = req.user._id;
+        invitation.sent_at = undefined;
+        invitation.responded_at = undefined;
+      }
+
+      if (user && !invitation.supplier_id) {
+        invitation.supplier_id = user._id;
+        invitation.organization_id = user.organization_id;
+      }
+
+      await invitation.save();
+      invitations.push(invitation);
+    }
+
+    // Invitations to drafts are sent when the RFP is published
+    if (rfp.status === 'published') {
+      await sendRFPInvitationEmails(rfp);
+    }
+
+    res.status(201).json({
+      message: `${invitations.length} supplier(s) invited`,
+      data: invitations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an invitation
+ * DELETE /api/rfps/:id/invitations/:invitationId
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const rfp = await findRFP(req, res, 'manage');
+    if (!rfp) return;
+
+    const invitation = await RFPInvitation.findOne({ _id: req.params.invitationId, rfp_id: rfp._id });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'The requested invitation does not exist'
+      });
+    }
+
+    if (invitation.status === 'revoked') {
+      return res.status(400).json({
+        error: 'Cannot revoke invitation',
+        message: 'This invitation has already been revoked'
+      });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept or decline the current supplier's invitation to an RFP
+ * POST /api/rfps/:id/invitations/respond
+ */
+const respondToInvitation = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    const rfp = await RFP.findById(req.params.id);
+
+    if (!rfp || rfp.status === 'draft') {
+      return res.status(404).json({
+        error: 'RFP not found',
+        message: 'The requested RFP does not exist'
+      });
+    }
+
+    const invitation = await RFPInvitation.findOne({
+      rfp_id: rfp._id,
+      ...RFPInvitation.filterForUser(req.user, ['pending', 'accepted', 'declined'])
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'You have no invitation to this RFP'
+      });
+    }
+
+    if (rfp.status !== 'published') {
+      return res.status(400).json({
+        error: 'Cannot respond to invitation',
+        message: 'Invitations can only be answered while the RFP is published'
+      });
+    }
+
+    invitation.status = status;
+    invitation.responded_at = new Date();
+    await invitation.save();
+
+    res.json({
+      message: status === 'accepted' ? 'Invitation accepted' : 'Invitation declined',
+      data: invitation
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getInvitations,
+  createInvitations,
+  revokeInvitation,
+  respondToInvitation
+};
@@ -0,0 +1,177 @@
+const RFPTemplate = require('../models/RFPTemplate');
+const { hasRFPAccess, buildAccessFilter } = require('../utils/permissions');
+const { escapeRegExp } = require('../utils/helpers');
+
+/**
+ * RFP Template Controller
+ *
+ * This controller handles reusable RFP templates. Templates are shared
+ * with the creator's organization with the same roles as RFPs; new RFPs
+ * are created from them through createRFP with a template_id.
+ */
+
+/**
+ * Find the template targeted by :id, sending a 404 if it does not exist or
+ * the user cannot see it, or a 403 if the user lacks the access level
+ */
+const findTemplate = async (req, res, level) => {
+  const template = await RFPTemplate.findById(req.params.id);
+
+  if (!template || !hasRFPAccess(req.user, template, 'view')) {
+    res.status(404).json({
+      error: 'Template not found',
+      message: 'The requested RFP template does not exist'
+    });
+    return null;
+  }
+
+  if (!hasRFPAccess(req.user, template, level)) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only change RFP templates you own or manage in your organization'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+/**
+ * Get RFP templates the user can use
+ * GET /api/rfp-templates
+ */
+const getTemplates = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = buildAccessFilter(req.user, 'created_by', 'view');
+
+    // Filter by search term (name or title)
+    if (req.query.search) {
+      const search = new RegExp(escapeRegExp(req.query.search), 'i');
+      filter.$and = [{ $or: [{ name: search }, { title: search }] }];
+    }
+
+    const templates = await RFPTemplate.find(filter)
+      .populate('created_by', 'username full_name')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RFPTemplate.countDocuments(filter);
+
+    res.json({
+      message: 'RFP templates retrieved successfully',
+      data: templates,
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(total / limit),
+        total_items: total,
+        items_per_page: limit
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single RFP template by ID
+ * GET /api/rfp-templates/:id
+ */
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res, 'view');
+    if (!template) return;
+
+    await template.populate('created_by', 'username full_name');
+
+    res.json({
+      message: 'RFP template retrieved successfully',
+      data: template
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create new RFP template
+ * POST /api/rfp-templates
+ */
+const createTemplate = async (req, res, next) => {
+  try {
+    const template = new RFPTemplate({
+      ...req.body,
+      created_by: req.user._id,
+      organization_id: req.user.organization_id
+    });
+    await template.save();
+
+    res.status(201).json({
+      message: 'RFP template created successfully',
+      data: template
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update RFP template
+ * PUT /api/rfp-templates/:id
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res, 'manage');
+    if (!template) return;
+
+    // Ownership does not change through updates
+    delete req.body.created_by;
+    delete req.body.organization_id;
+
+    Object.assign(template, req.body);
+    await template.save();
+
+    res.json({
+      message: 'RFP template updated successfully',
+      data: template
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete RFP template
+ * DELETE /api/rfp-templates/:id
+ */
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res, 'manage');
+    if (!template) return;
+
+    await RFPTemplate.findByIdAndDelete(template._id);
+
+    res.json({
+      message: 'RFP template deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
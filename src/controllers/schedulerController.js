@@ -0,0 +1,75 @@
+const config = require('../config');
+const { hashToken } = require('../utils/tokens');
+const { runScheduledTransitions } = require('../utils/rfpScheduler');
+const crypto = require('crypto');
+
+/**
+ * Scheduler Controller
+ *
+ * This controller runs the RFP scheduler on request, for deployments
+ * without a long-running process (such as Vercel, whose cron jobs call
+ * it). Requests must carry the configured CRON_SECRET as a bearer token.
+ */
+
+/**
+ * Check the bearer token of a request against the cron secret
+ */
+const hasCronSecret = (req) => {
+  const header = req.headers.authorization || '';
+
+  if (!config.scheduler.cronSecret || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  // Hashing first makes the comparison constant-time regardless of length
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(header.slice('Bearer '.length))),
+    Buffer.from(hashToken(config.scheduler.cronSecret))
+  );
+};
+
+/**
+ * Publish scheduled drafts and close expired RFPs once
+ * GET /api/cron/rfp-scheduler
+ */
+const runScheduler = async (req, res, next) => {
+  try {
+    if (!config.scheduler.cronSecret) {
+      return res.status(503).json({
+        error: 'Scheduler trigger disabled',
+        message: 'Set CRON_SECRET to run the scheduler on request'
+      });
+    }
+
+    if (!hasCronSecret(req)) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'A valid cron secret is required'
+      });
+    }
+
+    if (!config.scheduler.enabled) {
+      return res.json({
+        message: 'RFP scheduler is disabled',
+        data: { published: [], closed: [] }
+      });
+    }
+
+    const { published, closed } = await runScheduledTransitions();
+
+    res.json({
+      message: `${published.length} RFP(s) published, ${closed.length} RFP(s) closed`,
+      data: {
+        published: published.map((rfp) => rfp._id),
+        closed: closed.map((rfp) => rfp._id)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  runScheduler
+};
@@ -0,0 +1,281 @@
+const config = require('../config');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const { createSession, verifyChallengeToken } = require('../utils/tokens');
+const { generateSecret, verifyTOTP, buildOtpAuthUri } = require('../utils/totp');
+const { rejectThrottledLogin, recordFailedLogin, sendFailedLogin } = require('../utils/loginThrottle');
+const { recordAuthEvent } = require('../utils/authEvents');
+
+/**
+ * Two-Factor Authentication Controller
+ *
+ * This controller handles TOTP enrollment, recovery codes and the
+ * second step of the login flow for accounts with 2FA enabled.
+ */
+
+const TOTP_ISSUER = config.twoFactor.issuer;
+
+/**
+ * Check a TOTP code against the user's secret and remember the time step
+ * so the same code cannot be used twice (requires +two_factor_last_counter)
+ */
+const consumeTOTP = (user, secret, code) => {
+  const counter = verifyTOTP(secret, code);
+
+  if (counter === null || (user.two_factor_last_counter != null && counter <= user.two_factor_last_counter)) {
+    return false;
+  }
+
+  user.two_factor_last_counter = counter;
+  return true;
+};
+
+/**
+ * Start 2FA enrollment
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.two_factor_pending_secret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauth_uri: buildOtpAuthUri({
+        secret,
+        accountName: user.email,
+        issuer: TOTP_ISSUER
+      })
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code and enable 2FA
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+two_factor_pending_secret +two_factor_last_counter');
+
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.two_factor_pending_secret) {
+      return res.status(400).json({
+        error: 'Enrollment not started',
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    if (!consumeTOTP(user, user.two_factor_pending_secret, req.body.code)) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    user.two_factor_secret = user.two_factor_pending_secret;
+    user.two_factor_pending_secret = undefined;
+    user.two_factor_enabled = true;
+    user.two_factor_enabled_at = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAuthEvent(req, 'two_factor_enable', 'success', { user });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they will not be shown again.',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disable 2FA
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +two_factor_secret +two_factor_last_counter');
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Two-factor authentication is mandatory for buyer accounts'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid || !consumeTOTP(user, user.two_factor_secret, code)) {
+      await recordAuthEvent(req, 'two_factor_disable', 'failure', { user, reason: 'invalid_credentials' });
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.two_factor_enabled = false;
+    user.two_factor_enabled_at = undefined;
+    user.two_factor_secret = undefined;
+    user.two_factor_last_counter = undefined;
+    user.two_factor_recovery_codes = [];
+    await user.save();
+
+    await recordAuthEvent(req, 'two_factor_disable', 'success', { user });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+two_factor_secret +two_factor_last_counter');
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!consumeTOTP(user, user.two_factor_secret, req.body.code)) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAuthEvent(req, 'recovery_codes_regenerate', 'success', { user });
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete login with a TOTP or recovery code
+ * POST /api/auth/login/2fa
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const challenge = verifyChallengeToken(challenge_token);
+
+    if (!challenge) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(challenge.userId)
+      .select('+two_factor_secret +two_factor_last_counter +two_factor_recovery_codes');
+
+    if (!user || !user.is_active || !user.two_factor_enabled) {
+      return res.status(401).json({
+        error: 'Invalid challenge',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    // Wrong codes count towards the same per-username limit as wrong passwords
+    if (await rejectThrottledLogin(user.username, res)) {
+      await recordAuthEvent(req, 'login', 'failure', { user, reason: 'throttled' });
+      return;
+    }
+
+    const method = recovery_code ? 'recovery_code' : 'totp';
+    const isValid = recovery_code
+      ? user.useRecoveryCode(recovery_code)
+      : consumeTOTP(user, user.two_factor_secret, code);
+
+    if (!isValid) {
+      await recordAuthEvent(req, 'login', 'failure', { user, reason: `invalid_${method}` });
+      const throttle = await recordFailedLogin(user.username, user, req);
+      if (throttle.is_locked) return sendFailedLogin(throttle, res);
+
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The authentication code is incorrect'
+      });
+    }
+
+    await user.save();
+    await LoginThrottle.clearFailures(user.username);
+    await recordAuthEvent(req, 'login', 'success', { user, metadata: { method } });
+
+    // Start a session and issue tokens
+    const tokens = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      recovery_codes_remaining: user.two_factor_recovery_codes.length,
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
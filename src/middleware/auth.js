@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken, findActiveSession } = require('../utils/tokens');
+const { isSameId } = require('../utils/permissions');
 
 /**
  * Authentication Middleware
@@ -9,12 +11,70 @@ const User = require('../models/User');
  */
 
 /**
- * Verify JWT token and authenticate user
+ * Resolve the user behind an X-API-Key header
+ * @returns {object} { user, apiKey } or { status, error, message } when rejected
+ */
+const resolveApiKey = async (key, req) => {
+  // Keys only work on routes that declare the scope they need
+  if (!req.apiKeyScope) {
+    return { status: 403, message: 'API keys cannot be used for this endpoint' };
+  }
+
+  const apiKey = await ApiKey.findActiveByKey(key);
+
+  if (!apiKey) {
+    return { status: 401, message: 'API key is invalid, expired or revoked' };
+  }
+
+  if (!apiKey.hasScope(req.apiKeyScope)) {
+    return { status: 403, message: `API key is missing the ${req.apiKeyScope} scope` };
+  }
+
+  const user = await User.findById(apiKey.user_id);
+
+  // Organization keys stop working once their creator leaves the organization
+  if (!user || !user.is_active ||
+      (apiKey.organization_id && !isSameId(user.organization_id, apiKey.organization_id))) {
+    return { status: 401, message: 'API key owner is no longer active' };
+  }
+
+  // Keys act as their owner, so they are held to the same account checks as a login
+  if (user.password_reset_required) {
+    return { status: 403, error: 'Password reset required', message: 'The API key owner must reset their password before the key can be used' };
+  }
+
+  if (user.isTwoFactorRequired() && !user.two_factor_enabled) {
+    return { status: 403, error: 'Two-factor authentication required', message: 'The API key owner must enable two-factor authentication before the key can be used' };
+  }
+
+  await apiKey.recordUsage(req);
+
+  return { user, apiKey };
+};
+
+/**
+ * Verify JWT token or API key and authenticate user
  */
 const authenticate = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.header('Authorization');
+    const apiKeyHeader = req.header('X-API-Key');
+
+    if ((!authHeader || !authHeader.startsWith('Bearer ')) && apiKeyHeader) {
+      const result = await resolveApiKey(apiKeyHeader, req);
+
+      if (!result.user) {
+        return res.status(result.status).json({
+          error: result.error || 'Access denied',
+          message: result.message
+        });
+      }
+
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      return next();
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
@@ -27,8 +87,17 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     // Verify token
-    const JWT_SECRET = '7979384fb634f6affd5455d439b3e7bf57edb18c248ccc09d56b739dab2fcf0aeb00d5eb237aca0c0d809f2cbe2b4945ca6c004f8c986c9133e6b6c6ecd6533f';
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Make sure the session behind the token has not been revoked
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Session has been revoked or has expired'
+      });
+    }
     
     // Find user by ID from token
     const user = await User.findById(decoded.userId);
@@ -47,8 +116,17 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Enforce the 2FA policy everywhere except on the enrollment routes
+    if (user.isTwoFactorRequired() && !user.two_factor_enabled && !req.allowTwoFactorEnrollment) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Please enable two-factor authentication to continue'
+      });
+    }
+
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
 
   } catch (error) {
@@ -74,6 +152,26 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Let users who still have to enroll in 2FA reach a route.
+ * Must be placed before `authenticate`.
+ */
+const allowTwoFactorEnrollment = (req, res, next) => {
+  req.allowTwoFactorEnrollment = true;
+  next();
+};
+
+/**
+ * Let API keys with the given scope reach a route.
+ * Must be placed before `authenticate` or `optionalAuth`.
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
 /**
  * Check if user has specific role
  */
@@ -97,24 +195,82 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Check if user has a specific role in their organization
+ */
+const authorizeOrganization = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user.organization_id) {
+      return res.status(404).json({
+        error: 'Organization not found',
+        message: 'You are not a member of an organization'
+      });
+    }
+
+    if (!roles.includes(req.user.organization_role)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Access restricted to organization ${roles.join(', ')} only`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Require a verified email address
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  // Accounts created before verification existed have no value and are allowed
+  if (req.user && req.user.email_verified === false) {
+    return res.status(403).json({
+      error: 'Email not verified',
+      message: 'Please verify your email address before performing this action'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token provided
  */
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
+    const apiKeyHeader = req.header('X-API-Key');
+
+    if ((!authHeader || !authHeader.startsWith('Bearer ')) && apiKeyHeader) {
+      const result = await resolveApiKey(apiKeyHeader, req);
+
+      if (result.user) {
+        req.user = result.user;
+        req.apiKey = result.apiKey;
+      }
+
+      return next(); // Continue without authentication for rejected keys
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return next(); // Continue without authentication
     }
 
     const token = authHeader.substring(7);
-    const JWT_SECRET = '7979384fb634f6affd5455d439b3e7bf57edb18c248ccc09d56b739dab2fcf0aeb00d5eb237aca0c0d809f2cbe2b4945ca6c004f8c986c9133e6b6c6ecd6533f';
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      return next(); // Continue without authentication for revoked sessions
+    }
+
     const user = await User.findById(decoded.userId);
     
-    if (user && user.is_active) {
+    const mustEnroll = user && user.isTwoFactorRequired() && !user.two_factor_enabled;
+
+    if (user && user.is_active && !mustEnroll) {
       req.user = user;
+      req.authSession = session;
     }
     
     next();
@@ -126,6 +282,10 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  allowTwoFactorEnrollment,
+  requireScope,
   authorize,
+  authorizeOrganization,
+  requireVerifiedEmail,
   optionalAuth
 };
@@ -1,3 +1,5 @@
+const config = require('../config');
+
 /**
  * Global Error Handler Middleware
  * 
@@ -65,7 +67,7 @@ const errorHandler = (err, req, res, next) => {
   };
 
   // Include stack trace in development
-  if (process.env.NODE_ENV === 'development') {
+  if (config.isDevelopment) {
     response.stack = err.stack;
   }
 
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const RFP = require('../models/RFP');
 
 /**
  * Validation Middleware
@@ -71,7 +72,7 @@ const validateUserRegistration = [
   body('phone')
     .optional()
     .trim()
-    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .matches(/^[+]?[1-9][\d]{0,15}$/)
     .withMessage('Please provide a valid phone number'),
   
   handleValidationErrors
@@ -94,24 +95,9 @@ const validateUserLogin = [
 ];
 
 /**
- * RFP Creation/Update Validation
+ * RFP content rules shared by RFPs and RFP templates
  */
-const validateRFP = [
-  body('title')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Title must be between 5 and 200 characters'),
-  
-  body('description')
-    .trim()
-    .isLength({ min: 10, max: 5000 })
-    .withMessage('Description must be between 10 and 5000 characters'),
-  
-  body('category')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Category must be between 2 and 100 characters'),
-  
+const rfpContentRules = [
   body('budget_min')
     .optional()
     .isFloat({ min: 0 })
@@ -128,16 +114,6 @@ const validateRFP = [
       return true;
     }),
   
-  body('deadline')
-    .isISO8601()
-    .withMessage('Deadline must be a valid date')
-    .custom((value) => {
-      if (new Date(value) <= new Date()) {
-        throw new Error('Deadline must be in the future');
-      }
-      return true;
-    }),
-  
   body('requirements')
     .optional()
     .isArray()
@@ -154,23 +130,222 @@ const validateRFP = [
     .isArray()
     .withMessage('Evaluation criteria must be an array'),
   
+  // A plain string is shorthand for a criterion with that name and the default weight and scale
   body('evaluation_criteria.*')
+    .customSanitizer((criterion) => (typeof criterion === 'string' ? { name: criterion } : criterion)),
+  
+  body('evaluation_criteria.*.name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each evaluation criterion name must be between 1 and 200 characters'),
+  
+  body('evaluation_criteria.*.weight')
     .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Criterion weight must be greater than 0 and at most 100'),
+  
+  body('evaluation_criteria.*.min_score')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Criterion minimum score cannot be negative'),
+  
+  body('evaluation_criteria.*.max_score')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Criterion maximum score must be a positive number'),
+  
+  body('sections')
+    .optional()
+    .isArray()
+    .withMessage('Sections must be an array'),
+  
+  body('sections.*.title')
     .trim()
-    .isLength({ max: 500 })
-    .withMessage('Each evaluation criterion cannot exceed 500 characters'),
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each section title must be between 1 and 200 characters'),
+  
+  body('sections.*.questions')
+    .isArray({ min: 1 })
+    .withMessage('Each section needs at least one question'),
+  
+  body('sections.*.questions.*.text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Each question text must be between 1 and 1000 characters'),
+  
+  body('sections.*.questions.*.type')
+    .isIn(RFP.QUESTION_TYPES)
+    .withMessage(`Question type must be one of: ${RFP.QUESTION_TYPES.join(', ')}`),
+  
+  body('sections.*.questions.*.mandatory')
+    .optional()
+    .isBoolean()
+    .withMessage('Mandatory must be true or false'),
+  
+  body('sections.*.questions.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Question options must be an array'),
+  
+  body('line_items')
+    .optional()
+    .isArray()
+    .withMessage('Line items must be an array'),
+  
+  body('line_items.*.item')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each line item name must be between 1 and 200 characters'),
+  
+  body('line_items.*.unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Unit must be between 1 and 50 characters'),
+  
+  body('line_items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than 0'),
+  
+  body('line_items.*.mandatory')
+    .optional()
+    .isBoolean()
+    .withMessage('Mandatory must be true or false'),
   
   body('terms_and_conditions')
     .optional()
     .trim()
     .isLength({ max: 10000 })
-    .withMessage('Terms and conditions cannot exceed 10000 characters'),
+    .withMessage('Terms and conditions cannot exceed 10000 characters')
+];
+
+/**
+ * RFP Creation/Update Validation
+ */
+const validateRFP = [
+  body('title')
+    .if((value, { req }) => !req.body.template_id)
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  
+  body('description')
+    .if((value, { req }) => !req.body.template_id)
+    .trim()
+    .isLength({ min: 10, max: 5000 })
+    .withMessage('Description must be between 10 and 5000 characters'),
+  
+  body('category')
+    .if((value, { req }) => !req.body.template_id)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Category must be between 2 and 100 characters'),
+  
+  body('deadline')
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Deadline must be in the future');
+      }
+      return true;
+    }),
+  
+  body('questions_deadline')
+    .optional()
+    .isISO8601()
+    .withMessage('Questions deadline must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.deadline && new Date(value) > new Date(req.body.deadline)) {
+        throw new Error('Questions deadline cannot be after the RFP deadline');
+      }
+      return true;
+    }),
+  
+  body('publish_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Publish date must be in the future');
+      }
+      if (req.body.deadline && new Date(value) >= new Date(req.body.deadline)) {
+        throw new Error('Publish date must be before the RFP deadline');
+      }
+      return true;
+    }),
+  
+  ...rfpContentRules,
+  
+  body('sealed')
+    .optional()
+    .isBoolean()
+    .withMessage('Sealed must be true or false'),
+  
+  body('stage')
+    .optional()
+    .isIn(RFP.STAGES)
+    .withMessage(`Stage must be one of: ${RFP.STAGES.join(', ')}`),
+  
+  body('visibility')
+    .optional()
+    .isIn(['public', 'invite_only'])
+    .withMessage('Visibility must be one of: public, invite_only'),
+  
+  body('amendment_reason')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Amendment reason must be between 1 and 2000 characters'),
   
   body('status')
     .optional()
     .isIn(['draft', 'published', 'closed', 'cancelled'])
     .withMessage('Status must be one of: draft, published, closed, cancelled'),
   
+  body('template_id')
+    .optional()
+    .isMongoId()
+    .withMessage('Template ID must be a valid ID'),
+  
+  body('placeholders')
+    .optional()
+    .isObject()
+    .withMessage('Placeholders must be an object of placeholder names and values'),
+  
+  handleValidationErrors
+];
+
+/**
+ * RFP Template Creation/Update Validation
+ */
+const validateRFPTemplate = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Template name must be between 2 and 200 characters'),
+  
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description cannot exceed 5000 characters'),
+  
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Category cannot exceed 100 characters'),
+  
+  ...rfpContentRules,
+  
   handleValidationErrors
 ];
 
@@ -212,6 +387,38 @@ const validateResponse = [
     .isLength({ max: 2000 })
     .withMessage('Additional notes cannot exceed 2000 characters'),
   
+  body('answers')
+    .optional()
+    .isObject({ strict: true })
+    .withMessage('Answers must be an object keyed by question ID')
+    .custom((answers) => {
+      if (!Object.keys(answers).every((questionId) => /^[a-f\d]{24}$/i.test(questionId))) {
+        throw new Error('Answers must be keyed by question ID');
+      }
+      return true;
+    }),
+  
+  body('line_item_prices')
+    .optional()
+    .isArray()
+    .withMessage('Line item prices must be an array'),
+  
+  body('line_item_prices.*.line_item_id')
+    .isMongoId()
+    .withMessage('Each price needs a valid line item ID'),
+  
+  body('line_item_prices.*.unit_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a positive number')
+    .toFloat(),
+  
+  body('line_item_prices.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Price notes cannot exceed 500 characters'),
+  
   body('status')
     .optional()
     .isIn(['draft', 'submitted', 'under_review', 'approved', 'rejected'])
@@ -252,6 +459,7 @@ module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validateRFP,
+  validateRFPTemplate,
   validateResponse,
   validateObjectId,
   validatePagination,
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Addendum Model
+ *
+ * This model represents a numbered amendment to a published RFP. Each
+ * addendum stores the reason and the changed fields with their old and
+ * new values. Suppliers who already had a response when it was issued
+ * must acknowledge it before submitting.
+ */
+const addendumSchema = new mongoose.Schema({
+  rfp_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    required: [true, 'RFP ID is required']
+  },
+  number: {
+    type: Number,
+    required: [true, 'Addendum number is required'],
+    min: [1, 'Addendum number must be at least 1']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [2000, 'Reason cannot exceed 2000 characters']
+  },
+  changes: {
+    type: [{
+      _id: false,
+      field: {
+        type: String,
+        required: true
+      },
+      old_value: mongoose.Schema.Types.Mixed,
+      new_value: mongoose.Schema.Types.Mixed
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'An addendum needs at least one change'
+    }
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Addenda are numbered per RFP
+addendumSchema.index({ rfp_id: 1, number: 1 }, { unique: true });
+
+// Static method to find addenda a response still has to acknowledge: those
+// issued after the response was started that it has not acknowledged
+addendumSchema.statics.findPendingFor = function(response) {
+  const rfpId = response.rfp_id && response.rfp_id._id ? response.rfp_id._id : response.rfp_id;
+  const acknowledged = (response.acknowledged_addenda || []).map((entry) => entry.addendum_id);
+
+  return this.find({
+    rfp_id: rfpId,
+    created_at: { $gt: response.created_at },
+    _id: { $nin: acknowledged }
+  }).sort({ number: 1 });
+};
+
+module.exports = mongoose.model('Addendum', addendumSchema);
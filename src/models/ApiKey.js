@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { hashToken, generateOpaqueToken } = require('../utils/tokens');
+
+const API_KEY_PREFIX = 'rfpk_';
+
+const API_KEY_SCOPES = [
+  'rfps:read',
+  'rfps:write',
+  'responses:read',
+  'responses:write',
+  'documents:read',
+  'documents:write'
+];
+
+/**
+ * API Key Model
+ *
+ * This model represents a long-lived credential for system-to-system
+ * integrations. A key always acts as the user who created it; organization
+ * keys are shared with the organization's owners and managers and stop
+ * working once their creator leaves the organization.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  key_prefix: {
+    type: String,
+    required: true // First characters of the key, used to recognise it in listings
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    select: false // Only the SHA-256 hash of the key is stored
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: function(scopes) {
+        return scopes.length > 0;
+      },
+      message: 'At least one scope is required'
+    }
+  },
+  expires_at: {
+    type: Date
+  },
+  last_used_at: {
+    type: Date
+  },
+  last_used_ip: {
+    type: String,
+    trim: true
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.key_hash;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ key_hash: 1 }, { unique: true });
+apiKeySchema.index({ user_id: 1 });
+apiKeySchema.index({ organization_id: 1 });
+
+// Virtual for checking if the key can still be used
+apiKeySchema.virtual('is_active').get(function() {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+});
+
+// Instance method to generate the key, returning the plain key once
+apiKeySchema.methods.createKey = function() {
+  const key = API_KEY_PREFIX + generateOpaqueToken(24);
+
+  this.key_prefix = key.substring(0, API_KEY_PREFIX.length + 8);
+  this.key_hash = hashToken(key);
+
+  return key;
+};
+
+// Instance method to check if the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record that the key has been used
+apiKeySchema.methods.recordUsage = function(req) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { last_used_at: new Date(), last_used_ip: req.ip }
+  );
+};
+
+// Static method to find an unrevoked, unexpired key by its plain value
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({
+    key_hash: hashToken(key),
+    revoked_at: null,
+    $or: [
+      { expires_at: null },
+      { expires_at: { $gt: new Date() } }
+    ]
+  });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
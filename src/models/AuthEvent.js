@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const AUTH_EVENT_TYPES = [
+  'register',
+  'login',
+  'logout',
+  'token_refresh',
+  'password_change',
+  'password_reset_request',
+  'password_reset',
+  'profile_update',
+  'email_verification',
+  'two_factor_enable',
+  'two_factor_disable',
+  'recovery_codes_regenerate',
+  'account_lock',
+  'account_unlock',
+  'sso_link',
+  'sso_unlink',
+  'api_key_create',
+  'api_key_revoke',
+  'admin_user_status',
+  'admin_user_role',
+  'admin_force_password_reset'
+];
+
+/**
+ * Auth Event Model
+ *
+ * This model is the security audit log for authentication and account
+ * events. Events are append-only: once written they cannot be updated
+ * or deleted through the application.
+ */
+const authEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: {
+      values: AUTH_EVENT_TYPES,
+      message: 'Event type is not valid'
+    }
+  },
+  outcome: {
+    type: String,
+    required: [true, 'Outcome is required'],
+    enum: {
+      values: ['success', 'failure'],
+      message: 'Outcome must be either success or failure'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  // Account the event is about; missing for attempts on unknown usernames
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: {
+    type: String,
+    trim: true
+  },
+  // User who performed the action when it is not the account owner (admins)
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip_address: {
+    type: String,
+    trim: true
+  },
+  user_agent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: false
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+authEventSchema.index({ user_id: 1, created_at: -1 });
+authEventSchema.index({ username: 1, created_at: -1 });
+authEventSchema.index({ type: 1, created_at: -1 });
+authEventSchema.index({ created_at: -1 });
+
+/**
+ * Reject any attempt to change or remove stored events
+ */
+const rejectModification = function(next) {
+  next(new Error('Auth events are append-only and cannot be modified or deleted'));
+};
+
+authEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectModification(next);
+  next();
+});
+
+authEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  { document: false, query: true },
+  rejectModification
+);
+
+authEventSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectModification
+);
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+AuthEvent.TYPES = AUTH_EVENT_TYPES;
+
+module.exports = AuthEvent;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Award Model
+ *
+ * This model records the outcome of an RFP: the winning responses with
+ * their award amounts, and the responses rejected when it was awarded.
+ * An RFP is awarded once, so there is at most one award per RFP.
+ */
+const awardSchema = new mongoose.Schema({
+  rfp_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    required: [true, 'RFP ID is required'],
+    unique: true
+  },
+  // Creator and organization of the RFP, for reporting across RFPs
+  rfp_created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  winners: {
+    type: [{
+      _id: false,
+      response_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Response',
+        required: [true, 'Response ID is required']
+      },
+      supplier_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Supplier is required']
+      },
+      amount: {
+        type: Number,
+        required: [true, 'Award amount is required'],
+        min: [0, 'Award amount cannot be negative']
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Award notes cannot exceed 2000 characters']
+      }
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'An award needs at least one winning response'
+    }
+  },
+  total_amount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative']
+  },
+  rejected_response_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response'
+  }],
+  // Standard reason given to every rejected supplier
+  rejection_reason: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Rejection reason cannot exceed 2000 characters']
+  },
+  awarded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Awarding user is required']
+  }
+}, {
+  timestamps: {
+    createdAt: 'awarded_at',
+    updatedAt: false
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+awardSchema.index({ rfp_created_by: 1 });
+awardSchema.index({ organization_id: 1 });
+awardSchema.index({ awarded_at: -1 });
+awardSchema.index({ 'winners.supplier_id': 1 });
+
+// Middleware to keep the total in line with the winners
+awardSchema.pre('validate', function(next) {
+  this.total_amount = this.winners.reduce((sum, winner) => sum + (winner.amount || 0), 0);
+  next();
+});
+
+module.exports = mongoose.model('Award', awardSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Clarification Model
+ *
+ * This model represents a question a supplier asks about a published RFP
+ * and the owner's answer. Public answers are shown to every supplier
+ * without the asker's identity; private answers only to the asker.
+ */
+const clarificationSchema = new mongoose.Schema({
+  rfp_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    required: [true, 'RFP ID is required']
+  },
+  asked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Asker is required']
+  },
+  // Organization of the asker at the time; its members see the question too
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  question: {
+    type: String,
+    required: [true, 'Question is required'],
+    trim: true,
+    maxlength: [2000, 'Question cannot exceed 2000 characters']
+  },
+  answer: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Answer cannot exceed 5000 characters']
+  },
+  visibility: {
+    type: String,
+    enum: {
+      values: ['private', 'public'],
+      message: 'Visibility must be either private or public'
+    },
+    default: 'private'
+  },
+  answered_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  answered_at: {
+    type: Date,
+    // answered_at should be set whenever there is an answer
+    required: [function() {
+      return Boolean(this.answer);
+    }, 'Answered date is required when the question is answered']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+clarificationSchema.index({ rfp_id: 1, created_at: -1 });
+clarificationSchema.index({ asked_by: 1 });
+
+// Virtual for checking if the question has been answered
+clarificationSchema.virtual('is_answered').get(function() {
+  return Boolean(this.answered_at);
+});
+
+// Instance method to hide who asked the question
+clarificationSchema.methods.toAnonymousJSON = function() {
+  const data = this.toJSON();
+  delete data.asked_by;
+  delete data.organization_id;
+  delete data.answered_by;
+  return data;
+};
+
+module.exports = mongoose.model('Clarification', clarificationSchema);
@@ -99,9 +99,9 @@ documentSchema.index({ uploaded_by: 1 });
 documentSchema.index({ document_type: 1 });
 documentSchema.index({ created_at: -1 });
 
-// Virtual for file URL
+// Virtual for file URL; files are only served through the access-checked download
 documentSchema.virtual('file_url').get(function() {
-  return `/uploads/${this.filename}`;
+  return `/api/documents/${this._id}/download`;
 });
 
 // Static method to find documents by RFP
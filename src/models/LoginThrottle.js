@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { hashToken, generateOpaqueToken } = require('../utils/tokens');
+
+const BACKOFF_THRESHOLD = config.loginThrottle.backoffThreshold;
+const BACKOFF_BASE_SECONDS = config.loginThrottle.backoffBaseSeconds;
+const BACKOFF_MAX_SECONDS = config.loginThrottle.backoffMaxSeconds;
+const LOCKOUT_THRESHOLD = config.loginThrottle.lockoutThreshold;
+const LOCKOUT_MINUTES = config.loginThrottle.lockoutMinutes;
+const FAILURE_WINDOW_MINUTES = config.loginThrottle.failureWindowMinutes;
+
+/**
+ * Login Throttle Model
+ *
+ * This model tracks failed login attempts per username, independently of the
+ * IP address they come from. Usernames that do not exist are tracked too, so
+ * responses do not reveal which accounts exist, but only until their failures
+ * or lock expire, so made-up usernames cannot grow the collection without limit.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true
+  },
+  failed_attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Failed attempts cannot be negative']
+  },
+  last_failed_at: {
+    type: Date
+  },
+  // Earliest time the next attempt is accepted (exponential backoff)
+  next_attempt_at: {
+    type: Date
+  },
+  locked_until: {
+    type: Date
+  },
+  lock_count: {
+    type: Number,
+    default: 0
+  },
+  unlock_token: {
+    type: String,
+    select: false // Only the SHA-256 hash of the emailed token is stored
+  },
+  // When MongoDB removes the document; only set for usernames without an account
+  expires_at: {
+    type: Date
+  },
+  events: [{
+    type: {
+      type: String,
+      required: true,
+      enum: ['locked', 'unlocked']
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    ip_address: {
+      type: String,
+      trim: true
+    },
+    user_agent: {
+      type: String,
+      trim: true
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.unlock_token;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+loginThrottleSchema.index({ locked_until: 1 });
+loginThrottleSchema.index({ 'events.created_at': -1 });
+
+// Let MongoDB remove throttles of unknown usernames once they no longer count
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the username is currently locked
+loginThrottleSchema.virtual('is_locked').get(function() {
+  return this.locked_until != null && this.locked_until > new Date();
+});
+
+// Instance method to get the number of seconds before another attempt is allowed
+loginThrottleSchema.methods.getRetryAfterSeconds = function() {
+  const until = this.is_locked ? this.locked_until : this.next_attempt_at;
+  if (!until) return 0;
+
+  return Math.max(0, Math.ceil((until.getTime() - Date.now()) / 1000));
+};
+
+// Instance method to lock the username, returning a single-use unlock token
+loginThrottleSchema.methods.lock = function(req) {
+  const unlockToken = generateOpaqueToken(32);
+
+  this.locked_until = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  this.next_attempt_at = undefined;
+  this.lock_count += 1;
+  this.unlock_token = hashToken(unlockToken);
+  this.events.push({
+    type: 'locked',
+    reason: `${this.failed_attempts} failed login attempts`,
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent')
+  });
+
+  return unlockToken;
+};
+
+// Instance method to clear all counters, optionally recording an unlock event
+loginThrottleSchema.methods.reset = function(req, reason) {
+  const wasLocked = this.is_locked;
+
+  this.failed_attempts = 0;
+  this.next_attempt_at = undefined;
+  this.locked_until = undefined;
+  this.unlock_token = undefined;
+
+  if (wasLocked && reason) {
+    this.events.push({
+      type: 'unlocked',
+      reason,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+  }
+
+  return this.save();
+};
+
+/**
+ * Record a failed attempt for a username.
+ *
+ * After BACKOFF_THRESHOLD failures every further attempt has to wait twice as
+ * long as the previous one. After LOCKOUT_THRESHOLD failures the username is
+ * locked for LOCKOUT_MINUTES.
+ *
+ * Throttles of usernames without an account expire when their failures or
+ * lock stop counting; those of existing accounts are kept with their events.
+ *
+ * @param {string} username - Username being logged into
+ * @param {object} req - Express request
+ * @param {boolean} accountExists - True if the username belongs to an account
+ * @returns {Promise<object>} `{ throttle, unlockToken }`; `unlockToken` is only set when this failure locked the account
+ */
+loginThrottleSchema.statics.registerFailure = async function(username, req, accountExists = false) {
+  const now = new Date();
+
+  // Failures older than the window, or from before an expired lock, no longer count
+  await this.updateOne(
+    {
+      username,
+      $or: [
+        { last_failed_at: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000) } },
+        { locked_until: { $lte: now } }
+      ]
+    },
+    { $set: { failed_attempts: 0 }, $unset: { locked_until: 1, unlock_token: 1 } }
+  );
+
+  const throttle = await this.findOneAndUpdate(
+    { username },
+    { $inc: { failed_attempts: 1 }, $set: { last_failed_at: now } },
+    { new: true, upsert: true }
+  );
+
+  let unlockToken = null;
+
+  if (throttle.is_locked) {
+    // A concurrent attempt already locked the username
+  } else if (throttle.failed_attempts >= LOCKOUT_THRESHOLD) {
+    unlockToken = throttle.lock(req);
+  } else if (throttle.failed_attempts >= BACKOFF_THRESHOLD) {
+    const exponent = throttle.failed_attempts - BACKOFF_THRESHOLD;
+    const delaySeconds = Math.min(BACKOFF_BASE_SECONDS * Math.pow(2, exponent), BACKOFF_MAX_SECONDS);
+    throttle.next_attempt_at = new Date(now.getTime() + delaySeconds * 1000);
+  }
+
+  if (accountExists) {
+    throttle.expires_at = undefined;
+  } else {
+    throttle.expires_at = new Date(Math.max(
+      now.getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000,
+      throttle.locked_until ? throttle.locked_until.getTime() : 0,
+      throttle.next_attempt_at ? throttle.next_attempt_at.getTime() : 0
+    ));
+  }
+
+  await throttle.save();
+
+  return { throttle, unlockToken };
+};
+
+// Static method to clear failures after a successful login
+loginThrottleSchema.statics.clearFailures = function(username) {
+  return this.updateOne(
+    { username },
+    { $set: { failed_attempts: 0 }, $unset: { next_attempt_at: 1 } }
+  );
+};
+
+// Static method to find a locked username by its unlock token
+loginThrottleSchema.statics.findByUnlockToken = function(unlockToken) {
+  return this.findOne({
+    unlock_token: hashToken(unlockToken),
+    locked_until: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * OIDC State Model
+ *
+ * This model stores the short-lived values of an in-flight OpenID Connect
+ * authorization request (state, nonce and PKCE verifier) between the redirect
+ * to the identity provider and the callback. Each state can be used once.
+ */
+const oidcStateSchema = new mongoose.Schema({
+  state_hash: {
+    type: String,
+    required: true // SHA-256 hash of the state parameter sent to the provider
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  code_verifier: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Set when a logged in user is linking their account instead of logging in
+  link_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.code_verifier;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+oidcStateSchema.index({ state_hash: 1 }, { unique: true });
+
+// Let MongoDB remove abandoned login attempts
+oidcStateSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
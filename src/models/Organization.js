@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_SIDES = ['buyer', 'supplier'];
+
+/**
+ * Organization Model
+ *
+ * This model represents a company whose users work together on RFPs or responses.
+ * Membership is stored on the user (`organization_id` and `organization_role`),
+ * so each user belongs to at most one organization. An organization is on the
+ * buyer or the supplier side, and only users of that role can join it.
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // Role of the users the organization is made of, taken from its creator
+  side: {
+    type: String,
+    enum: {
+      values: ORGANIZATION_SIDES,
+      message: `Side must be one of: ${ORGANIZATION_SIDES.join(', ')}`
+    }
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+organizationSchema.index({ name: 1 });
+
+// Instance method to get the side of the organization. Organizations created
+// before sides were recorded are on the side of their creator's role
+organizationSchema.methods.getSide = async function() {
+  if (this.side) return this.side;
+
+  const creator = await mongoose.model('User').findById(this.created_by);
+  return creator && ORGANIZATION_SIDES.includes(creator.role) ? creator.role : null;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+Organization.SIDES = ORGANIZATION_SIDES;
+
+module.exports = Organization;
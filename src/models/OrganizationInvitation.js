@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { hashToken, generateOpaqueToken } = require('../utils/tokens');
+
+const INVITATION_TTL_DAYS = config.accountTokens.organizationInvitationTtlDays;
+
+/**
+ * Organization Invitation Model
+ *
+ * This model represents an invitation for someone to join an organization
+ * with a given role. Invitations are addressed by email, so the invitee
+ * does not need an account yet.
+ */
+const organizationInvitationSchema = new mongoose.Schema({
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: {
+      values: ['owner', 'manager', 'evaluator', 'viewer'],
+      message: 'Role must be one of: owner, manager, evaluator, viewer'
+    }
+  },
+  token: {
+    type: String,
+    required: true,
+    select: false // Only the SHA-256 hash of the emailed token is stored
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['pending', 'accepted', 'revoked'],
+      message: 'Status must be one of: pending, accepted, revoked'
+    },
+    default: 'pending'
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  accepted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  accepted_at: {
+    type: Date
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.token;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+organizationInvitationSchema.index({ organization_id: 1, status: 1 });
+organizationInvitationSchema.index({ email: 1 });
+organizationInvitationSchema.index({ token: 1 });
+
+// Virtual for checking if the invitation has expired
+organizationInvitationSchema.virtual('is_expired').get(function() {
+  return this.expires_at < new Date();
+});
+
+// Instance method to create the emailed token, returning the plain token once
+organizationInvitationSchema.methods.createToken = function() {
+  const invitationToken = generateOpaqueToken(32);
+
+  this.token = hashToken(invitationToken);
+  this.expires_at = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return invitationToken;
+};
+
+// Static method to find a pending, unexpired invitation by its token
+organizationInvitationSchema.statics.findByToken = function(invitationToken) {
+  return this.findOne({
+    token: hashToken(invitationToken),
+    status: 'pending',
+    expires_at: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
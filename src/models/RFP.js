@@ -1,4 +1,230 @@
 const mongoose = require('mongoose');
+const config = require('../config');
+const { STAGES } = require('../utils/stages');
+
+const QUESTION_TYPES = ['text', 'number', 'yes_no', 'single_choice', 'multi_choice', 'file', 'pricing'];
+
+/**
+ * Remove internal fields from questionnaire subdocuments
+ */
+const transformSubdocument = function(doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  return ret;
+};
+
+/**
+ * Question Schema
+ *
+ * A single question suppliers answer in their response. Answers are
+ * stored on the response keyed by the question's ID.
+ */
+const questionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [1000, 'Question text cannot exceed 1000 characters']
+  },
+  help_text: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Help text cannot exceed 1000 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Question type is required'],
+    enum: {
+      values: QUESTION_TYPES,
+      message: `Question type must be one of: ${QUESTION_TYPES.join(', ')}`
+    }
+  },
+  mandatory: {
+    type: Boolean,
+    default: false
+  },
+  options: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Each option cannot exceed 200 characters']
+    }],
+    validate: {
+      validator: function(value) {
+        // Choice questions need at least two options, other types none
+        if (['single_choice', 'multi_choice'].includes(this.type)) {
+          return value.length >= 2 && new Set(value).size === value.length;
+        }
+        return value.length === 0;
+      },
+      message: 'Choice questions need at least two distinct options, other questions cannot have options'
+    }
+  },
+  max_length: {
+    type: Number,
+    min: [1, 'Maximum answer length must be at least 1'],
+    max: [10000, 'Maximum answer length cannot exceed 10000']
+  },
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  }
+}, {
+  toJSON: { transform: transformSubdocument }
+});
+
+/**
+ * Section Schema
+ *
+ * Groups related questions of an RFP questionnaire.
+ */
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true,
+    maxlength: [200, 'Section title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Section description cannot exceed 2000 characters']
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'Each section needs at least one question'
+    }
+  }
+}, {
+  toJSON: { transform: transformSubdocument }
+});
+
+/**
+ * Line Item Schema
+ *
+ * One priced item of an RFP's bill of items. Suppliers enter a unit price
+ * per item and the line totals are computed from its quantity.
+ */
+const lineItemSchema = new mongoose.Schema({
+  item: {
+    type: String,
+    required: [true, 'Line item name is required'],
+    trim: true,
+    maxlength: [200, 'Line item name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Line item description cannot exceed 1000 characters']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'each',
+    maxlength: [50, 'Unit cannot exceed 50 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: {
+      validator: function(value) {
+        return value > 0;
+      },
+      message: 'Quantity must be greater than 0'
+    }
+  },
+  mandatory: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  toJSON: { transform: transformSubdocument }
+});
+
+/**
+ * Evaluation Criterion Schema
+ *
+ * A weighted criterion responses are scored on, with its scoring scale.
+ */
+const criterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Criterion name is required'],
+    trim: true,
+    maxlength: [200, 'Criterion name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Criterion description cannot exceed 1000 characters']
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    validate: {
+      validator: function(value) {
+        return value > 0 && value <= 100;
+      },
+      message: 'Weight must be greater than 0 and at most 100'
+    }
+  },
+  min_score: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum score cannot be negative']
+  },
+  max_score: {
+    type: Number,
+    default: 10,
+    validate: {
+      validator: function(value) {
+        return value > this.min_score;
+      },
+      message: 'Maximum score must be greater than minimum score'
+    }
+  }
+}, {
+  toJSON: { transform: transformSubdocument }
+});
+
+/**
+ * Bid Opening Schema
+ *
+ * The formal opening of the sealed bids of an RFP and who was present.
+ */
+const bidOpeningSchema = new mongoose.Schema({
+  opened_at: {
+    type: Date,
+    required: true
+  },
+  opened_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attendees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Number of submitted responses when the bids were opened
+  response_count: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Bid opening notes cannot exceed 2000 characters']
+  }
+}, {
+  _id: false
+});
 
 /**
  * RFP (Request for Proposal) Model
@@ -52,21 +278,74 @@ const rfpSchema = new mongoose.Schema({
     required: [true, 'Deadline is required'],
     validate: {
       validator: function(value) {
-        return value > new Date();
+        // Only a new deadline has to be in the future, so expired RFPs can still be saved
+        return !this.isModified('deadline') || value > new Date();
       },
       message: 'Deadline must be in the future'
     }
   },
+  // Audit trail of deadline extensions made through the extension workflow
+  deadline_history: [{
+    _id: false,
+    previous_deadline: {
+      type: Date,
+      required: true
+    },
+    new_deadline: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      required: [true, 'Extension reason is required'],
+      trim: true,
+      maxlength: [1000, 'Extension reason cannot exceed 1000 characters']
+    },
+    // Whether the extension reopened an RFP closed at its deadline
+    reopened: {
+      type: Boolean,
+      default: false
+    },
+    extended_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    extended_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // When set on a draft, the scheduler publishes the RFP at this time
+  publish_at: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.deadline || value < this.deadline;
+      },
+      message: 'Publish date must be before the RFP deadline'
+    }
+  },
+  // Last moment suppliers can ask clarification questions
+  questions_deadline: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.deadline || value <= this.deadline;
+      },
+      message: 'Questions deadline cannot be after the RFP deadline'
+    }
+  },
   requirements: [{
     type: String,
     trim: true,
     maxlength: [500, 'Each requirement cannot exceed 500 characters']
   }],
-  evaluation_criteria: [{
-    type: String,
-    trim: true,
-    maxlength: [500, 'Each evaluation criterion cannot exceed 500 characters']
-  }],
+  evaluation_criteria: [criterionSchema],
+  // Structured questionnaire suppliers answer question by question
+  sections: [sectionSchema],
+  // Priced bill of items suppliers enter unit prices for
+  line_items: [lineItemSchema],
   terms_and_conditions: {
     type: String,
     trim: true,
@@ -76,8 +355,8 @@ const rfpSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: {
-      values: ['draft', 'published', 'closed', 'cancelled'],
-      message: 'Status must be one of: draft, published, closed, cancelled'
+      values: ['draft', 'published', 'closed', 'awarded', 'cancelled'],
+      message: 'Status must be one of: draft, published, closed, awarded, cancelled'
     },
     default: 'draft'
   },
@@ -86,6 +365,11 @@ const rfpSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Creator is required']
   },
+  // Organization of the creator at creation time; its members share access
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   published_at: {
     type: Date,
     validate: {
@@ -96,6 +380,103 @@ const rfpSchema = new mongoose.Schema({
       message: 'Published date is required when status is published'
     }
   },
+  closed_at: {
+    type: Date
+  },
+  // manual when closed by the owner, deadline when closed by the scheduler
+  closed_reason: {
+    type: String,
+    enum: {
+      values: ['manual', 'deadline'],
+      message: 'Closed reason must be either manual or deadline'
+    }
+  },
+  // Invite-only RFPs are only shown to suppliers with an active invitation
+  visibility: {
+    type: String,
+    enum: {
+      values: ['public', 'invite_only'],
+      message: 'Visibility must be one of: public, invite_only'
+    },
+    default: 'public'
+  },
+  // Sealed bids: response content is hidden from the buyer side until the deadline or the bid opening
+  sealed: {
+    type: Boolean,
+    default: false
+  },
+  bid_opening: bidOpeningSchema,
+  // Evaluation panel; when set, only these users score responses and scores need consensus
+  evaluators: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Suppliers notified about clarifications and other changes to the RFP
+  interested_suppliers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Number of addenda issued since publishing
+  version: {
+    type: Number,
+    default: 0,
+    min: [0, 'Version cannot be negative']
+  },
+  // Where the content came from, when created from a template or cloned
+  template_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFPTemplate'
+  },
+  cloned_from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP'
+  },
+  // Procurement stage; later stages are created from the shortlist of the previous one
+  stage: {
+    type: String,
+    enum: {
+      values: STAGES,
+      message: `Stage must be one of: ${STAGES.join(', ')}`
+    },
+    default: 'rfp'
+  },
+  previous_stage_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP'
+  },
+  next_stage_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP'
+  },
+  // Suppliers shortlisted from the previous stage; only they can see and respond to this stage.
+  // Hidden by default so suppliers never learn who else was shortlisted
+  shortlist: {
+    type: [{
+      _id: false,
+      supplier_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      organization_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+      },
+      // The supplier's response to the previous stage
+      response_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Response',
+        required: true
+      }
+    }],
+    select: false
+  },
   response_count: {
     type: Number,
     default: 0,
@@ -122,16 +503,26 @@ const rfpSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 rfpSchema.index({ created_by: 1 });
+rfpSchema.index({ organization_id: 1 });
 rfpSchema.index({ status: 1 });
 rfpSchema.index({ category: 1 });
 rfpSchema.index({ deadline: 1 });
 rfpSchema.index({ created_at: -1 });
+rfpSchema.index({ status: 1, publish_at: 1 });
+rfpSchema.index({ status: 1, deadline: 1 });
+rfpSchema.index({ previous_stage_id: 1 });
+rfpSchema.index({ visibility: 1, status: 1 });
+rfpSchema.index({ 'shortlist.supplier_id': 1 });
 
-// Middleware to set published_at when status changes to published
+// Middleware to set published_at and closed_at when the status changes
 rfpSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'published' && !this.published_at) {
     this.published_at = new Date();
   }
+  if (this.isModified('status') && this.status === 'closed' && !this.closed_at) {
+    this.closed_at = new Date();
+    this.closed_reason = this.closed_reason || 'manual';
+  }
   next();
 });
 
@@ -140,6 +531,71 @@ rfpSchema.virtual('is_expired').get(function() {
   return this.deadline < new Date();
 });
 
+// Instance method to list all questionnaire questions
+rfpSchema.methods.getQuestions = function() {
+  return (this.sections || []).flatMap((section) => section.questions);
+};
+
+// Instance method to get the cutoff for clarification questions
+rfpSchema.methods.getQuestionsCutoff = function() {
+  if (this.questions_deadline) {
+    return this.questions_deadline;
+  }
+
+  return new Date(this.deadline.getTime() - config.clarifications.defaultCutoffHours * 60 * 60 * 1000);
+};
+
+// Instance method to extend the deadline, reopening the RFP if it was closed
+rfpSchema.methods.extendDeadline = function(newDeadline, reason, userId) {
+  const reopened = this.status === 'closed';
+
+  this.deadline_history.push({
+    previous_deadline: this.deadline,
+    new_deadline: newDeadline,
+    reason,
+    reopened,
+    extended_by: userId
+  });
+  this.deadline = newDeadline;
+
+  if (reopened) {
+    this.status = 'published';
+    this.closed_at = undefined;
+    this.closed_reason = undefined;
+  }
+
+  return this.deadline_history[this.deadline_history.length - 1];
+};
+
+// Instance method to check if the content of responses is still hidden from the buyer side
+rfpSchema.methods.isSealed = function(now = new Date()) {
+  return Boolean(this.sealed) && !(this.bid_opening && this.bid_opening.opened_at) && this.deadline > now;
+};
+
+// Static method to register a supplier's interest in an RFP
+rfpSchema.statics.registerInterest = function(rfpId, userId) {
+  return this.updateOne({ _id: rfpId }, { $addToSet: { interested_suppliers: userId } });
+};
+
+// Static method to publish one draft whose publish_at has passed. The status
+// condition makes the update atomic, so only one scheduler instance wins it.
+rfpSchema.statics.publishNextScheduled = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'draft', publish_at: { $lte: now }, deadline: { $gt: now } },
+    { $set: { status: 'published', published_at: now } },
+    { new: true, sort: { publish_at: 1 } }
+  );
+};
+
+// Static method to close one published RFP whose deadline has passed
+rfpSchema.statics.closeNextExpired = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'published', deadline: { $lte: now } },
+    { $set: { status: 'closed', closed_at: now, closed_reason: 'deadline' } },
+    { new: true, sort: { deadline: 1 } }
+  );
+};
+
 // Static method to find active RFPs
 rfpSchema.statics.findActive = function() {
   return this.find({
@@ -153,4 +609,12 @@ rfpSchema.statics.findByCreator = function(userId) {
   return this.find({ created_by: userId });
 };
 
-module.exports = mongoose.model('RFP', rfpSchema);
+const RFP = mongoose.model('RFP', rfpSchema);
+
+RFP.QUESTION_TYPES = QUESTION_TYPES;
+RFP.STAGES = STAGES;
+RFP.criterionSchema = criterionSchema;
+RFP.sectionSchema = sectionSchema;
+RFP.lineItemSchema = lineItemSchema;
+
+module.exports = RFP;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { isShortlisted } = require('../utils/permissions');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+
+// Statuses that let the supplier see and respond to an invite-only RFP
+const ACTIVE_STATUSES = ['pending', 'accepted'];
+
+/**
+ * RFP Invitation Model
+ *
+ * This model represents an invitation for a supplier to an invite-only RFP.
+ * Invitations are addressed to an existing supplier or to an email address;
+ * invitations to an address without an account are claimed by the supplier
+ * who registers with it.
+ */
+const rfpInvitationSchema = new mongoose.Schema({
+  rfp_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RFP',
+    required: [true, 'RFP ID is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Invited supplier, set once the address belongs to an account
+  supplier_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Organization of the supplier when linked; its members share the invitation
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: {
+      values: INVITATION_STATUSES,
+      message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}`
+    },
+    default: 'pending'
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviter is required']
+  },
+  // When the invitation email was sent; invitations to drafts are sent on publish
+  sent_at: {
+    type: Date
+  },
+  // When a supplier registered with the invited address and claimed the invitation
+  claimed_at: {
+    type: Date
+  },
+  responded_at: {
+    type: Date
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One invitation per address per RFP
+rfpInvitationSchema.index({ rfp_id: 1, email: 1 }, { unique: true });
+
+// Other indexes for better query performance
+rfpInvitationSchema.index({ supplier_id: 1, status: 1 });
+rfpInvitationSchema.index({ organization_id: 1, status: 1 });
+rfpInvitationSchema.index({ email: 1, supplier_id: 1 });
+
+// Static method to build the filter matching invitations of a user and their organization.
+// Invitations claimed by email only count once the user has verified that email
+rfpInvitationSchema.statics.filterForUser = function(user, statuses = ACTIVE_STATUSES) {
+  const conditions = [{ supplier_id: user._id }];
+
+  if (user.organization_id) {
+    conditions.push({ organization_id: user.organization_id });
+  }
+
+  return {
+    status: { $in: statuses },
+    $or: conditions,
+    ...(user.email_verified === false && { claimed_at: null })
+  };
+};
+
+// Static method to check if a user may see and respond to an RFP as a supplier: later stages
+// need a shortlisted supplier, invite-only RFPs an active invitation
+rfpInvitationSchema.statics.isInvited = async function(user, rfp) {
+  if (rfp.previous_stage_id && !(user && isShortlisted(user, rfp))) return false;
+
+  if (rfp.visibility !== 'invite_only') return true;
+
+  return user != null && await this.exists({ rfp_id: rfp._id, ...this.filterForUser(user) }) != null;
+};
+
+// Static method to link invitations sent to a new user's email address to their account
+rfpInvitationSchema.statics.claimForUser = function(user) {
+  return this.updateMany(
+    { email: user.email, supplier_id: null, status: { $ne: 'revoked' } },
+    { $set: { supplier_id: user._id, organization_id: user.organization_id, claimed_at: new Date() } }
+  );
+};
+
+const RFPInvitation = mongoose.model('RFPInvitation', rfpInvitationSchema);
+
+RFPInvitation.INVITATION_STATUSES = INVITATION_STATUSES;
+RFPInvitation.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = RFPInvitation;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const RFP = require('./RFP');
+const { extractContent, findPlaceholders, fillPlaceholders } = require('../utils/rfpTemplates');
+
+/**
+ * RFP Template Model
+ *
+ * This model represents reusable RFP content buyers create new RFPs from.
+ * Text fields may contain {{placeholder}} markers that are filled in when
+ * an RFP is created from the template. Templates are shared with the
+ * creator's organization like RFPs.
+ */
+const rfpTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [200, 'Template name cannot exceed 200 characters']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Category cannot exceed 100 characters']
+  },
+  budget_min: {
+    type: Number,
+    min: [0, 'Minimum budget cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return !this.budget_max || value <= this.budget_max;
+      },
+      message: 'Minimum budget cannot be greater than maximum budget'
+    }
+  },
+  budget_max: {
+    type: Number,
+    min: [0, 'Maximum budget cannot be negative']
+  },
+  requirements: [{
+    type: String,
+    trim: true,
+    maxlength: [500, 'Each requirement cannot exceed 500 characters']
+  }],
+  evaluation_criteria: [RFP.criterionSchema],
+  sections: [RFP.sectionSchema],
+  line_items: [RFP.lineItemSchema],
+  terms_and_conditions: {
+    type: String,
+    trim: true,
+    maxlength: [10000, 'Terms and conditions cannot exceed 10000 characters']
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // Organization of the creator at creation time; its members share access
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+rfpTemplateSchema.index({ created_by: 1 });
+rfpTemplateSchema.index({ organization_id: 1 });
+rfpTemplateSchema.index({ name: 1 });
+
+// Virtual listing the placeholders that need a value when creating an RFP
+rfpTemplateSchema.virtual('placeholders').get(function() {
+  return findPlaceholders(extractContent(this));
+});
+
+// Instance method to build RFP content with the placeholders filled in
+rfpTemplateSchema.methods.render = function(values = {}) {
+  const content = fillPlaceholders(extractContent(this), values);
+
+  return {
+    content,
+    missing: findPlaceholders(content)
+  };
+};
+
+module.exports = mongoose.model('RFPTemplate', rfpTemplateSchema);
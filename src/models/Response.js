@@ -1,5 +1,68 @@
 const mongoose = require('mongoose');
 
+/**
+ * Score Schema
+ *
+ * One evaluator's score of a response on one evaluation criterion.
+ */
+const scoreSchema = new mongoose.Schema({
+  criterion_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Criterion ID is required']
+  },
+  score: {
+    type: Number,
+    required: [true, 'Score is required']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  scored_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Scorer is required']
+  },
+  scored_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Consensus Schema
+ *
+ * Final scores agreed by the evaluation panel, set by the RFP owner.
+ */
+const consensusSchema = new mongoose.Schema({
+  scores: [{
+    _id: false,
+    criterion_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Criterion ID is required']
+    },
+    score: {
+      type: Number,
+      required: [true, 'Score is required']
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    }
+  }],
+  finalized_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Finalizer is required']
+  },
+  finalized_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * Response Model
  * 
@@ -17,12 +80,54 @@ const responseSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Submitter is required']
   },
+  // Organization of the creator at creation time; its members share access
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   proposal: {
     type: String,
     required: [true, 'Proposal is required'],
     trim: true,
     maxlength: [10000, 'Proposal cannot exceed 10000 characters']
   },
+  // Answers to the RFP questionnaire keyed by question ID
+  answers: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Unit prices for the RFP's line items; quantities and totals are set by the server
+  line_item_prices: [{
+    _id: false,
+    line_item_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Line item ID is required']
+    },
+    unit_price: {
+      type: Number,
+      required: [true, 'Unit price is required'],
+      min: [0, 'Unit price cannot be negative']
+    },
+    quantity: {
+      type: Number,
+      required: true
+    },
+    total: {
+      type: Number,
+      required: true
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Price notes cannot exceed 500 characters']
+    }
+  }],
+  // Sum of the line totals
+  price_total: {
+    type: Number,
+    min: [0, 'Price total cannot be negative']
+  },
   proposed_budget: {
     type: Number,
     min: [0, 'Proposed budget cannot be negative']
@@ -81,6 +186,54 @@ const responseSchema = new mongoose.Schema({
     trim: true,
     maxlength: [2000, 'Reviewer notes cannot exceed 2000 characters']
   },
+  // Evaluation scores are only shown to the buyer side
+  scores: {
+    type: [scoreSchema],
+    select: false
+  },
+  // Panel evaluators who have submitted their scores
+  evaluator_submissions: {
+    type: [{
+      _id: false,
+      evaluator_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      submitted_at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  consensus: {
+    type: consensusSchema,
+    select: false
+  },
+  // RFP addenda the supplier has acknowledged
+  acknowledged_addenda: [{
+    _id: false,
+    addendum_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Addendum',
+      required: true
+    },
+    acknowledged_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    acknowledged_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // The supplier's response to the previous stage of a multi-stage procurement
+  previous_response_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response'
+  },
   document_ids: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document'
@@ -105,6 +258,7 @@ responseSchema.index({ rfp_id: 1, submitted_by: 1 }, { unique: true });
 
 // Other indexes for better query performance
 responseSchema.index({ submitted_by: 1 });
+responseSchema.index({ organization_id: 1 });
 responseSchema.index({ status: 1 });
 responseSchema.index({ submitted_at: -1 });
 
@@ -121,6 +275,38 @@ responseSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to show only the receipt of a sealed bid, without its content
+responseSchema.methods.toSealedJSON = function() {
+  const data = this.toJSON();
+
+  return {
+    id: data.id,
+    rfp_id: data.rfp_id,
+    submitted_by: data.submitted_by,
+    organization_id: data.organization_id,
+    status: data.status,
+    submitted_at: data.submitted_at,
+    created_at: data.created_at,
+    updated_at: data.updated_at,
+    sealed: true
+  };
+};
+
+// Instance method to record an evaluator's score, replacing their earlier score for the criterion
+responseSchema.methods.setScore = function(criterionId, scorerId, score, comment) {
+  const existing = this.scores.find((entry) =>
+    entry.criterion_id.equals(criterionId) && entry.scored_by.equals(scorerId)
+  );
+
+  if (existing) {
+    existing.score = score;
+    existing.comment = comment;
+    existing.scored_at = new Date();
+  } else {
+    this.scores.push({ criterion_id: criterionId, score, comment, scored_by: scorerId });
+  }
+};
+
 // Static method to find responses by RFP
 responseSchema.statics.findByRFP = function(rfpId) {
   return this.find({ rfp_id: rfpId });
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ *
+ * This model represents a login session. Each session owns one rotating
+ * refresh token; access tokens reference the session through their `sid` claim
+ * so revoking the session invalidates every token issued for it.
+ */
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refresh_token_hash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  // Hashes of refresh tokens that have already been rotated out. Presenting
+  // one of these again means the token family has been stolen.
+  previous_token_hashes: {
+    type: [String],
+    select: false
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  last_used_at: {
+    type: Date
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_reason: {
+    type: String,
+    enum: {
+      values: ['logout', 'reuse_detected', 'password_changed', 'password_reset', 'sso_linked', 'admin'],
+      message: 'Revoked reason is not valid'
+    }
+  },
+  ip_address: {
+    type: String,
+    trim: true
+  },
+  user_agent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.refresh_token_hash;
+      delete ret.previous_token_hashes;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user_id: 1 });
+sessionSchema.index({ refresh_token_hash: 1 });
+sessionSchema.index({ previous_token_hashes: 1 });
+
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('is_active').get(function() {
+  return !this.revoked_at && this.expires_at > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revoked_at = new Date();
+  this.revoked_reason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  return this.updateMany(
+    { user_id: userId, revoked_at: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
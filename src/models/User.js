@@ -1,11 +1,19 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
+const { hashToken, generateOpaqueToken } = require('../utils/tokens');
+
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = config.accountTokens.passwordResetTtlMinutes;
+const EMAIL_VERIFICATION_TOKEN_TTL_HOURS = config.accountTokens.emailVerificationTtlHours;
+const REQUIRE_2FA_FOR_BUYERS = config.twoFactor.requireForBuyers;
+const RECOVERY_CODE_COUNT = 10;
 
 /**
  * User Model
  * 
  * This model represents users in the RFP management system.
  * Users can be either buyers (who create RFPs) or suppliers (who respond to RFPs).
+ * Admins manage user accounts and cannot be created through registration.
  */
 const userSchema = new mongoose.Schema({
   username: {
@@ -26,7 +34,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Users provisioned through single sign-on may not have a password
+    required: [function() { return !this.oidc_subject; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
@@ -40,8 +49,8 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Role is required'],
     enum: {
-      values: ['buyer', 'supplier'],
-      message: 'Role must be either buyer or supplier'
+      values: ['buyer', 'supplier', 'admin'],
+      message: 'Role must be one of: buyer, supplier, admin'
     }
   },
   company_name: {
@@ -52,11 +61,95 @@ const userSchema = new mongoose.Schema({
   phone: {
     type: String,
     trim: true,
-    match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
+    match: [/^[+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
   is_active: {
     type: Boolean,
     default: true
+  },
+  organization_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  organization_role: {
+    type: String,
+    enum: {
+      values: ['owner', 'manager', 'evaluator', 'viewer'],
+      message: 'Organization role must be one of: owner, manager, evaluator, viewer'
+    },
+    validate: {
+      validator: function(value) {
+        // A role only makes sense together with an organization
+        return value == null || this.organization_id != null;
+      },
+      message: 'Organization role requires an organization'
+    }
+  },
+  // No default on purpose: accounts created before email verification existed
+  // have no value and are treated as verified. New accounts start as false.
+  email_verified: {
+    type: Boolean
+  },
+  email_verified_at: {
+    type: Date
+  },
+  email_verification_token: {
+    type: String,
+    select: false // Only the SHA-256 hash of the emailed token is stored
+  },
+  email_verification_expires: {
+    type: Date,
+    select: false
+  },
+  two_factor_enabled: {
+    type: Boolean,
+    default: false
+  },
+  two_factor_enabled_at: {
+    type: Date
+  },
+  two_factor_secret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, promoted once the user confirms a code
+  two_factor_pending_secret: {
+    type: String,
+    select: false
+  },
+  // Last accepted time step, so a code cannot be replayed within its window
+  two_factor_last_counter: {
+    type: Number,
+    select: false
+  },
+  two_factor_recovery_codes: {
+    type: [String], // SHA-256 hashes of unused recovery codes
+    select: false
+  },
+  // Set when an administrator forces a reset; blocks login until the reset
+  password_reset_required: {
+    type: Boolean,
+    default: false
+  },
+  password_reset_token: {
+    type: String,
+    select: false // Only the SHA-256 hash of the emailed token is stored
+  },
+  password_reset_expires: {
+    type: Date,
+    select: false
+  },
+  // Identity at the OpenID Connect provider this account is linked to
+  oidc_issuer: {
+    type: String,
+    trim: true
+  },
+  oidc_subject: {
+    type: String,
+    trim: true
+  },
+  oidc_linked_at: {
+    type: Date
   }
 }, {
   timestamps: { 
@@ -69,6 +162,14 @@ const userSchema = new mongoose.Schema({
       delete ret._id;
       delete ret.__v;
       delete ret.password;
+      delete ret.password_reset_token;
+      delete ret.password_reset_expires;
+      delete ret.email_verification_token;
+      delete ret.email_verification_expires;
+      delete ret.two_factor_secret;
+      delete ret.two_factor_pending_secret;
+      delete ret.two_factor_last_counter;
+      delete ret.two_factor_recovery_codes;
       return ret;
     }
   }
@@ -78,6 +179,11 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ organization_id: 1 });
+userSchema.index(
+  { oidc_issuer: 1, oidc_subject: 1 },
+  { unique: true, partialFilterExpression: { oidc_subject: { $type: 'string' } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -96,11 +202,74 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  try {
-    return await bcrypt.compare(candidatePassword, this.password);
-  } catch (error) {
-    throw error;
+  // Single sign-on accounts without a password can never log in with one
+  if (!this.password) return false;
+
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to create a single-use password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateOpaqueToken(32);
+
+  this.password_reset_token = hashToken(resetToken);
+  this.password_reset_expires = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  return resetToken;
+};
+
+// Static method to find user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    password_reset_token: hashToken(resetToken),
+    password_reset_expires: { $gt: new Date() }
+  }).select('+password_reset_token +password_reset_expires');
+};
+
+// Instance method to create an email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateOpaqueToken(32);
+
+  this.email_verification_token = hashToken(verificationToken);
+  this.email_verification_expires = new Date(Date.now() + EMAIL_VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Static method to find user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  return this.findOne({
+    email_verification_token: hashToken(verificationToken),
+    email_verification_expires: { $gt: new Date() }
+  }).select('+email_verification_token +email_verification_expires');
+};
+
+// Instance method to check whether the 2FA policy applies to this user
+userSchema.methods.isTwoFactorRequired = function() {
+  return REQUIRE_2FA_FOR_BUYERS && this.role === 'buyer';
+};
+
+// Instance method to replace recovery codes, returning the plain codes once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = generateOpaqueToken(5);
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
   }
+
+  this.two_factor_recovery_codes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a recovery code (requires +two_factor_recovery_codes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = this.two_factor_recovery_codes.indexOf(codeHash);
+
+  if (index === -1) return false;
+
+  this.two_factor_recovery_codes.splice(index, 1);
+  return true;
 };
 
 // Static method to find user by credentials
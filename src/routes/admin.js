@@ -0,0 +1,205 @@
+const express = require('express');
+const {
+  getAllUsers,
+  getUserById,
+  updateUserStatus,
+  updateUserRole,
+  forcePasswordReset,
+  getUserRFPs,
+  getUserResponses,
+  getUserDocuments,
+  getLockoutEvents,
+  getAuthEvents,
+  exportAuthEvents
+} = require('../controllers/adminController');
+const AuthEvent = require('../models/AuthEvent');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  validateObjectId,
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { body, query } = require('express-validator');
+
+/**
+ * Admin Routes
+ *
+ * This file defines the user administration routes.
+ * Every route requires an authenticated admin.
+ */
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Get all users with search, filtering and pagination
+ * @access  Private (Admins only)
+ */
+router.get('/users', [
+  validatePagination,
+  query('role')
+    .optional()
+    .isIn(['buyer', 'supplier', 'admin'])
+    .withMessage('Role must be one of: buyer, supplier, admin'),
+  
+  query('is_active')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('is_active must be true or false'),
+  
+  handleValidationErrors
+], getAllUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get single user with activity counts
+ * @access  Private (Admins only)
+ */
+router.get('/users/:id', validateObjectId('id'), getUserById);
+
+/**
+ * @route   PUT /api/admin/users/:id/status
+ * @desc    Activate or deactivate a user
+ * @access  Private (Admins only)
+ */
+router.put('/users/:id/status', [
+  validateObjectId('id'),
+  body('is_active')
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+], updateUserStatus);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (Admins only)
+ */
+router.put('/users/:id/role', [
+  validateObjectId('id'),
+  body('role')
+    .isIn(['buyer', 'supplier', 'admin'])
+    .withMessage('Role must be one of: buyer, supplier, admin'),
+  
+  handleValidationErrors
+], updateUserRole);
+
+/**
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @desc    Sign a user out and require a password reset
+ * @access  Private (Admins only)
+ */
+router.post('/users/:id/force-password-reset', validateObjectId('id'), forcePasswordReset);
+
+/**
+ * @route   GET /api/admin/users/:id/rfps
+ * @desc    Get RFPs created by a user
+ * @access  Private (Admins only)
+ */
+router.get('/users/:id/rfps', [validateObjectId('id'), validatePagination], getUserRFPs);
+
+/**
+ * @route   GET /api/admin/users/:id/responses
+ * @desc    Get responses submitted by a user
+ * @access  Private (Admins only)
+ */
+router.get('/users/:id/responses', [validateObjectId('id'), validatePagination], getUserResponses);
+
+/**
+ * @route   GET /api/admin/users/:id/documents
+ * @desc    Get documents uploaded by a user
+ * @access  Private (Admins only)
+ */
+router.get('/users/:id/documents', [validateObjectId('id'), validatePagination], getUserDocuments);
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    Get account lock and unlock events
+ * @access  Private (Admins only)
+ */
+router.get('/lockouts', [
+  validatePagination,
+  query('type')
+    .optional()
+    .isIn(['locked', 'unlocked'])
+    .withMessage('Type must be either locked or unlocked'),
+  
+  handleValidationErrors
+], getLockoutEvents);
+
+/**
+ * Auth event filters shared by the query and export routes
+ */
+const validateAuthEventFilters = [
+  query('user_id')
+    .optional()
+    .isMongoId()
+    .withMessage('user_id must be a valid ID'),
+  
+  query('actor_id')
+    .optional()
+    .isMongoId()
+    .withMessage('actor_id must be a valid ID'),
+  
+  query('username')
+    .optional()
+    .isString()
+    .withMessage('username must be a string'),
+  
+  query('ip_address')
+    .optional()
+    .isString()
+    .withMessage('ip_address must be a string'),
+  
+  query('type')
+    .optional()
+    .isIn(AuthEvent.TYPES)
+    .withMessage('Event type is not valid'),
+  
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be either success or failure'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+];
+
+/**
+ * @route   GET /api/admin/auth-events
+ * @desc    Query the security audit log
+ * @access  Private (Admins only)
+ */
+router.get('/auth-events', [
+  validatePagination,
+  ...validateAuthEventFilters,
+  handleValidationErrors
+], getAuthEvents);
+
+/**
+ * @route   GET /api/admin/auth-events/export
+ * @desc    Export the security audit log as CSV or JSON
+ * @access  Private (Admins only)
+ */
+router.get('/auth-events/export', [
+  ...validateAuthEventFilters,
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be either csv or json'),
+  
+  handleValidationErrors
+], exportAuthEvents);
+
+module.exports = router;
@@ -2,18 +2,42 @@ const express = require('express');
 const {
   register,
   login,
+  refreshToken,
   getCurrentUser,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  unlockAccount,
+  getActivity,
   logout
 } = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const {
+  getApiKeys,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const ApiKey = require('../models/ApiKey');
+const AuthEvent = require('../models/AuthEvent');
+const { authenticate, allowTwoFactorEnrollment, requireVerifiedEmail } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserLogin,
+  validateObjectId,
+  validatePagination,
   handleValidationErrors
 } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 /**
  * Authentication Routes
@@ -38,12 +62,50 @@ router.post('/register', validateUserRegistration, register);
  */
 router.post('/login', validateUserLogin, login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+router.post('/login/2fa', [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  body('code')
+    .if(body('recovery_code').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  
+  handleValidationErrors
+], verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post('/refresh', [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+], refreshToken);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user information
  * @access  Private
  */
-router.get('/me', authenticate, getCurrentUser);
+router.get('/me', [allowTwoFactorEnrollment, authenticate], getCurrentUser);
 
 /**
  * @route   PUT /api/auth/profile
@@ -67,7 +129,7 @@ router.put('/profile', [
   body('phone')
     .optional()
     .trim()
-    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .matches(/^[+]?[1-9][\d]{0,15}$/)
     .withMessage('Please provide a valid phone number'),
   
   handleValidationErrors
@@ -93,11 +155,204 @@ router.put('/change-password', [
   handleValidationErrors
 ], changePassword);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link by email
+ * @access  Public
+ */
+router.post('/forgot-password', [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+], forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('new_password')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+], resetPassword);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.get('/verify-email/:token', verifyEmail);
+
+/**
+ * @route   GET /api/auth/unlock/:token
+ * @desc    Unlock an account locked after failed logins
+ * @access  Public
+ */
+router.get('/unlock/:token', unlockAccount);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', [allowTwoFactorEnrollment, authenticate], resendVerification);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment and get an otpauth URI
+ * @access  Private
+ */
+router.post('/2fa/setup', [allowTwoFactorEnrollment, authenticate], setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and enable 2FA
+ * @access  Private
+ */
+router.post('/2fa/enable', [
+  allowTwoFactorEnrollment,
+  authenticate,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+], enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post('/2fa/disable', [
+  authenticate,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+], disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', [
+  authenticate,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+], regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    Get personal and organization API keys
+ * @access  Private
+ */
+router.get('/api-keys', authenticate, getApiKeys);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key
+ * @access  Private (organization keys: owners and managers)
+ */
+router.post('/api-keys', [
+  authenticate,
+  requireVerifiedEmail,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scope must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  
+  body('expires_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      return true;
+    }),
+  
+  body('organization')
+    .optional()
+    .isBoolean()
+    .withMessage('organization must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+], createApiKey);
+
+/**
+ * @route   GET /api/auth/api-keys/:id
+ * @desc    Get single API key by ID
+ * @access  Private
+ */
+router.get('/api-keys/:id', [authenticate, validateObjectId('id')], getApiKeyById);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete('/api-keys/:id', [authenticate, validateObjectId('id')], revokeApiKey);
+
+/**
+ * @route   GET /api/auth/activity
+ * @desc    Get your own login and account activity
+ * @access  Private
+ */
+router.get('/activity', [
+  authenticate,
+  validatePagination,
+  query('type')
+    .optional()
+    .isIn(AuthEvent.TYPES)
+    .withMessage('Event type is not valid'),
+  
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be either success or failure'),
+  
+  handleValidationErrors
+], getActivity);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
  * @access  Private
  */
-router.post('/logout', authenticate, logout);
+router.post('/logout', [allowTwoFactorEnrollment, authenticate], logout);
 
 module.exports = router;
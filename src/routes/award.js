@@ -0,0 +1,42 @@
+const express = require('express');
+const { getAwards } = require('../controllers/awardController');
+const { authenticate, authorize, requireScope } = require('../middleware/auth');
+const {
+  validatePagination,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { query } = require('express-validator');
+
+/**
+ * Award Routes
+ *
+ * This file defines the reporting routes for RFP awards. Awards are
+ * created through POST /api/rfps/:id/award.
+ */
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/awards
+ * @desc    Get awards of the user's and their organization's RFPs, with totals
+ * @access  Private (Buyers only)
+ */
+router.get('/', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validatePagination,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  handleValidationErrors
+], getAwards);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const {
   downloadDocument,
   deleteDocument
 } = require('../controllers/documentController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth, requireScope, requireVerifiedEmail } = require('../middleware/auth');
 const {
   validateObjectId,
   validatePagination,
@@ -30,7 +30,9 @@ const router = express.Router();
  * @access  Private
  */
 router.post('/upload', [
+  requireScope('documents:write'),
   authenticate,
+  requireVerifiedEmail,
   upload.single('file'),
   body('document_type')
     .isIn(['rfp_document', 'response_document', 'attachment'])
@@ -60,27 +62,27 @@ router.post('/upload', [
  * @desc    Get all documents with pagination and filtering
  * @access  Private
  */
-router.get('/', [authenticate, validatePagination], getAllDocuments);
+router.get('/', [requireScope('documents:read'), authenticate, validatePagination], getAllDocuments);
 
 /**
  * @route   GET /api/documents/:id
  * @desc    Get single document by ID
  * @access  Private
  */
-router.get('/:id', [authenticate, validateObjectId('id')], getDocumentById);
+router.get('/:id', [requireScope('documents:read'), authenticate, validateObjectId('id')], getDocumentById);
 
 /**
  * @route   GET /api/documents/:id/download
  * @desc    Download document
- * @access  Private
+ * @access  Public for documents of published public RFPs, otherwise Private
  */
-router.get('/:id/download', [authenticate, validateObjectId('id')], downloadDocument);
+router.get('/:id/download', [requireScope('documents:read'), optionalAuth, validateObjectId('id')], downloadDocument);
 
 /**
  * @route   DELETE /api/documents/:id
  * @desc    Delete document
  * @access  Private
  */
-router.delete('/:id', [authenticate, validateObjectId('id')], deleteDocument);
+router.delete('/:id', [requireScope('documents:write'), authenticate, validateObjectId('id')], deleteDocument);
 
 module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const {
+  startOidcLogin,
+  startOidcLink,
+  unlinkOidc,
+  oidcCallback
+} = require('../controllers/oidcController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * OpenID Connect Routes
+ *
+ * This file defines the single sign-on routes for logging in through
+ * an external identity provider and linking existing accounts to it.
+ */
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/auth/oidc/login
+ * @desc    Redirect to the identity provider to log in
+ * @access  Public
+ */
+router.get('/login', startOidcLogin);
+
+/**
+ * @route   GET /api/auth/oidc/callback
+ * @desc    Complete login or account linking after the identity provider redirects back
+ * @access  Public (requires state from login or link)
+ */
+router.get('/callback', oidcCallback);
+
+/**
+ * @route   POST /api/auth/oidc/link
+ * @desc    Start linking the current account to the identity provider
+ * @access  Private
+ */
+router.post('/link', authenticate, startOidcLink);
+
+/**
+ * @route   DELETE /api/auth/oidc/link
+ * @desc    Unlink the current account from the identity provider
+ * @access  Private
+ */
+router.delete('/link', authenticate, unlinkOidc);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const {
+  createOrganization,
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation
+} = require('../controllers/organizationController');
+const { authenticate, authorize, authorizeOrganization } = require('../middleware/auth');
+const {
+  validateObjectId,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { body } = require('express-validator');
+
+/**
+ * Organization Routes
+ *
+ * This file defines all organization-related routes including
+ * membership management and invitations.
+ */
+
+const router = express.Router();
+
+const ORGANIZATION_ROLES = ['owner', 'manager', 'evaluator', 'viewer'];
+
+/**
+ * @route   POST /api/organizations
+ * @desc    Create an organization (current user becomes owner)
+ * @access  Private (Buyers and suppliers)
+ */
+router.post('/', [
+  authenticate,
+  authorize('buyer', 'supplier'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Organization name must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+], createOrganization);
+
+/**
+ * @route   POST /api/organizations/invitations/accept
+ * @desc    Accept an organization invitation
+ * @access  Private (invited email only)
+ */
+router.post('/invitations/accept', [
+  authenticate,
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  
+  handleValidationErrors
+], acceptInvitation);
+
+/**
+ * @route   GET /api/organizations/current
+ * @desc    Get current user's organization
+ * @access  Private (Organization members)
+ */
+router.get('/current', [
+  authenticate,
+  authorizeOrganization(...ORGANIZATION_ROLES)
+], getCurrentOrganization);
+
+/**
+ * @route   PUT /api/organizations/current
+ * @desc    Update current user's organization
+ * @access  Private (Organization owners and managers)
+ */
+router.put('/current', [
+  authenticate,
+  authorizeOrganization('owner', 'manager'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Organization name must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+], updateCurrentOrganization);
+
+/**
+ * @route   GET /api/organizations/current/members
+ * @desc    Get organization members
+ * @access  Private (Organization members)
+ */
+router.get('/current/members', [
+  authenticate,
+  authorizeOrganization(...ORGANIZATION_ROLES)
+], getMembers);
+
+/**
+ * @route   PUT /api/organizations/current/members/:userId
+ * @desc    Change a member's organization role
+ * @access  Private (Organization owners only)
+ */
+router.put('/current/members/:userId', [
+  authenticate,
+  authorizeOrganization('owner'),
+  validateObjectId('userId'),
+  body('role')
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage('Role must be one of: owner, manager, evaluator, viewer'),
+  
+  handleValidationErrors
+], updateMemberRole);
+
+/**
+ * @route   DELETE /api/organizations/current/members/:userId
+ * @desc    Remove a member from the organization
+ * @access  Private (Organization owners only)
+ */
+router.delete('/current/members/:userId', [
+  authenticate,
+  authorizeOrganization('owner'),
+  validateObjectId('userId')
+], removeMember);
+
+/**
+ * @route   POST /api/organizations/current/leave
+ * @desc    Leave the organization
+ * @access  Private (Organization members)
+ */
+router.post('/current/leave', [
+  authenticate,
+  authorizeOrganization(...ORGANIZATION_ROLES)
+], leaveOrganization);
+
+/**
+ * @route   GET /api/organizations/current/invitations
+ * @desc    Get organization invitations
+ * @access  Private (Organization owners and managers)
+ */
+router.get('/current/invitations', [
+  authenticate,
+  authorizeOrganization('owner', 'manager')
+], getInvitations);
+
+/**
+ * @route   POST /api/organizations/current/invitations
+ * @desc    Invite someone to the organization by email
+ * @access  Private (Organization owners and managers)
+ */
+router.post('/current/invitations', [
+  authenticate,
+  authorizeOrganization('owner', 'manager'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  body('role')
+    .isIn(ORGANIZATION_ROLES)
+    .withMessage('Role must be one of: owner, manager, evaluator, viewer'),
+  
+  handleValidationErrors
+], createInvitation);
+
+/**
+ * @route   DELETE /api/organizations/current/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (Organization owners and managers)
+ */
+router.delete('/current/invitations/:invitationId', [
+  authenticate,
+  authorizeOrganization('owner', 'manager'),
+  validateObjectId('invitationId')
+], revokeInvitation);
+
+module.exports = router;
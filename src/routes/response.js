@@ -6,9 +6,15 @@ const {
   updateResponse,
   deleteResponse,
   submitResponse,
-  reviewResponse
+  reviewResponse,
+  scoreResponse,
+  submitScores,
+  getEvaluationReport,
+  getResponseRounds,
+  finalizeConsensus
 } = require('../controllers/responseController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { getResponseAddenda, acknowledgeAddendum } = require('../controllers/addendumController');
+const { authenticate, authorize, requireScope, requireVerifiedEmail } = require('../middleware/auth');
 const {
   validateResponse,
   validateObjectId,
@@ -31,14 +37,14 @@ const router = express.Router();
  * @desc    Get all responses with pagination and filtering
  * @access  Private
  */
-router.get('/', [authenticate, validatePagination], getAllResponses);
+router.get('/', [requireScope('responses:read'), authenticate, validatePagination], getAllResponses);
 
 /**
  * @route   GET /api/responses/:id
  * @desc    Get single response by ID
  * @access  Private
  */
-router.get('/:id', [authenticate, validateObjectId('id')], getResponseById);
+router.get('/:id', [requireScope('responses:read'), authenticate, validateObjectId('id')], getResponseById);
 
 /**
  * @route   POST /api/responses
@@ -46,8 +52,10 @@ router.get('/:id', [authenticate, validateObjectId('id')], getResponseById);
  * @access  Private (Suppliers only)
  */
 router.post('/', [
+  requireScope('responses:write'),
   authenticate,
   authorize('supplier'),
+  requireVerifiedEmail,
   body('rfp_id')
     .isMongoId()
     .withMessage('RFP ID must be a valid ID'),
@@ -60,6 +68,7 @@ router.post('/', [
  * @access  Private (Owner only)
  */
 router.put('/:id', [
+  requireScope('responses:write'),
   authenticate,
   authorize('supplier'),
   validateObjectId('id'),
@@ -72,6 +81,7 @@ router.put('/:id', [
  * @access  Private (Owner only)
  */
 router.delete('/:id', [
+  requireScope('responses:write'),
   authenticate,
   authorize('supplier'),
   validateObjectId('id')
@@ -83,6 +93,7 @@ router.delete('/:id', [
  * @access  Private (Owner only)
  */
 router.post('/:id/submit', [
+  requireScope('responses:write'),
   authenticate,
   authorize('supplier'),
   validateObjectId('id')
@@ -94,6 +105,7 @@ router.post('/:id/submit', [
  * @access  Private (RFP Owner only)
  */
 router.post('/:id/review', [
+  requireScope('responses:write'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id'),
@@ -110,4 +122,130 @@ router.post('/:id/review', [
   handleValidationErrors
 ], reviewResponse);
 
+/**
+ * @route   POST /api/responses/:id/scores
+ * @desc    Score response on the RFP's evaluation criteria
+ * @access  Private (RFP Owner only)
+ */
+router.post('/:id/scores', [
+  requireScope('responses:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('scores')
+    .isArray({ min: 1 })
+    .withMessage('Scores must be a non-empty array'),
+  
+  body('scores.*.criterion_id')
+    .isMongoId()
+    .withMessage('Criterion ID must be a valid ID'),
+  
+  body('scores.*.score')
+    .isFloat()
+    .withMessage('Score must be a number')
+    .toFloat(),
+  
+  body('scores.*.comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+], scoreResponse);
+
+/**
+ * @route   POST /api/responses/:id/scores/submit
+ * @desc    Submit own panel scores
+ * @access  Private (Panel evaluators only)
+ */
+router.post('/:id/scores/submit', [
+  requireScope('responses:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], submitScores);
+
+/**
+ * @route   GET /api/responses/:id/evaluation
+ * @desc    Get evaluation report with score variance and outliers
+ * @access  Private (RFP Owner only)
+ */
+router.get('/:id/evaluation', [
+  requireScope('responses:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getEvaluationReport);
+
+/**
+ * @route   GET /api/responses/:id/rounds
+ * @desc    Get the supplier's responses to earlier stages and the changes between rounds
+ * @access  Private (RFP Owner only)
+ */
+router.get('/:id/rounds', [
+  requireScope('responses:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getResponseRounds);
+
+/**
+ * @route   POST /api/responses/:id/consensus
+ * @desc    Finalize consensus scores of a panel evaluation
+ * @access  Private (RFP Owner only)
+ */
+router.post('/:id/consensus', [
+  requireScope('responses:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('scores')
+    .optional()
+    .isArray()
+    .withMessage('Scores must be an array'),
+  
+  body('scores.*.criterion_id')
+    .isMongoId()
+    .withMessage('Criterion ID must be a valid ID'),
+  
+  body('scores.*.score')
+    .isFloat()
+    .withMessage('Score must be a number')
+    .toFloat(),
+  
+  body('scores.*.comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+], finalizeConsensus);
+
+/**
+ * @route   GET /api/responses/:id/addenda
+ * @desc    Get acknowledged and pending addenda of a response
+ * @access  Private (Owner only)
+ */
+router.get('/:id/addenda', [
+  requireScope('responses:read'),
+  authenticate,
+  authorize('supplier'),
+  validateObjectId('id')
+], getResponseAddenda);
+
+/**
+ * @route   POST /api/responses/:id/addenda/:addendumId/acknowledge
+ * @desc    Acknowledge an RFP addendum
+ * @access  Private (Owner only)
+ */
+router.post('/:id/addenda/:addendumId/acknowledge', [
+  requireScope('responses:write'),
+  authenticate,
+  authorize('supplier'),
+  validateObjectId('id'),
+  validateObjectId('addendumId')
+], acknowledgeAddendum);
+
 module.exports = router;
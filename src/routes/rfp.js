@@ -3,14 +3,37 @@ const {
   getAllRFPs,
   getRFPById,
   createRFP,
+  cloneRFP,
+  createNextStage,
+  getStages,
   updateRFP,
   updateRFPStatus,
   deleteRFP,
   publishRFP,
   closeRFP,
-  getRFPResponses
+  extendDeadline,
+  openBids,
+  getRFPResponses,
+  getPriceComparison,
+  getEvaluators,
+  assignEvaluators
 } = require('../controllers/rfpController');
-const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const {
+  getClarifications,
+  askClarification,
+  answerClarification,
+  registerInterest,
+  withdrawInterest
+} = require('../controllers/clarificationController');
+const { getAddenda, getAddendumById } = require('../controllers/addendumController');
+const { awardRFP, getRFPAward } = require('../controllers/awardController');
+const {
+  getInvitations,
+  createInvitations,
+  revokeInvitation,
+  respondToInvitation
+} = require('../controllers/rfpInvitationController');
+const { authenticate, authorize, requireScope, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
 const {
   validateRFP,
   validateObjectId,
@@ -18,6 +41,7 @@ const {
   handleValidationErrors
 } = require('../middleware/validation');
 const { body } = require('express-validator');
+const { STAGES } = require('../utils/stages');
 
 /**
  * RFP Routes
@@ -33,14 +57,14 @@ const router = express.Router();
  * @desc    Get all RFPs with pagination and filtering
  * @access  Public (with optional authentication for personalized results)
  */
-router.get('/', [optionalAuth, validatePagination], getAllRFPs);
+router.get('/', [requireScope('rfps:read'), optionalAuth, validatePagination], getAllRFPs);
 
 /**
  * @route   GET /api/rfps/:id
  * @desc    Get single RFP by ID
  * @access  Public (with optional authentication for draft access)
  */
-router.get('/:id', [optionalAuth, validateObjectId('id')], getRFPById);
+router.get('/:id', [requireScope('rfps:read'), optionalAuth, validateObjectId('id')], getRFPById);
 
 /**
  * @route   POST /api/rfps
@@ -48,17 +72,114 @@ router.get('/:id', [optionalAuth, validateObjectId('id')], getRFPById);
  * @access  Private (Buyers only)
  */
 router.post('/', [
+  requireScope('rfps:write'),
   authenticate,
   authorize('buyer'),
+  requireVerifiedEmail,
   validateRFP
 ], createRFP);
 
+/**
+ * @route   POST /api/rfps/:id/clone
+ * @desc    Clone an RFP with its documents into a new draft
+ * @access  Private (Owner and organization members)
+ */
+router.post('/:id/clone', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  requireVerifiedEmail,
+  validateObjectId('id'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  
+  body('deadline')
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Deadline must be in the future');
+      }
+      return true;
+    }),
+  
+  body('questions_deadline')
+    .optional()
+    .isISO8601()
+    .withMessage('Questions deadline must be a valid date'),
+  
+  handleValidationErrors
+], cloneRFP);
+
+/**
+ * @route   POST /api/rfps/:id/next-stage
+ * @desc    Shortlist suppliers of a closed RFP into a new draft for the next stage
+ * @access  Private (Owner only)
+ */
+router.post('/:id/next-stage', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  requireVerifiedEmail,
+  validateObjectId('id'),
+  body('stage')
+    .isIn(STAGES)
+    .withMessage(`Stage must be one of: ${STAGES.join(', ')}`),
+  
+  body('response_ids')
+    .isArray({ min: 1 })
+    .withMessage('Shortlist at least one response'),
+  
+  body('response_ids.*')
+    .isMongoId()
+    .withMessage('Each shortlisted response must be a valid ID'),
+  
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  
+  body('deadline')
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Deadline must be in the future');
+      }
+      return true;
+    }),
+  
+  body('questions_deadline')
+    .optional()
+    .isISO8601()
+    .withMessage('Questions deadline must be a valid date'),
+  
+  handleValidationErrors
+], createNextStage);
+
+/**
+ * @route   GET /api/rfps/:id/stages
+ * @desc    Get the linked stages of an RFP's procurement
+ * @access  Private (Owner and organization members)
+ */
+router.get('/:id/stages', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getStages);
+
 /**
  * @route   PUT /api/rfps/:id
  * @desc    Update RFP
  * @access  Private (Owner only)
  */
 router.put('/:id', [
+  requireScope('rfps:write'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id'),
@@ -71,6 +192,7 @@ router.put('/:id', [
  * @access  Private (Owner only)
  */
 router.put('/:id/status', [
+  requireScope('rfps:write'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id'),
@@ -86,6 +208,7 @@ router.put('/:id/status', [
  * @access  Private (Owner only)
  */
 router.delete('/:id', [
+  requireScope('rfps:write'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id')
@@ -97,6 +220,7 @@ router.delete('/:id', [
  * @access  Private (Owner only)
  */
 router.post('/:id/publish', [
+  requireScope('rfps:write'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id')
@@ -108,20 +232,351 @@ router.post('/:id/publish', [
  * @access  Private (Owner only)
  */
 router.post('/:id/close', [
+  requireScope('rfps:write'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id')
 ], closeRFP);
 
+/**
+ * @route   POST /api/rfps/:id/extend-deadline
+ * @desc    Extend the deadline of an RFP, reopening it within the grace window after it closed
+ * @access  Private (Owner only)
+ */
+router.post('/:id/extend-deadline', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('deadline')
+    .isISO8601()
+    .withMessage('Deadline must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Deadline must be in the future');
+      }
+      return true;
+    }),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reason must be between 1 and 1000 characters'),
+  
+  handleValidationErrors
+], extendDeadline);
+
+/**
+ * @route   POST /api/rfps/:id/bid-opening
+ * @desc    Open the sealed bids of an RFP, recording who was present
+ * @access  Private (Owner only)
+ */
+router.post('/:id/bid-opening', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('attendee_ids')
+    .optional()
+    .isArray()
+    .withMessage('Attendee IDs must be an array'),
+  
+  body('attendee_ids.*')
+    .isMongoId()
+    .withMessage('Each attendee ID must be a valid ID'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters'),
+  
+  handleValidationErrors
+], openBids);
+
+/**
+ * @route   POST /api/rfps/:id/award
+ * @desc    Award an RFP to one or more responses and reject the others
+ * @access  Private (Owner only)
+ */
+router.post('/:id/award', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('awards')
+    .isArray({ min: 1 })
+    .withMessage('Awards must be a non-empty array'),
+  
+  body('awards.*.response_id')
+    .isMongoId()
+    .withMessage('Each award needs a valid response ID'),
+  
+  body('awards.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Each award amount must be a positive number'),
+  
+  body('awards.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Award notes cannot exceed 2000 characters'),
+  
+  body('rejection_reason')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Rejection reason must be between 1 and 2000 characters'),
+  
+  handleValidationErrors
+], awardRFP);
+
+/**
+ * @route   GET /api/rfps/:id/award
+ * @desc    Get the award of an RFP
+ * @access  Private (Owner only)
+ */
+router.get('/:id/award', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getRFPAward);
+
 /**
  * @route   GET /api/rfps/:id/responses
  * @desc    Get RFP responses
  * @access  Private (Owner only)
  */
 router.get('/:id/responses', [
+  requireScope('responses:read'),
   authenticate,
   authorize('buyer'),
   validateObjectId('id')
 ], getRFPResponses);
 
+/**
+ * @route   GET /api/rfps/:id/price-comparison
+ * @desc    Compare line item prices across submitted responses
+ * @access  Private (Owner and organization members)
+ */
+router.get('/:id/price-comparison', [
+  requireScope('responses:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getPriceComparison);
+
+/**
+ * @route   GET /api/rfps/:id/evaluators
+ * @desc    Get the evaluation panel of an RFP
+ * @access  Private (Owner only)
+ */
+router.get('/:id/evaluators', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getEvaluators);
+
+/**
+ * @route   PUT /api/rfps/:id/evaluators
+ * @desc    Assign the evaluation panel of an RFP
+ * @access  Private (Owner only)
+ */
+router.put('/:id/evaluators', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('evaluator_ids')
+    .isArray({ min: 1 })
+    .withMessage('Evaluator IDs must be a non-empty array'),
+  
+  body('evaluator_ids.*')
+    .isMongoId()
+    .withMessage('Each evaluator ID must be a valid ID'),
+  
+  handleValidationErrors
+], assignEvaluators);
+
+/**
+ * @route   GET /api/rfps/:id/addenda
+ * @desc    Get all addenda of an RFP
+ * @access  Public (drafts only for the owner)
+ */
+router.get('/:id/addenda', [requireScope('rfps:read'), optionalAuth, validateObjectId('id')], getAddenda);
+
+/**
+ * @route   GET /api/rfps/:id/addenda/:addendumId
+ * @desc    Get single addendum of an RFP
+ * @access  Public (drafts only for the owner)
+ */
+router.get('/:id/addenda/:addendumId', [
+  requireScope('rfps:read'),
+  optionalAuth,
+  validateObjectId('id'),
+  validateObjectId('addendumId')
+], getAddendumById);
+
+/**
+ * @route   GET /api/rfps/:id/questions
+ * @desc    Get clarification questions of an RFP
+ * @access  Private (RFP Owner sees all, suppliers see public answers and their own questions)
+ */
+router.get('/:id/questions', [
+  requireScope('rfps:read'),
+  authenticate,
+  validateObjectId('id'),
+  validatePagination
+], getClarifications);
+
+/**
+ * @route   POST /api/rfps/:id/questions
+ * @desc    Ask a clarification question
+ * @access  Private (Suppliers only)
+ */
+router.post('/:id/questions', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('supplier'),
+  requireVerifiedEmail,
+  validateObjectId('id'),
+  body('question')
+    .trim()
+    .isLength({ min: 5, max: 2000 })
+    .withMessage('Question must be between 5 and 2000 characters'),
+  
+  handleValidationErrors
+], askClarification);
+
+/**
+ * @route   POST /api/rfps/:id/questions/:questionId/answer
+ * @desc    Answer a clarification question privately or publicly
+ * @access  Private (Owner only)
+ */
+router.post('/:id/questions/:questionId/answer', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  validateObjectId('questionId'),
+  body('answer')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Answer must be between 1 and 5000 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['private', 'public'])
+    .withMessage('Visibility must be either private or public'),
+  
+  handleValidationErrors
+], answerClarification);
+
+/**
+ * @route   GET /api/rfps/:id/invitations
+ * @desc    Get supplier invitations of an invite-only RFP
+ * @access  Private (Owner and organization members)
+ */
+router.get('/:id/invitations', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getInvitations);
+
+/**
+ * @route   POST /api/rfps/:id/invitations
+ * @desc    Invite suppliers by user ID or email address
+ * @access  Private (Owner only)
+ */
+router.post('/:id/invitations', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  body('user_ids')
+    .optional()
+    .isArray()
+    .withMessage('User IDs must be an array'),
+  
+  body('user_ids.*')
+    .isMongoId()
+    .withMessage('Each user ID must be a valid ID'),
+  
+  body('emails')
+    .custom((emails, { req }) => {
+      if (emails !== undefined && !Array.isArray(emails)) {
+        throw new Error('Emails must be an array');
+      }
+      if ((emails || []).length + (Array.isArray(req.body.user_ids) ? req.body.user_ids.length : 0) === 0) {
+        throw new Error('Invite at least one supplier by user ID or email address');
+      }
+      return true;
+    }),
+  
+  body('emails.*')
+    .trim()
+    .isEmail()
+    .withMessage('Each email must be a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+], createInvitations);
+
+/**
+ * @route   POST /api/rfps/:id/invitations/respond
+ * @desc    Accept or decline your invitation to an RFP
+ * @access  Private (Invited suppliers only)
+ */
+router.post('/:id/invitations/respond', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('supplier'),
+  validateObjectId('id'),
+  body('status')
+    .isIn(['accepted', 'declined'])
+    .withMessage('Status must be either accepted or declined'),
+  
+  handleValidationErrors
+], respondToInvitation);
+
+/**
+ * @route   DELETE /api/rfps/:id/invitations/:invitationId
+ * @desc    Revoke a supplier invitation
+ * @access  Private (Owner only)
+ */
+router.delete('/:id/invitations/:invitationId', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  validateObjectId('invitationId')
+], revokeInvitation);
+
+/**
+ * @route   POST /api/rfps/:id/interest
+ * @desc    Follow an RFP to be notified about clarifications
+ * @access  Private (Suppliers only)
+ */
+router.post('/:id/interest', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('supplier'),
+  validateObjectId('id')
+], registerInterest);
+
+/**
+ * @route   DELETE /api/rfps/:id/interest
+ * @desc    Stop following an RFP
+ * @access  Private (Suppliers only)
+ */
+router.delete('/:id/interest', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('supplier'),
+  validateObjectId('id')
+], withdrawInterest);
+
 module.exports = router;
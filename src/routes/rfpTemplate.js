@@ -0,0 +1,85 @@
+const express = require('express');
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/rfpTemplateController');
+const { authenticate, authorize, requireScope } = require('../middleware/auth');
+const {
+  validateRFPTemplate,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
+
+/**
+ * RFP Template Routes
+ *
+ * This file defines the routes for managing reusable RFP templates.
+ */
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/rfp-templates
+ * @desc    Get RFP templates of the user and their organization
+ * @access  Private (Buyers only)
+ */
+router.get('/', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validatePagination
+], getTemplates);
+
+/**
+ * @route   GET /api/rfp-templates/:id
+ * @desc    Get single RFP template by ID
+ * @access  Private (Owner and organization members)
+ */
+router.get('/:id', [
+  requireScope('rfps:read'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], getTemplateById);
+
+/**
+ * @route   POST /api/rfp-templates
+ * @desc    Create new RFP template
+ * @access  Private (Buyers only)
+ */
+router.post('/', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateRFPTemplate
+], createTemplate);
+
+/**
+ * @route   PUT /api/rfp-templates/:id
+ * @desc    Update RFP template
+ * @access  Private (Owner only)
+ */
+router.put('/:id', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id'),
+  validateRFPTemplate
+], updateTemplate);
+
+/**
+ * @route   DELETE /api/rfp-templates/:id
+ * @desc    Delete RFP template
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', [
+  requireScope('rfps:write'),
+  authenticate,
+  authorize('buyer'),
+  validateObjectId('id')
+], deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { runScheduler } = require('../controllers/schedulerController');
+
+/**
+ * Scheduler Routes
+ *
+ * This file defines the route cron jobs call to run the RFP scheduler
+ * where it cannot run in the background.
+ */
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/cron/rfp-scheduler
+ * @desc    Publish scheduled drafts and close expired RFPs
+ * @access  Private (CRON_SECRET bearer token)
+ */
+router.get('/rfp-scheduler', runScheduler);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+/**
+ * Promote an existing user to admin
+ *
+ * Admin accounts cannot be created through registration. Register a normal
+ * account first, then run:
+ *
+ *   npm run create-admin -- <username>
+ */
+const createAdmin = async () => {
+  const username = process.argv[2];
+
+  if (!username) {
+    console.error('Usage: npm run create-admin -- <username>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOne({ username });
+
+  if (!user) {
+    console.error(`❌ User '${username}' not found`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+
+  user.role = 'admin';
+  await user.save();
+
+  console.log(`✅ ${username} is now an admin`);
+  await mongoose.connection.close();
+};
+
+createAdmin().catch(async (error) => {
+  console.error('❌ Failed to create admin:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
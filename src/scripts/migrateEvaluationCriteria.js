@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const RFP = require('../models/RFP');
+
+/**
+ * Convert plain-text evaluation criteria to weighted criteria
+ *
+ * RFPs created before scoring rubrics stored evaluation criteria as a list
+ * of strings. This turns each string into a criterion with that name, the
+ * default weight and the default 0-10 scale. Run once after upgrading:
+ *
+ *   npm run migrate-criteria
+ */
+const migrateEvaluationCriteria = async () => {
+  await connectDB();
+
+  // Work on the raw documents, the model can no longer read the old format
+  const cursor = RFP.collection.find({ evaluation_criteria: { $elemMatch: { $type: 'string' } } });
+  let migrated = 0;
+
+  for await (const rfp of cursor) {
+    const criteria = rfp.evaluation_criteria.map((criterion) => (
+      typeof criterion === 'string'
+        ? { _id: new mongoose.Types.ObjectId(), name: criterion.substring(0, 200), weight: 1, min_score: 0, max_score: 10 }
+        : criterion
+    ));
+
+    await RFP.collection.updateOne({ _id: rfp._id }, { $set: { evaluation_criteria: criteria } });
+    migrated += 1;
+  }
+
+  console.log(`✅ Migrated evaluation criteria of ${migrated} RFP(s)`);
+  await mongoose.connection.close();
+};
+
+migrateEvaluationCriteria().catch(async (error) => {
+  console.error('❌ Failed to migrate evaluation criteria:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -4,20 +4,30 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
-// Import database connection
+// Import configuration (validated at startup) and database connection
+const config = require('./config');
 const connectDB = require('./config/database');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const oidcRoutes = require('./routes/oidc');
 const rfpRoutes = require('./routes/rfp');
+const rfpTemplateRoutes = require('./routes/rfpTemplate');
+const awardRoutes = require('./routes/award');
 const responseRoutes = require('./routes/response');
 const documentRoutes = require('./routes/document');
+const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organization');
+const schedulerRoutes = require('./routes/scheduler');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Import utilities
+const { getJwks } = require('./utils/keyRing');
+const { startScheduler, stopScheduler } = require('./utils/rfpScheduler');
+
 /**
  * RFP Management System Backend Server
  * 
@@ -36,13 +46,7 @@ app.use(helmet()); // Set security headers
 app.use(compression()); // Compress responses
 
 // CORS configuration
-const allowedOrigins = [
-  'https://rfp-fe-nextjs.vercel.app',
-  'http://localhost:3000',
-  'http://localhost:3001',
-  'https://localhost:3000',
-  'https://localhost:3001'
-];
+const allowedOrigins = config.cors.allowedOrigins;
 
 app.use(cors({
   origin: function (origin, callback) {
@@ -57,7 +61,7 @@ app.use(cors({
       callback(null, true);
     } else {
       // In development, allow any localhost origin
-      if (process.env.NODE_ENV === 'development' && origin.includes('localhost')) {
+      if (config.isDevelopment && origin.includes('localhost')) {
         console.log('Localhost origin allowed in development:', origin);
         callback(null, true);
       } else {
@@ -76,8 +80,8 @@ app.use(cors({
 
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: config.rateLimit.windowMinutes * 60 * 1000,
+  max: config.rateLimit.maxRequests, // limit each IP to this many requests per window
   message: {
     error: 'Too many requests from this IP, please try again later.'
   }
@@ -85,8 +89,7 @@ const limiter = rateLimit({
 app.use('/api', limiter);
 
 // Logging middleware
-const NODE_ENV = 'development';
-if (NODE_ENV === 'development') {
+if (config.isDevelopment) {
   app.use(morgan('dev'));
 } else {
   app.use(morgan('combined'));
@@ -96,8 +99,8 @@ if (NODE_ENV === 'development') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Uploaded files are not served statically: GET /api/documents/:id/download
+// checks draft, invite-only and sealed-bid access before sending a file
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -105,15 +108,27 @@ app.get('/health', (req, res) => {
     status: 'OK',
     message: 'RFP Management API is running',
     timestamp: new Date().toISOString(),
-    environment: 'development'
+    environment: config.env
   });
 });
 
+// Public keys for verifying our access tokens (asymmetric keys only)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 // API Routes
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/rfps', rfpRoutes);
+app.use('/api/rfp-templates', rfpTemplateRoutes);
+app.use('/api/awards', awardRoutes);
 app.use('/api/responses', responseRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/cron', schedulerRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -137,24 +152,29 @@ app.use('*', (req, res) => {
 app.use(errorHandler);
 
 // Start server only if not in Vercel environment
-// const NODE_ENV = 'development';
-const VERCEL = '0';
-if (NODE_ENV !== 'production' || VERCEL !== '1') {
-  const PORT = 8000;
+if (!config.isProduction || !config.vercel) {
+  const PORT = config.port;
   const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📍 Environment: ${NODE_ENV}`);
+    console.log(`📍 Environment: ${config.env}`);
     console.log(`🌐 API URL: http://localhost:${PORT}`);
     console.log(`❤️  Health check: http://localhost:${PORT}/health`);
   });
 
+  // Publish scheduled RFPs and close expired ones in the background
+  startScheduler();
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('🛑 SIGTERM received, shutting down gracefully');
+    stopScheduler();
     server.close(() => {
       console.log('✅ Process terminated');
     });
   });
+} else if (config.scheduler.enabled && !config.scheduler.cronSecret) {
+  // Vercel has no long-running process; the cron job in vercel.json runs the scheduler instead
+  console.error('⚠️  CRON_SECRET is not set: scheduled RFPs will not be published or closed on Vercel');
 }
 
 // Export the app for Vercel serverless functions
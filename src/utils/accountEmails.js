@@ -0,0 +1,102 @@
+const { sendMail, buildAppUrl } = require('./mailer');
+
+/**
+ * Account Email Utilities
+ *
+ * This file contains the emails sent to users about their own account,
+ * such as verification, password reset and lockout notices.
+ */
+
+/**
+ * Email a verification link to a user
+ * @param {object} user - User document
+ * @param {string} verificationToken - Plain verification token
+ */
+const sendVerificationEmail = async (user, verificationToken) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      'Please confirm your email address to start creating RFPs, responses and documents.',
+      `Verification link: ${buildAppUrl(`/verify-email?token=${verificationToken}`)}`
+    ].join('\n')
+  });
+};
+
+/**
+ * Email a password reset link to a user
+ * @param {object} user - User document
+ * @param {string} resetToken - Plain reset token
+ * @param {object} options - Options
+ * @param {boolean} options.forced - True when an administrator requested the reset
+ */
+const sendPasswordResetEmail = async (user, resetToken, { forced = false } = {}) => {
+  const intro = forced
+    ? 'An administrator has required a password reset for your account. You have been signed out and must choose a new password before logging in again.'
+    : 'We received a request to reset the password for your account.';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      intro,
+      `Use the link below to choose a new password: ${buildAppUrl(`/reset-password?token=${resetToken}`)}`,
+      '',
+      forced ? 'Contact support if you have any questions.' : 'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Email an unlock link to a user whose account was locked
+ * @param {object} user - User document
+ * @param {object} throttle - Login throttle document
+ * @param {string} unlockToken - Plain unlock token
+ */
+const sendAccountLockedEmail = async (user, throttle, unlockToken) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      `Your account was locked after ${throttle.failed_attempts} failed login attempts.`,
+      `It will unlock automatically at ${throttle.locked_until.toISOString()}.`,
+      `If this was you, you can unlock it now: ${buildAppUrl(`/unlock-account?token=${unlockToken}`)}`,
+      '',
+      'If this was not you, consider changing your password once you are back in.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Email an organization invitation
+ * @param {string} email - Invitee address
+ * @param {object} organization - Organization document
+ * @param {object} inviter - User who sent the invitation
+ * @param {string} role - Organization role offered
+ * @param {string} invitationToken - Plain invitation token
+ */
+const sendOrganizationInvitationEmail = async (email, organization, inviter, role, invitationToken) => {
+  await sendMail({
+    to: email,
+    subject: `You have been invited to join ${organization.name}`,
+    text: [
+      'Hi,',
+      '',
+      `${inviter.full_name} has invited you to join ${organization.name} as ${role}.`,
+      `Accept the invitation (create an account with this email address first if you do not have one): ${buildAppUrl(`/accept-invitation?token=${invitationToken}`)}`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendOrganizationInvitationEmail
+};
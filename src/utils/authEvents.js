@@ -0,0 +1,43 @@
+const AuthEvent = require('../models/AuthEvent');
+
+/**
+ * Auth Event Utilities
+ *
+ * This file contains the helper used to write the security audit log.
+ */
+
+/**
+ * Record an authentication or account event.
+ *
+ * Failing to write the audit log must never fail the request that
+ * triggered it, so errors are logged and swallowed.
+ *
+ * @param {object} req - Express request (for IP and user agent)
+ * @param {string} type - Event type
+ * @param {string} outcome - success or failure
+ * @param {object} details - { user, username, reason, actor, metadata }
+ * @returns {Promise<void>}
+ */
+const recordAuthEvent = async (req, type, outcome, details = {}) => {
+  const { user, username, reason, actor, metadata } = details;
+
+  try {
+    await AuthEvent.create({
+      type,
+      outcome,
+      reason,
+      user_id: user ? user._id : undefined,
+      username: user ? user.username : username,
+      actor_id: actor ? actor._id : undefined,
+      ip_address: req.ip,
+      user_agent: (req.get('User-Agent') || '').substring(0, 500),
+      metadata
+    });
+  } catch (error) {
+    console.error('Error recording auth event:', error);
+  }
+};
+
+module.exports = {
+  recordAuthEvent
+};
@@ -118,7 +118,7 @@ const isValidEmail = (email) => {
  * @returns {boolean} True if phone is valid
  */
 const isValidPhone = (phone) => {
-  const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
+  const phoneRegex = /^[+]?[1-9][\d]{0,15}$/;
   return phoneRegex.test(phone);
 };
 
@@ -136,6 +136,15 @@ const generateSlug = (text) => {
     .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 };
 
+/**
+ * Escape special characters so text can be used inside a RegExp
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Capitalize first letter of each word
  * @param {string} text - Text to capitalize
@@ -204,6 +213,7 @@ module.exports = {
   isValidEmail,
   isValidPhone,
   generateSlug,
+  escapeRegExp,
   capitalizeWords,
   deepClone,
   sanitizeUser,
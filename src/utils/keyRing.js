@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * JWT Key Ring
+ *
+ * This file loads the keys used to sign and verify our JWTs. Tokens are
+ * signed with a single signing key and carry its `kid` header; verification
+ * accepts any key in the ring until its `retire_at` date, so a new signing
+ * key can be introduced without invalidating tokens that are still in use.
+ *
+ * Keys are configured as a JSON array in JWT_KEYS (or a file named by
+ * JWT_KEYS_FILE). Without either, JWT_SECRET is used as a single HS256 key.
+ */
+
+const SYMMETRIC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const ASYMMETRIC_KEY_TYPES = {
+  RS256: 'rsa',
+  RS384: 'rsa',
+  RS512: 'rsa',
+  ES256: 'ec',
+  ES384: 'ec',
+  ES512: 'ec'
+};
+
+// Tokens issued before key IDs existed have no kid and are checked against this key
+const LEGACY_KEY_ID = 'default';
+
+/**
+ * Read the raw key ring configuration
+ * @returns {Array<object>} Key entries
+ */
+const readKeyRingConfig = () => {
+  if (config.jwt.keysFile) {
+    return JSON.parse(fs.readFileSync(config.jwt.keysFile, 'utf8'));
+  }
+
+  if (config.jwt.keys) {
+    return config.jwt.keys;
+  }
+
+  return [{
+    kid: LEGACY_KEY_ID,
+    alg: 'HS256',
+    secret: config.jwt.secret
+  }];
+};
+
+/**
+ * Read key material given inline (`secret`, `private_key`, `public_key`)
+ * or from a file (`secret_file`, `private_key_file`, `public_key_file`)
+ * @param {object} entry - Key entry
+ * @param {string} field - Field name
+ * @returns {string|null} Key material
+ */
+const readKeyMaterial = (entry, field) => {
+  if (entry[field]) {
+    // PEM keys in environment variables usually have escaped newlines
+    return entry[field].replace(/\\n/g, '\n');
+  }
+
+  if (entry[`${field}_file`]) {
+    return fs.readFileSync(path.resolve(config.rootDir, entry[`${field}_file`]), 'utf8');
+  }
+
+  return null;
+};
+
+/**
+ * Turn a key entry into a usable key
+ * @param {object} entry - Key entry from the configuration
+ * @returns {object} { kid, alg, signingKey, verificationKey, retireAt, symmetric }
+ */
+const loadKey = (entry) => {
+  const { kid, alg = 'HS256', retire_at } = entry;
+
+  if (!kid) {
+    throw new Error('Every JWT key needs a kid');
+  }
+
+  const retireAt = retire_at ? new Date(retire_at) : null;
+
+  if (retireAt && isNaN(retireAt.getTime())) {
+    throw new Error(`JWT key ${kid} has an invalid retire_at date`);
+  }
+
+  if (SYMMETRIC_ALGORITHMS.includes(alg)) {
+    const secret = readKeyMaterial(entry, 'secret');
+
+    if (!secret) {
+      throw new Error(`JWT key ${kid} needs a secret`);
+    }
+
+    return { kid, alg, signingKey: secret, verificationKey: secret, retireAt, symmetric: true };
+  }
+
+  if (ASYMMETRIC_KEY_TYPES[alg]) {
+    const privatePem = readKeyMaterial(entry, 'private_key');
+    const publicPem = readKeyMaterial(entry, 'public_key');
+
+    if (!privatePem && !publicPem) {
+      throw new Error(`JWT key ${kid} needs a private_key or public_key`);
+    }
+
+    // Keys with only a public key can verify tokens but never sign them
+    const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+    const publicKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(privateKey);
+
+    if (publicKey.asymmetricKeyType !== ASYMMETRIC_KEY_TYPES[alg]) {
+      throw new Error(`JWT key ${kid} is not a valid ${alg} key`);
+    }
+
+    return { kid, alg, signingKey: privateKey, verificationKey: publicKey, retireAt, symmetric: false };
+  }
+
+  throw new Error(`JWT key ${kid} uses unsupported algorithm ${alg}`);
+};
+
+/**
+ * Load and check the whole key ring
+ * @returns {Map<string, object>} Keys by kid
+ */
+const loadKeyRing = () => {
+  const entries = readKeyRingConfig();
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('JWT key ring must be a non-empty array of keys');
+  }
+
+  const ring = new Map();
+
+  entries.forEach((entry) => {
+    const key = loadKey(entry);
+
+    if (ring.has(key.kid)) {
+      throw new Error(`Duplicate JWT key id ${key.kid}`);
+    }
+
+    ring.set(key.kid, key);
+  });
+
+  if (config.jwt.signingKeyId && !ring.has(config.jwt.signingKeyId)) {
+    throw new Error(`JWT_SIGNING_KEY_ID ${config.jwt.signingKeyId} is not in the key ring`);
+  }
+
+  return ring;
+};
+
+const keys = loadKeyRing();
+
+/**
+ * Check if a key is past its retirement date
+ * @param {object} key - Loaded key
+ * @returns {boolean} True if the key can no longer be used
+ */
+const isRetired = (key) => {
+  return key.retireAt !== null && key.retireAt <= new Date();
+};
+
+/**
+ * Get the key new tokens are signed with: JWT_SIGNING_KEY_ID if it is still
+ * active, otherwise the first active key that has private material
+ * @returns {object} Loaded key
+ */
+const getSigningKey = () => {
+  const preferred = keys.get(config.jwt.signingKeyId);
+  const candidates = preferred ? [preferred, ...keys.values()] : [...keys.values()];
+  const key = candidates.find((candidate) => candidate.signingKey && !isRetired(candidate));
+
+  if (!key) {
+    throw new Error('No active JWT signing key is configured');
+  }
+
+  return key;
+};
+
+/**
+ * Sign a JWT with the current signing key
+ * @param {object} payload - Token claims
+ * @param {object} options - jsonwebtoken sign options (such as expiresIn)
+ * @returns {string} Signed JWT
+ */
+const signToken = (payload, options = {}) => {
+  const key = getSigningKey();
+
+  return jwt.sign(payload, key.signingKey, {
+    ...options,
+    algorithm: key.alg,
+    keyid: key.kid
+  });
+};
+
+/**
+ * Verify a JWT against the key named in its kid header
+ * @param {string} token - Signed JWT
+ * @returns {object} Decoded payload
+ */
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const key = keys.get(decoded.header.kid || LEGACY_KEY_ID);
+
+  if (!key || isRetired(key)) {
+    throw new jwt.JsonWebTokenError('unknown or retired signing key');
+  }
+
+  return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
+};
+
+/**
+ * Build the JSON Web Key Set of active asymmetric keys
+ * @returns {object} JWKS document
+ */
+const getJwks = () => {
+  return {
+    keys: [...keys.values()]
+      .filter((key) => !key.symmetric && !isRetired(key))
+      .map((key) => ({
+        ...key.verificationKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+  };
+};
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getJwks
+};
@@ -0,0 +1,102 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { sendAccountLockedEmail } = require('./accountEmails');
+const { recordAuthEvent } = require('./authEvents');
+
+/**
+ * Login Throttle Utilities
+ *
+ * This file contains the per-username throttling steps shared by the
+ * password login and the two-factor login step.
+ */
+
+/**
+ * Reject the request if the username is locked or still backing off
+ * @param {string} username - Username being logged into
+ * @param {object} res - Express response
+ * @returns {Promise<boolean>} True if a response was sent
+ */
+const rejectThrottledLogin = async (username, res) => {
+  const throttle = await LoginThrottle.findOne({ username });
+  if (!throttle) return false;
+
+  const retryAfter = throttle.getRetryAfterSeconds();
+
+  if (throttle.is_locked) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(423).json({
+      error: 'Account locked',
+      message: 'This account is temporarily locked after too many failed login attempts. Try again later or use the unlock link sent to your email.',
+      locked_until: throttle.locked_until,
+      retry_after: retryAfter
+    });
+    return true;
+  }
+
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'Too many attempts',
+      message: `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again.`,
+      retry_after: retryAfter
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Count a failed login attempt and email an unlock link if it locked the account
+ * @param {string} username - Username being logged into
+ * @param {object|null} user - Matching user, if the username exists
+ * @param {object} req - Express request
+ * @returns {Promise<object>} Updated throttle
+ */
+const recordFailedLogin = async (username, user, req) => {
+  const { throttle, unlockToken } = await LoginThrottle.registerFailure(username, req, user != null);
+
+  if (unlockToken) {
+    await recordAuthEvent(req, 'account_lock', 'success', {
+      user,
+      username,
+      reason: `${throttle.failed_attempts} failed login attempts`
+    });
+  }
+
+  if (unlockToken && user) {
+    try {
+      await sendAccountLockedEmail(user, throttle, unlockToken);
+    } catch (mailError) {
+      console.error('Error sending unlock email:', mailError);
+    }
+  }
+
+  return throttle;
+};
+
+/**
+ * Send the response for a failed login attempt
+ * @param {object} throttle - Throttle returned by recordFailedLogin
+ * @param {object} res - Express response
+ */
+const sendFailedLogin = (throttle, res) => {
+  if (throttle.is_locked) {
+    return res.status(423).json({
+      error: 'Account locked',
+      message: 'This account has been temporarily locked after too many failed login attempts. An unlock link has been sent to its email address.',
+      locked_until: throttle.locked_until,
+      retry_after: throttle.getRetryAfterSeconds()
+    });
+  }
+
+  return res.status(401).json({
+    error: 'Invalid credentials',
+    message: 'Username or password is incorrect'
+  });
+};
+
+module.exports = {
+  rejectThrottledLogin,
+  recordFailedLogin,
+  sendFailedLogin
+};
@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs').promises;
+const config = require('../config');
+
+/**
+ * Mailer Utilities
+ *
+ * This file provides a small pluggable mail sender. A transport is any object
+ * with an async `send(message)` method. The built-in `console` and `file`
+ * transports are meant for development; production deployments register their
+ * own transport (SMTP, an HTTP mail API, ...) with `registerTransport`.
+ */
+
+const MAIL_FROM = config.mail.from;
+
+/**
+ * Transport that prints messages to the console
+ */
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log('📧 Email to %s: %s\n%s', message.to, message.subject, message.text);
+  }
+});
+
+/**
+ * Transport that writes each message as a JSON file
+ */
+const fileTransport = () => {
+  const mailDir = config.mail.fileDir;
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(mailDir, { recursive: true });
+      const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@-]/g, '_')}.json`;
+      await fs.writeFile(path.join(mailDir, filename), JSON.stringify(message, null, 2));
+    }
+  };
+};
+
+const transportFactories = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport factory under a name selectable through MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Function returning an object with `send(message)`
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * Replace the active transport (useful for tests)
+ * @param {object} transport - Object with `send(message)`
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Resolve the transport configured through MAIL_TRANSPORT
+ * @returns {object} Active transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = config.mail.transport;
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    sent_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Build an absolute link into the frontend application
+ * @param {string} pathname - Path including query string
+ * @returns {string} Absolute URL
+ */
+const buildAppUrl = (pathname) => {
+  return `${config.frontendUrl}${pathname}`;
+};
+
+module.exports = {
+  sendMail,
+  buildAppUrl,
+  registerTransport,
+  setTransport
+};
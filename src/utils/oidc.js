@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * OpenID Connect Utilities
+ *
+ * This file implements the client side of the OpenID Connect
+ * authorization code flow with PKCE: provider discovery, building the
+ * authorization URL, exchanging the code and verifying the ID token
+ * against the provider's published signing keys.
+ */
+
+const OIDC_ISSUER = config.oidc.issuer;
+const OIDC_CLIENT_ID = config.oidc.clientId;
+const OIDC_CLIENT_SECRET = config.oidc.clientSecret;
+const OIDC_REDIRECT_URI = config.oidc.redirectUri;
+const OIDC_SCOPES = config.oidc.scopes;
+const OIDC_ROLE_CLAIM = config.oidc.roleClaim;
+const OIDC_DEFAULT_ROLE = config.oidc.defaultRole;
+const OIDC_STATE_TTL_MINUTES = 10;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const ASSIGNABLE_ROLES = ['buyer', 'supplier'];
+
+let providerMetadata = null;
+let signingKeys = null;
+
+/**
+ * Parse OIDC_ROLE_MAPPING entries ("idp-value:role")
+ * @returns {object} Map of claim value to application role
+ */
+const parseRoleMapping = () => {
+  return config.oidc.roleMapping.reduce((mapping, entry) => {
+    const separator = entry.lastIndexOf(':');
+    const role = entry.substring(separator + 1).trim();
+
+    if (separator > 0 && ASSIGNABLE_ROLES.includes(role)) {
+      mapping[entry.substring(0, separator).trim()] = role;
+    }
+
+    return mapping;
+  }, {});
+};
+
+const ROLE_MAPPING = parseRoleMapping();
+
+/**
+ * Check if single sign-on is configured
+ * @returns {boolean} True if an issuer and client ID are set
+ */
+const isOidcEnabled = () => {
+  return Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
+};
+
+/**
+ * Fetch JSON from the provider, failing on non-2xx responses
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch options
+ * @returns {Promise<object>} Parsed body
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC provider request to ${url} failed: ${detail}`);
+  }
+
+  return body;
+};
+
+/**
+ * Get the provider configuration from its discovery document
+ * @returns {Promise<object>} Provider metadata
+ */
+const getProviderMetadata = async () => {
+  if (!providerMetadata) {
+    const metadata = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== OIDC_ISSUER) {
+      throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${OIDC_ISSUER}`);
+    }
+
+    providerMetadata = metadata;
+  }
+
+  return providerMetadata;
+};
+
+/**
+ * Find the provider's public key for a key ID, refetching the key set once
+ * when the key is unknown (the provider may have rotated its keys)
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} Public key
+ */
+const getSigningKey = async (kid) => {
+  const findKey = () => signingKeys.find((key) => (!kid || key.kid === kid) && key.use !== 'enc');
+
+  if (!signingKeys || !findKey()) {
+    const metadata = await getProviderMetadata();
+    const jwks = await fetchJson(metadata.jwks_uri);
+    signingKeys = jwks.keys || [];
+  }
+
+  const jwk = findKey();
+
+  if (!jwk) {
+    throw new Error(`No OIDC signing key found for kid ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Encode bytes as base64url
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base64url string
+ */
+const base64Url = (buffer) => {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Generate the random values for a new authorization request
+ * @returns {object} { state, nonce, codeVerifier, codeChallenge, expiresAt }
+ */
+const generateAuthorizationParams = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+
+  return {
+    state: base64Url(crypto.randomBytes(32)),
+    nonce: base64Url(crypto.randomBytes(32)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+  };
+};
+
+/**
+ * Build the URL that sends the user to the provider's login page
+ * @param {object} params - Values from generateAuthorizationParams
+ * @returns {Promise<string>} Authorization URL
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const metadata = await getProviderMetadata();
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE verifier of the request
+ * @returns {Promise<object>} Token response
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const metadata = await getProviderMetadata();
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    client_id: OIDC_CLIENT_ID,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Confidential clients authenticate with HTTP Basic unless the provider only accepts the secret in the body
+  if (OIDC_CLIENT_SECRET) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_secret', OIDC_CLIENT_SECRET);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString()
+  });
+};
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} Verified claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: OIDC_ISSUER,
+    audience: OIDC_CLIENT_ID,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Read a claim by a dotted path such as "realm_access.roles"
+ * @param {object} claims - ID token claims
+ * @param {string} path - Claim path
+ * @returns {any} Claim value
+ */
+const getClaim = (claims, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Map ID token claims to an application role
+ * @param {object} claims - ID token claims
+ * @returns {string|null} buyer, supplier, or null if no role applies
+ */
+const mapRoleFromClaims = (claims) => {
+  const value = getClaim(claims, OIDC_ROLE_CLAIM);
+  const values = Array.isArray(value) ? value : [value];
+
+  for (const claimValue of values) {
+    if (claimValue != null && ROLE_MAPPING[String(claimValue)]) {
+      return ROLE_MAPPING[String(claimValue)];
+    }
+  }
+
+  return ASSIGNABLE_ROLES.includes(OIDC_DEFAULT_ROLE) ? OIDC_DEFAULT_ROLE : null;
+};
+
+module.exports = {
+  OIDC_ISSUER,
+  isOidcEnabled,
+  generateAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromClaims
+};
@@ -0,0 +1,173 @@
+/**
+ * Permission Utilities
+ *
+ * This file contains the access checks for RFPs and responses. The creator of
+ * a record always has full access; other members of the creator's organization
+ * get access according to their organization role.
+ */
+
+// Organization roles allowed at each access level
+const ACCESS_LEVEL_ROLES = {
+  view: ['owner', 'manager', 'evaluator', 'viewer'],
+  evaluate: ['owner', 'manager', 'evaluator'],
+  manage: ['owner', 'manager']
+};
+
+/**
+ * Get the ObjectId of a reference that may or may not be populated
+ * @param {any} ref - ObjectId or populated document
+ * @returns {any} ObjectId
+ */
+const getId = (ref) => {
+  return ref && ref._id ? ref._id : ref;
+};
+
+/**
+ * Compare two references that may or may not be populated
+ * @param {any} a - ObjectId or populated document
+ * @param {any} b - ObjectId or populated document
+ * @returns {boolean} True if both refer to the same record
+ */
+const isSameId = (a, b) => {
+  return a != null && b != null && getId(a).toString() === getId(b).toString();
+};
+
+/**
+ * Check if a user's organization role grants an access level on a record
+ * @param {object} user - User document
+ * @param {any} organizationId - Organization the record belongs to
+ * @param {string} level - Access level (view, evaluate or manage)
+ * @returns {boolean} True if access is granted through the organization
+ */
+const hasOrganizationAccess = (user, organizationId, level) => {
+  return isSameId(organizationId, user.organization_id)
+    && ACCESS_LEVEL_ROLES[level].includes(user.organization_role);
+};
+
+/**
+ * Check if a user can access an RFP (buyer side)
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document
+ * @param {string} level - Access level (view, evaluate or manage)
+ * @returns {boolean} True if access is granted
+ */
+const hasRFPAccess = (user, rfp, level = 'manage') => {
+  return isSameId(rfp.created_by, user._id) || hasOrganizationAccess(user, rfp.organization_id, level);
+};
+
+/**
+ * Check if a user is on the evaluation panel of an RFP
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document with evaluators selected
+ * @returns {boolean} True if the user is a panel evaluator
+ */
+const isPanelEvaluator = (user, rfp) => {
+  return (rfp.evaluators || []).some((evaluator) => isSameId(evaluator, user._id));
+};
+
+/**
+ * Check if a user can access a response (supplier side)
+ * @param {object} user - User document
+ * @param {object} response - Response document
+ * @param {string} level - Access level (view or manage)
+ * @returns {boolean} True if access is granted
+ */
+const hasResponseAccess = (user, response, level = 'manage') => {
+  return isSameId(response.submitted_by, user._id) || hasOrganizationAccess(user, response.organization_id, level);
+};
+
+/**
+ * Check if a user can read the content of a response. The supplier side
+ * always can; the buyer side only once the RFP's bids are no longer sealed.
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document with sealed, bid_opening and deadline
+ * @param {object} response - Response document
+ * @returns {boolean} True if the content can be shown
+ */
+const canReadResponseContent = (user, rfp, response) => {
+  return hasResponseAccess(user, response, 'view') || (rfp != null && !rfp.isSealed());
+};
+
+/**
+ * Find the shortlist entry of a supplier on a later procurement stage,
+ * preferring their own entry over one of their organization
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document with shortlist
+ * @returns {object|undefined} Shortlist entry
+ */
+const findShortlistEntry = (user, rfp) => {
+  const shortlist = rfp.shortlist || [];
+
+  return shortlist.find((entry) => isSameId(entry.supplier_id, user._id)) ||
+    shortlist.find((entry) => user.organization_id != null && isSameId(entry.organization_id, user.organization_id));
+};
+
+/**
+ * Check if a supplier is shortlisted for an RFP. Only later procurement
+ * stages have a shortlist, open to the suppliers shortlisted from the
+ * previous stage and their organizations; other RFPs accept everyone.
+ * Invite-only visibility is checked by RFPInvitation.isInvited.
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document with previous_stage_id and shortlist
+ * @returns {boolean} True if the shortlist lets the user respond
+ */
+const isShortlisted = (user, rfp) => {
+  return !rfp.previous_stage_id || findShortlistEntry(user, rfp) !== undefined;
+};
+
+/**
+ * Build a query filter matching RFPs a user is invited to or can view on
+ * the buyer side; the query counterpart of RFPInvitation.isInvited
+ * @param {object|null} user - User document, null for anonymous requests
+ * @param {Array<ObjectId>} invitedRFPIds - RFPs the user has an active invitation to
+ * @returns {object} MongoDB filter
+ */
+const buildInvitationFilter = (user, invitedRFPIds = []) => {
+  const stageConditions = [{ previous_stage_id: null }];
+  const visibilityConditions = [{ visibility: { $ne: 'invite_only' } }];
+
+  if (user) {
+    const buyerConditions = user.role === 'buyer' ? buildAccessFilter(user, 'created_by', 'view').$or : [];
+
+    stageConditions.push({ 'shortlist.supplier_id': user._id });
+
+    if (user.organization_id) {
+      stageConditions.push({ 'shortlist.organization_id': user.organization_id });
+    }
+
+    stageConditions.push(...buyerConditions);
+    visibilityConditions.push({ _id: { $in: invitedRFPIds } }, ...buyerConditions);
+  }
+
+  return { $and: [{ $or: stageConditions }, { $or: visibilityConditions }] };
+};
+
+/**
+ * Build a query filter matching records a user can access at a level
+ * @param {object} user - User document
+ * @param {string} ownerField - Field holding the creating user
+ * @param {string} level - Access level (view, evaluate or manage)
+ * @returns {object} MongoDB filter
+ */
+const buildAccessFilter = (user, ownerField, level = 'view') => {
+  const conditions = [{ [ownerField]: user._id }];
+
+  if (user.organization_id && ACCESS_LEVEL_ROLES[level].includes(user.organization_role)) {
+    conditions.push({ organization_id: user.organization_id });
+  }
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  getId,
+  isSameId,
+  hasRFPAccess,
+  isPanelEvaluator,
+  hasResponseAccess,
+  canReadResponseContent,
+  findShortlistEntry,
+  isShortlisted,
+  buildAccessFilter,
+  buildInvitationFilter
+};
@@ -0,0 +1,166 @@
+/**
+ * Pricing Utilities
+ *
+ * This file checks supplier prices against the bill of items of an RFP,
+ * computes line and response totals on the server, and compares the
+ * prices of different responses item by item.
+ */
+
+/**
+ * Round an amount to two decimals
+ */
+const round = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Get the lowest, median and highest of a list of amounts
+ * @param {Array<number>} values - Amounts
+ * @returns {object} { lowest, median, highest }, null when there are no amounts
+ */
+const summarize = (values) => {
+  if (values.length === 0) {
+    return { lowest: null, median: null, highest: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  return {
+    lowest: sorted[0],
+    median: round(median),
+    highest: sorted[sorted.length - 1]
+  };
+};
+
+/**
+ * Validate supplier prices and compute their totals
+ * @param {object} rfp - RFP document
+ * @param {Array<object>} prices - Entries with line_item_id, unit_price and notes
+ * @param {object} options - { requireMandatory }
+ * @returns {object} { line_item_prices, price_total, errors } with unpriced entries removed
+ */
+const priceLineItems = (rfp, prices, { requireMandatory = false } = {}) => {
+  const items = new Map((rfp.line_items || []).map((item) => [item._id.toString(), item]));
+  const seen = new Set();
+  const invalid = new Set();
+  const priced = [];
+  const errors = [];
+
+  (prices || []).forEach((entry, index) => {
+    const field = `line_item_prices[${index}]`;
+    const itemId = entry.line_item_id != null ? entry.line_item_id.toString() : '';
+    const item = items.get(itemId);
+
+    if (!item) {
+      errors.push({ field: `${field}.line_item_id`, message: 'Price does not match a line item of this RFP', value: entry.line_item_id });
+      return;
+    }
+
+    if (seen.has(itemId)) {
+      errors.push({ field: `${field}.line_item_id`, message: `"${item.item}" is priced more than once`, value: entry.line_item_id });
+      return;
+    }
+    seen.add(itemId);
+
+    if (entry.unit_price === undefined || entry.unit_price === null || entry.unit_price === '') return;
+
+    const unitPrice = Number(entry.unit_price);
+
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      errors.push({ field: `${field}.unit_price`, message: `Unit price of "${item.item}" must be a non-negative amount`, value: entry.unit_price });
+      invalid.add(itemId);
+      return;
+    }
+
+    priced.push({
+      line_item_id: item._id,
+      unit_price: unitPrice,
+      quantity: item.quantity,
+      total: round(unitPrice * item.quantity),
+      notes: entry.notes
+    });
+  });
+
+  if (requireMandatory) {
+    items.forEach((item, itemId) => {
+      if (item.mandatory && !invalid.has(itemId) &&
+          !priced.some((entry) => entry.line_item_id.toString() === itemId)) {
+        errors.push({ field: 'line_item_prices', message: `"${item.item}" must be priced`, value: itemId });
+      }
+    });
+  }
+
+  return {
+    line_item_prices: priced,
+    price_total: items.size > 0 ? round(priced.reduce((sum, entry) => sum + entry.total, 0)) : undefined,
+    errors
+  };
+};
+
+/**
+ * Build the per-item price matrix of an RFP's responses
+ *
+ * Each item lists one price per response, in the order of the responses,
+ * with null where the response did not price the item. Totals are only
+ * compared between responses that priced every item, since a response
+ * that leaves items out is not cheaper for the same scope.
+ *
+ * @param {object} rfp - RFP document
+ * @param {Array<object>} responses - Responses with submitted_by populated
+ * @returns {object} { responses, items, totals }
+ */
+const buildPriceComparison = (rfp, responses) => {
+  const lineItems = rfp.line_items || [];
+  const findPrice = (response, item) => {
+    return (response.line_item_prices || []).find((entry) => entry.line_item_id.equals(item._id));
+  };
+
+  const columns = responses.map((response) => {
+    const pricedCount = lineItems.filter((item) => findPrice(response, item)).length;
+
+    return {
+      response_id: response._id,
+      supplier: response.submitted_by,
+      status: response.status,
+      price_total: response.price_total != null ? response.price_total : null,
+      priced_items: pricedCount,
+      complete: pricedCount === lineItems.length
+    };
+  });
+
+  const items = lineItems.map((item) => {
+    const prices = responses.map((response) => {
+      const entry = findPrice(response, item);
+
+      return {
+        response_id: response._id,
+        unit_price: entry ? entry.unit_price : null,
+        total: entry ? entry.total : null,
+        notes: entry ? entry.notes : undefined
+      };
+    });
+
+    return {
+      line_item_id: item._id,
+      item: item.item,
+      unit: item.unit,
+      quantity: item.quantity,
+      mandatory: item.mandatory,
+      prices,
+      unit_price: summarize(prices.filter((price) => price.unit_price !== null).map((price) => price.unit_price))
+    };
+  });
+
+  return {
+    responses: columns,
+    items,
+    totals: summarize(columns.filter((column) => column.complete).map((column) => column.price_total))
+  };
+};
+
+module.exports = {
+  priceLineItems,
+  buildPriceComparison
+};
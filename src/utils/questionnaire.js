@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Questionnaire Utilities
+ *
+ * This file checks supplier answers against the questions of an RFP
+ * questionnaire: every answer must belong to a question and match its
+ * type, and submitted responses must answer every mandatory question.
+ */
+
+const DEFAULT_TEXT_MAX_LENGTH = 10000;
+
+/**
+ * Check if an answer counts as not given
+ * @param {any} value - Answer value
+ * @returns {boolean} True for null, empty strings and empty arrays
+ */
+const isBlank = (value) => {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Check one answer against its question
+ * @param {object} question - Question subdocument
+ * @param {any} value - Answer value (not blank)
+ * @param {Array<string>|null} documentIds - Documents attached to the response, if known
+ * @returns {object} { value } with the normalized answer, or { error }
+ */
+const checkAnswer = (question, value, documentIds) => {
+  switch (question.type) {
+    case 'text': {
+      const maxLength = question.max_length || DEFAULT_TEXT_MAX_LENGTH;
+      if (typeof value !== 'string') return { error: 'must be text' };
+      if (value.trim().length > maxLength) return { error: `cannot exceed ${maxLength} characters` };
+      return { value: value.trim() };
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      return { value };
+    case 'pricing':
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return { error: 'must be a non-negative amount' };
+      }
+      return { value };
+    case 'yes_no':
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      return { value };
+    case 'single_choice':
+      if (!question.options.includes(value)) return { error: `must be one of: ${question.options.join(', ')}` };
+      return { value };
+    case 'multi_choice':
+      if (!Array.isArray(value) || !value.every((option) => question.options.includes(option))) {
+        return { error: `must be a list of: ${question.options.join(', ')}` };
+      }
+      return { value: [...new Set(value)] };
+    case 'file': {
+      const ids = Array.isArray(value) ? value : [value];
+      if (!ids.every((id) => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'must be a document ID or a list of document IDs' };
+      }
+      if (documentIds && !ids.every((id) => documentIds.includes(id))) {
+        return { error: 'must reference documents uploaded to this response' };
+      }
+      return { value: [...new Set(ids)] };
+    }
+    default:
+      return { error: 'has an unsupported question type' };
+  }
+};
+
+/**
+ * Validate and normalize answers to an RFP questionnaire
+ * @param {object} rfp - RFP document
+ * @param {Map|object} answers - Answers keyed by question ID
+ * @param {object} options - { requireMandatory, documentIds }
+ * @returns {object} { answers, errors } with blank answers removed
+ */
+const validateAnswers = (rfp, answers, { requireMandatory = false, documentIds = null } = {}) => {
+  const entries = answers instanceof Map ? [...answers.entries()] : Object.entries(answers || {});
+  const questions = new Map(rfp.getQuestions().map((question) => [question._id.toString(), question]));
+  const ids = documentIds ? documentIds.map((id) => id.toString()) : null;
+  const normalized = {};
+  const errors = [];
+
+  entries.forEach(([questionId, value]) => {
+    const question = questions.get(questionId);
+
+    if (!question) {
+      errors.push({ field: `answers.${questionId}`, message: 'Answer does not match a question of this RFP' });
+      return;
+    }
+
+    if (isBlank(value)) return;
+
+    const result = checkAnswer(question, value, ids);
+
+    if (result.error) {
+      errors.push({ field: `answers.${questionId}`, message: `Answer to "${question.text}" ${result.error}`, value });
+    } else {
+      normalized[questionId] = result.value;
+    }
+  });
+
+  if (requireMandatory) {
+    questions.forEach((question, questionId) => {
+      if (question.mandatory && normalized[questionId] === undefined &&
+          !errors.some((error) => error.field === `answers.${questionId}`)) {
+        errors.push({ field: `answers.${questionId}`, message: `"${question.text}" is mandatory` });
+      }
+    });
+  }
+
+  return { answers: normalized, errors };
+};
+
+module.exports = {
+  validateAnswers
+};
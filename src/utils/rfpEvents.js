@@ -0,0 +1,73 @@
+const { EventEmitter } = require('events');
+const {
+  sendRFPPublishedEmail,
+  sendRFPClosedEmail,
+  sendStageInvitationEmails,
+  sendRFPInvitationEmails
+} = require('./rfpNotifications');
+
+/**
+ * RFP Event Utilities
+ *
+ * This file contains the emitter for RFP lifecycle events. Every status
+ * transition, manual or scheduled, is emitted once by the process that made
+ * it, so listeners never see the same transition twice.
+ *
+ * Events receive { rfp, previous_status, trigger, actor }, where trigger is
+ * manual (a user changed the status) or schedule (publish_at or deadline).
+ */
+
+const RFP_EVENTS = {
+  published: 'rfp.published',
+  closed: 'rfp.closed',
+  awarded: 'rfp.awarded',
+  cancelled: 'rfp.cancelled'
+};
+
+const rfpEvents = new EventEmitter();
+
+/**
+ * Emit the event for an RFP status transition, if there is one
+ * @param {object} rfp - RFP document after the transition
+ * @param {string} previousStatus - Status before the transition
+ * @param {object} details - { trigger, actor }
+ */
+const emitStatusChange = (rfp, previousStatus, details = {}) => {
+  const event = RFP_EVENTS[rfp.status];
+
+  if (!event || rfp.status === previousStatus) return;
+
+  rfpEvents.emit(event, {
+    rfp,
+    previous_status: previousStatus,
+    trigger: details.trigger || 'manual',
+    actor: details.actor
+  });
+};
+
+/**
+ * Run an async listener without letting its errors escape the emitter
+ */
+const safely = (listener) => (payload) => {
+  Promise.resolve()
+    .then(() => listener(payload.rfp, payload))
+    .catch((error) => console.error('Error handling RFP event:', error));
+};
+
+// Tell the buyer when an RFP goes live on schedule or closes, and invite shortlisted and invited suppliers
+rfpEvents.on(RFP_EVENTS.published, safely((rfp, { trigger }) => {
+  if (trigger === 'schedule') return sendRFPPublishedEmail(rfp);
+}));
+rfpEvents.on(RFP_EVENTS.published, safely((rfp) => {
+  if (rfp.previous_stage_id) return sendStageInvitationEmails(rfp);
+}));
+rfpEvents.on(RFP_EVENTS.published, safely((rfp) => {
+  if (rfp.visibility === 'invite_only') return sendRFPInvitationEmails(rfp);
+}));
+rfpEvents.on(RFP_EVENTS.closed, safely(sendRFPClosedEmail));
+
+module.exports = {
+  RFP_EVENTS,
+  rfpEvents,
+  emitStatusChange
+};
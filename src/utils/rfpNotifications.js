@@ -0,0 +1,301 @@
+const RFP = require('../models/RFP');
+const Response = require('../models/Response');
+const User = require('../models/User');
+const RFPInvitation = require('../models/RFPInvitation');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+/**
+ * RFP Notification Utilities
+ *
+ * This file contains the emails sent to buyers and suppliers about RFPs,
+ * such as clarification questions, their answers, addenda and status
+ * changes. Notifications are best effort: a failed email is logged and
+ * never fails the request.
+ */
+
+/**
+ * Send one email per recipient, logging failures
+ * @param {Array<object>} users - Recipients
+ * @param {Function} buildMessage - Function returning { subject, text } for a user
+ */
+const notifyUsers = async (users, buildMessage) => {
+  await Promise.all(users.map(async (user) => {
+    try {
+      await sendMail({ to: user.email, ...buildMessage(user) });
+    } catch (error) {
+      console.error(`Error sending RFP notification to ${user.email}:`, error);
+    }
+  }));
+};
+
+/**
+ * Send an email to the RFP creator, if they are still active
+ * @param {object} rfp - RFP document
+ * @param {Function} buildMessage - Function returning { subject, text } for the creator
+ */
+const notifyCreator = async (rfp, buildMessage) => {
+  const creator = await User.findById(rfp.created_by);
+
+  if (!creator || !creator.is_active) return;
+
+  await notifyUsers([creator], buildMessage);
+};
+
+/**
+ * Find the active suppliers following an RFP: those who registered
+ * interest, asked a question or started a response
+ * @param {object} rfp - RFP document
+ * @returns {Promise<Array<object>>} Supplier users
+ */
+const findInterestedSuppliers = async (rfp) => {
+  const [followed, responses] = await Promise.all([
+    RFP.findById(rfp._id).select('+interested_suppliers'),
+    Response.find({ rfp_id: rfp._id }).select('submitted_by')
+  ]);
+
+  const ids = [
+    ...(followed ? followed.interested_suppliers : []),
+    ...responses.map((response) => response.submitted_by)
+  ];
+
+  return User.find({ _id: { $in: ids }, role: 'supplier', is_active: true });
+};
+
+/**
+ * Tell the RFP creator a supplier asked a question
+ * @param {object} rfp - RFP document
+ * @param {object} clarification - Clarification document
+ */
+const sendClarificationQuestionEmail = async (rfp, clarification) => {
+  await notifyCreator(rfp, (creator) => ({
+    subject: `New question on "${rfp.title}"`,
+    text: [
+      `Hi ${creator.full_name},`,
+      '',
+      `A supplier asked a question about your RFP "${rfp.title}":`,
+      '',
+      clarification.question,
+      '',
+      `Answer it here: ${buildAppUrl(`/rfps/${rfp._id}/questions`)}`
+    ].join('\n')
+  }));
+};
+
+/**
+ * Share a clarification answer: public answers go to every interested
+ * supplier, private answers only to the asker
+ * @param {object} rfp - RFP document
+ * @param {object} clarification - Answered clarification document
+ */
+const sendClarificationAnswerEmails = async (rfp, clarification) => {
+  const recipients = clarification.visibility === 'public'
+    ? await findInterestedSuppliers(rfp)
+    : await User.find({ _id: clarification.asked_by, is_active: true });
+
+  await notifyUsers(recipients, (user) => ({
+    subject: `Clarification on "${rfp.title}"`,
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      clarification.visibility === 'public'
+        ? `A clarification has been published for the RFP "${rfp.title}".`
+        : `Your question about the RFP "${rfp.title}" has been answered.`,
+      '',
+      `Q: ${clarification.question}`,
+      `A: ${clarification.answer}`,
+      '',
+      `View all clarifications: ${buildAppUrl(`/rfps/${rfp._id}/questions`)}`
+    ].join('\n')
+  }));
+};
+
+/**
+ * Tell interested suppliers about a new addendum to an RFP
+ * @param {object} rfp - RFP document
+ * @param {object} addendum - Addendum document
+ */
+const sendAddendumEmails = async (rfp, addendum) => {
+  const recipients = await findInterestedSuppliers(rfp);
+
+  await notifyUsers(recipients, (user) => ({
+    subject: `Addendum ${addendum.number} to "${rfp.title}"`,
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      `The RFP "${rfp.title}" has been amended.`,
+      `Reason: ${addendum.reason}`,
+      `Changed: ${addendum.changes.map((change) => change.field).join(', ')}`,
+      '',
+      'If you have a response to this RFP, you need to acknowledge this addendum before submitting it.',
+      `Review the addendum: ${buildAppUrl(`/rfps/${rfp._id}/addenda/${addendum._id}`)}`
+    ].join('\n')
+  }));
+};
+
+/**
+ * Tell interested suppliers an RFP deadline has been extended
+ * @param {object} rfp - RFP document
+ * @param {object} extension - Deadline history entry
+ */
+const sendDeadlineExtensionEmails = async (rfp, extension) => {
+  const recipients = await findInterestedSuppliers(rfp);
+
+  await notifyUsers(recipients, (user) => ({
+    subject: `Deadline extended for "${rfp.title}"`,
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      extension.reopened
+        ? `The RFP "${rfp.title}" has been reopened for responses.`
+        : `The deadline of the RFP "${rfp.title}" has been extended.`,
+      `Previous deadline: ${extension.previous_deadline.toISOString()}`,
+      `New deadline: ${extension.new_deadline.toISOString()}`,
+      `Reason: ${extension.reason}`,
+      '',
+      `View the RFP: ${buildAppUrl(`/rfps/${rfp._id}`)}`
+    ].join('\n')
+  }));
+};
+
+/**
+ * Tell the winning and rejected suppliers the outcome of an RFP
+ * @param {object} rfp - RFP document
+ * @param {object} award - Award document
+ * @param {Array<object>} rejected - Rejected response documents
+ */
+const sendAwardEmails = async (rfp, award, rejected) => {
+  const winners = await User.find({ _id: { $in: award.winners.map((winner) => winner.supplier_id) }, is_active: true });
+  const losers = await User.find({ _id: { $in: rejected.map((response) => response.submitted_by) }, is_active: true });
+
+  await notifyUsers(winners, (user) => ({
+    subject: `Your response to "${rfp.title}" has been selected`,
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      `Congratulations, your response to the RFP "${rfp.title}" has been selected.`,
+      'The buyer will be in touch about the next steps.',
+      '',
+      `View your response: ${buildAppUrl(`/rfps/${rfp._id}`)}`
+    ].join('\n')
+  }));
+
+  await notifyUsers(losers, (user) => ({
+    subject: `Outcome of "${rfp.title}"`,
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      `Thank you for responding to the RFP "${rfp.title}". It has been awarded to another supplier.`,
+      ...(award.rejection_reason ? ['', award.rejection_reason] : [])
+    ].join('\n')
+  }));
+};
+
+/**
+ * Tell the RFP creator a scheduled RFP has been published
+ * @param {object} rfp - RFP document
+ */
+const sendRFPPublishedEmail = async (rfp) => {
+  await notifyCreator(rfp, (creator) => ({
+    subject: `"${rfp.title}" has been published`,
+    text: [
+      `Hi ${creator.full_name},`,
+      '',
+      `Your RFP "${rfp.title}" was published as scheduled and is now open to suppliers until ${rfp.deadline.toISOString()}.`,
+      '',
+      `View it here: ${buildAppUrl(`/rfps/${rfp._id}`)}`
+    ].join('\n')
+  }));
+};
+
+/**
+ * Invite the suppliers shortlisted into a later stage once it is published
+ * @param {object} rfp - RFP document of the stage
+ */
+const sendStageInvitationEmails = async (rfp) => {
+  const stage = await RFP.findById(rfp._id).select('+shortlist');
+
+  if (!stage || stage.shortlist.length === 0) return;
+
+  const recipients = await User.find({
+    _id: { $in: stage.shortlist.map((entry) => entry.supplier_id) },
+    is_active: true
+  });
+
+  await notifyUsers(recipients, (user) => ({
+    subject: `You have been shortlisted for "${rfp.title}"`,
+    text: [
+      `Hi ${user.full_name},`,
+      '',
+      `Your response was shortlisted and you are invited to the ${rfp.stage.toUpperCase()} stage of "${rfp.title}".`,
+      `Responses are due by ${rfp.deadline.toISOString()}.`,
+      '',
+      `View the RFP: ${buildAppUrl(`/rfps/${rfp._id}`)}`
+    ].join('\n')
+  }));
+};
+
+/**
+ * Send the pending invitations of an invite-only RFP that were not sent yet.
+ * Invitations to addresses without an account ask the recipient to register.
+ * @param {object} rfp - RFP document
+ */
+const sendRFPInvitationEmails = async (rfp) => {
+  const invitations = await RFPInvitation.find({ rfp_id: rfp._id, status: 'pending', sent_at: null })
+    .populate('supplier_id', 'email full_name is_active');
+
+  const recipients = invitations
+    .filter((invitation) => !invitation.supplier_id || invitation.supplier_id.is_active)
+    .map((invitation) => invitation.supplier_id || { email: invitation.email, full_name: null });
+
+  await notifyUsers(recipients, (user) => ({
+    subject: `You are invited to respond to "${rfp.title}"`,
+    text: [
+      user.full_name ? `Hi ${user.full_name},` : 'Hello,',
+      '',
+      `You are invited to respond to the RFP "${rfp.title}". Responses are due by ${rfp.deadline.toISOString()}.`,
+      '',
+      user.full_name
+        ? `View the RFP: ${buildAppUrl(`/rfps/${rfp._id}`)}`
+        : `Register as a supplier with this email address to view it: ${buildAppUrl('/register')}`
+    ].join('\n')
+  }));
+
+  await RFPInvitation.updateMany(
+    { _id: { $in: invitations.map((invitation) => invitation._id) } },
+    { $set: { sent_at: new Date() } }
+  );
+};
+
+/**
+ * Tell the RFP creator an RFP has closed
+ * @param {object} rfp - RFP document
+ */
+const sendRFPClosedEmail = async (rfp) => {
+  await notifyCreator(rfp, (creator) => ({
+    subject: `"${rfp.title}" is closed`,
+    text: [
+      `Hi ${creator.full_name},`,
+      '',
+      rfp.closed_reason === 'deadline'
+        ? `The deadline of your RFP "${rfp.title}" has passed and it no longer accepts responses.`
+        : `Your RFP "${rfp.title}" has been closed and no longer accepts responses.`,
+      `Responses received: ${rfp.response_count}`,
+      '',
+      `Review the responses: ${buildAppUrl(`/rfps/${rfp._id}/responses`)}`
+    ].join('\n')
+  }));
+};
+
+module.exports = {
+  notifyUsers,
+  findInterestedSuppliers,
+  sendClarificationQuestionEmail,
+  sendClarificationAnswerEmails,
+  sendAddendumEmails,
+  sendDeadlineExtensionEmails,
+  sendAwardEmails,
+  sendStageInvitationEmails,
+  sendRFPInvitationEmails,
+  sendRFPPublishedEmail,
+  sendRFPClosedEmail
+};
@@ -0,0 +1,103 @@
+const RFP = require('../models/RFP');
+const config = require('../config');
+const { emitStatusChange } = require('./rfpEvents');
+
+/**
+ * RFP Scheduler
+ *
+ * This file contains the background job that publishes drafts when their
+ * publish_at time arrives and closes published RFPs once their deadline
+ * has passed.
+ *
+ * The schedule lives on the RFP documents themselves, so nothing is lost on
+ * restart: the first run after startup catches up on everything that came
+ * due in the meantime. Each transition is a conditional findOneAndUpdate on
+ * the current status, so when several instances run the scheduler only one
+ * of them makes (and emits) any given transition.
+ */
+
+// Upper bound of transitions of each kind per run; the rest wait for the next run
+const MAX_TRANSITIONS_PER_RUN = 100;
+
+let timer = null;
+let running = false;
+
+/**
+ * Apply one kind of transition until nothing is due or the limit is reached
+ * @param {Function} transition - Model static applying a single transition
+ * @param {string} previousStatus - Status the RFPs are moved from
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array<object>>} Transitioned RFPs
+ */
+const drain = async (transition, previousStatus, now) => {
+  const rfps = [];
+
+  while (rfps.length < MAX_TRANSITIONS_PER_RUN) {
+    const rfp = await transition.call(RFP, now);
+    if (!rfp) break;
+
+    rfps.push(rfp);
+    emitStatusChange(rfp, previousStatus, { trigger: 'schedule' });
+  }
+
+  return rfps;
+};
+
+/**
+ * Publish every scheduled draft and close every expired RFP that is due
+ * @param {Date} now - Reference time, defaults to the current time
+ * @returns {Promise<object>} { published, closed } with the transitioned RFPs
+ */
+const runScheduledTransitions = async (now = new Date()) => {
+  const published = await drain(RFP.publishNextScheduled, 'draft', now);
+  const closed = await drain(RFP.closeNextExpired, 'published', now);
+
+  return { published, closed };
+};
+
+/**
+ * Run the transitions once, skipping the run if the previous one is still busy
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const { published, closed } = await runScheduledTransitions();
+
+    if (published.length > 0 || closed.length > 0) {
+      console.log(`⏰ RFP scheduler: ${published.length} published, ${closed.length} closed`);
+    }
+  } catch (error) {
+    console.error('Error running RFP scheduler:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start running the scheduler periodically (no-op if disabled or already started)
+ */
+const startScheduler = () => {
+  if (!config.scheduler.enabled || timer) return;
+
+  timer = setInterval(tick, config.scheduler.intervalSeconds * 1000);
+  timer.unref(); // Never keep the process alive just for the scheduler
+  tick();
+};
+
+/**
+ * Stop the periodic scheduler
+ */
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runScheduledTransitions,
+  startScheduler,
+  stopScheduler
+};
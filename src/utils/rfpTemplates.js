@@ -0,0 +1,121 @@
+/**
+ * RFP Template Utilities
+ *
+ * This file contains the helpers used to copy RFP content between RFPs and
+ * templates, and to fill {{placeholder}} values in template text.
+ */
+
+// Fields copied from a template or cloned RFP into a new draft
+const RFP_CONTENT_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'budget_min',
+  'budget_max',
+  'requirements',
+  'evaluation_criteria',
+  'sections',
+  'line_items',
+  'terms_and_conditions'
+];
+
+// {{name}} with optional spaces inside the braces
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Check if a value is a plain object (not an ObjectId, Date, etc.)
+ */
+const isPlainObject = (value) => {
+  return value != null && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Deep copy plain data, dropping _id fields so subdocuments get new IDs
+ */
+const withoutIds = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(withoutIds);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_id')
+      .map(([key, item]) => [key, withoutIds(item)]));
+  }
+
+  return value;
+};
+
+/**
+ * Extract the RFP content of an RFP or template document
+ * @param {object} doc - RFP or RFPTemplate document
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {object} Plain content without subdocument IDs
+ */
+const extractContent = (doc, fields = RFP_CONTENT_FIELDS) => {
+  const data = doc.toObject();
+  const content = {};
+
+  fields.forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null) {
+      content[field] = withoutIds(data[field]);
+    }
+  });
+
+  return content;
+};
+
+/**
+ * List the placeholder names used anywhere in a value
+ * @param {any} value - String, array or plain object
+ * @returns {Array<string>} Sorted unique placeholder names
+ */
+const findPlaceholders = (value) => {
+  const names = new Set();
+
+  const visit = (item) => {
+    if (typeof item === 'string') {
+      for (const match of item.matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+      }
+    } else if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (isPlainObject(item)) {
+      Object.values(item).forEach(visit);
+    }
+  };
+
+  visit(value);
+  return [...names].sort();
+};
+
+/**
+ * Replace placeholders in every string of a value
+ * @param {any} value - String, array or plain object
+ * @param {object} values - Placeholder values by name
+ * @returns {any} Copy of the value with the placeholders filled
+ */
+const fillPlaceholders = (value, values) => {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => (
+      values[name] === undefined || values[name] === null ? match : String(values[name])
+    ));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => fillPlaceholders(item, values));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, values)]));
+  }
+
+  return value;
+};
+
+module.exports = {
+  RFP_CONTENT_FIELDS,
+  extractContent,
+  findPlaceholders,
+  fillPlaceholders
+};
@@ -0,0 +1,255 @@
+const { isSameId, isPanelEvaluator } = require('./permissions');
+
+/**
+ * Scoring Utilities
+ *
+ * This file turns evaluator scores into weighted totals. Each criterion's
+ * average score is placed on its scale (0 at min_score, 1 at max_score)
+ * and weighted; the total is the percentage of the maximum weighted score.
+ *
+ * RFPs with an evaluation panel score blind: an evaluator's scores only
+ * count once they submit them, and the owner's consensus scores replace
+ * the panel average once finalized.
+ */
+
+// Share of a criterion's scale beyond which panel scores are flagged
+const HIGH_VARIANCE_THRESHOLD = 0.2;
+const OUTLIER_THRESHOLD = 0.25;
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+const round = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Check if an RFP is scored by an evaluation panel
+ * @param {object} rfp - RFP document with evaluators selected
+ * @returns {boolean} True if a panel is assigned
+ */
+const hasPanel = (rfp) => {
+  return (rfp.evaluators || []).length > 0;
+};
+
+/**
+ * Check if an evaluator has submitted their scores for a response
+ * @param {object} response - Response document with evaluator submissions selected
+ * @param {any} userId - Evaluator ID
+ * @returns {boolean} True if submitted
+ */
+const hasSubmittedScores = (response, userId) => {
+  return (response.evaluator_submissions || []).some((submission) => isSameId(submission.evaluator_id, userId));
+};
+
+/**
+ * Get the scores that count towards a response's evaluation: all scores
+ * without a panel, otherwise the submitted scores of current panel members
+ * @param {object} rfp - RFP document with evaluators selected
+ * @param {object} response - Response document with scores and submissions selected
+ * @returns {Array<object>} Score entries
+ */
+const getSubmittedScores = (rfp, response) => {
+  const scores = response.scores || [];
+
+  if (!hasPanel(rfp)) {
+    return scores;
+  }
+
+  return scores.filter((entry) =>
+    isPanelEvaluator({ _id: entry.scored_by }, rfp) && hasSubmittedScores(response, entry.scored_by)
+  );
+};
+
+/**
+ * Check if a user may see other evaluators' scores of a response
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document with evaluators selected
+ * @param {object} response - Response document with evaluator submissions selected
+ * @returns {boolean} True unless the user is a panel evaluator who has not submitted
+ */
+const canViewPanelScores = (user, rfp, response) => {
+  return !isPanelEvaluator(user, rfp) || hasSubmittedScores(response, user._id);
+};
+
+/**
+ * Get the scores a user may see. Panel evaluators only see their own
+ * scores until they have submitted them.
+ * @param {object} user - User document
+ * @param {object} rfp - RFP document with evaluators selected
+ * @param {object} response - Response document with scores and submissions selected
+ * @returns {Array<object>} Score entries
+ */
+const getVisibleScores = (user, rfp, response) => {
+  const ownScores = (response.scores || []).filter((entry) => isSameId(entry.scored_by, user._id));
+
+  if (!canViewPanelScores(user, rfp, response)) {
+    return ownScores;
+  }
+
+  const submitted = getSubmittedScores(rfp, response);
+
+  return [...submitted, ...ownScores.filter((entry) => !submitted.includes(entry))];
+};
+
+/**
+ * Get the scores the evaluation is based on: the consensus scores once
+ * finalized, otherwise the submitted scores
+ * @param {object} rfp - RFP document with evaluators selected
+ * @param {object} response - Response document with scores, submissions and consensus selected
+ * @returns {Array<object>} Entries with criterion_id and score
+ */
+const getEffectiveScores = (rfp, response) => {
+  if (response.consensus && response.consensus.finalized_at) {
+    return response.consensus.scores;
+  }
+
+  return getSubmittedScores(rfp, response);
+};
+
+/**
+ * Calculate the weighted evaluation of a response
+ * @param {object} rfp - RFP document with evaluation criteria and evaluators
+ * @param {object} response - Response document with scores, submissions and consensus selected
+ * @returns {object} { weighted_total, complete, consensus, criteria }
+ */
+const calculateEvaluation = (rfp, response) => {
+  const criteria = rfp.evaluation_criteria || [];
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const effectiveScores = getEffectiveScores(rfp, response);
+  let weightedSum = 0;
+  let scoredCount = 0;
+
+  const breakdown = criteria.map((criterion) => {
+    const scores = effectiveScores
+      .filter((entry) => entry.criterion_id.equals(criterion._id))
+      .map((entry) => entry.score);
+
+    if (scores.length === 0) {
+      return {
+        criterion_id: criterion._id,
+        name: criterion.name,
+        weight: criterion.weight,
+        average_score: null,
+        score_count: 0
+      };
+    }
+
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    const normalized = (average - criterion.min_score) / (criterion.max_score - criterion.min_score);
+
+    weightedSum += normalized * criterion.weight;
+    scoredCount += 1;
+
+    return {
+      criterion_id: criterion._id,
+      name: criterion.name,
+      weight: criterion.weight,
+      average_score: round(average),
+      score_count: scores.length
+    };
+  });
+
+  return {
+    // Unscored criteria count as zero until they are scored
+    weighted_total: scoredCount > 0 ? round((weightedSum / totalWeight) * 100) : null,
+    complete: criteria.length > 0 && scoredCount === criteria.length,
+    consensus: Boolean(response.consensus && response.consensus.finalized_at),
+    criteria: breakdown
+  };
+};
+
+/**
+ * Evaluate and rank the responses to an RFP. Responses with equal totals
+ * share a rank; responses without any score are not ranked.
+ * @param {object} rfp - RFP document with evaluation criteria and evaluators
+ * @param {Array<object>} responses - Response documents with scores, submissions and consensus selected
+ * @returns {Map<string, object>} Evaluation with rank by response ID
+ */
+const rankResponses = (rfp, responses) => {
+  const evaluations = new Map(responses.map((response) => [
+    response._id.toString(),
+    { ...calculateEvaluation(rfp, response), rank: null }
+  ]));
+
+  const ranked = [...evaluations.values()]
+    .filter((evaluation) => evaluation.weighted_total !== null)
+    .sort((a, b) => b.weighted_total - a.weighted_total);
+
+  ranked.forEach((evaluation, index) => {
+    const previous = ranked[index - 1];
+    evaluation.rank = previous && previous.weighted_total === evaluation.weighted_total
+      ? previous.rank
+      : index + 1;
+  });
+
+  return evaluations;
+};
+
+/**
+ * Report how far the submitted scores of each criterion agree. Scores
+ * further than OUTLIER_THRESHOLD of the scale from the median are
+ * outliers; a standard deviation above HIGH_VARIANCE_THRESHOLD of the
+ * scale marks the criterion for discussion.
+ * @param {object} rfp - RFP document with evaluation criteria and evaluators
+ * @param {object} response - Response document with scores and submissions selected
+ * @returns {Array<object>} Statistics per criterion
+ */
+const analyzeScores = (rfp, response) => {
+  const submittedScores = getSubmittedScores(rfp, response);
+
+  return (rfp.evaluation_criteria || []).map((criterion) => {
+    const entries = submittedScores.filter((entry) => entry.criterion_id.equals(criterion._id));
+    const scale = criterion.max_score - criterion.min_score;
+    const report = {
+      criterion_id: criterion._id,
+      name: criterion.name,
+      min_score: criterion.min_score,
+      max_score: criterion.max_score,
+      scores: entries.map((entry) => ({
+        evaluator_id: entry.scored_by,
+        score: entry.score,
+        comment: entry.comment
+      })),
+      score_count: entries.length
+    };
+
+    if (entries.length === 0) {
+      return report;
+    }
+
+    const values = entries.map((entry) => entry.score);
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const stdDev = Math.sqrt(variance);
+
+    return {
+      ...report,
+      mean: round(mean),
+      median: round(median),
+      variance: round(variance),
+      std_dev: round(stdDev),
+      lowest: sorted[0],
+      highest: sorted[sorted.length - 1],
+      high_variance: stdDev > HIGH_VARIANCE_THRESHOLD * scale,
+      outliers: entries
+        .filter((entry) => Math.abs(entry.score - median) > OUTLIER_THRESHOLD * scale)
+        .map((entry) => entry.scored_by)
+    };
+  });
+};
+
+module.exports = {
+  hasPanel,
+  hasSubmittedScores,
+  getVisibleScores,
+  canViewPanelScores,
+  calculateEvaluation,
+  rankResponses,
+  analyzeScores
+};
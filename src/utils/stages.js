@@ -0,0 +1,94 @@
+/**
+ * Procurement Stage Utilities
+ *
+ * This file contains the rules for linking procurement stages (RFI, RFP
+ * and best-and-final offer rounds) and compares a supplier's responses
+ * between two rounds.
+ */
+
+// Stages in the order a procurement goes through them
+const STAGES = ['rfi', 'rfp', 'bafo'];
+
+/**
+ * Check if a stage can follow another. Stages move forward, and a
+ * best-and-final offer can be asked again in further rounds.
+ * @param {string} current - Stage of the current RFP
+ * @param {string} next - Requested next stage
+ * @returns {boolean} True if next may follow current
+ */
+const canFollowStage = (current, next) => {
+  return STAGES.indexOf(next) > STAGES.indexOf(current) || (next === 'bafo' && current === 'bafo');
+};
+
+/**
+ * Round an amount to two decimals
+ */
+const round = (value) => {
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Describe the change of an amount between rounds
+ * @param {number} previous - Amount in the earlier round
+ * @param {number} current - Amount in the later round
+ * @returns {object} { previous, current, difference, percent }, null where unknown
+ */
+const compareAmounts = (previous, current) => {
+  const known = typeof previous === 'number' && typeof current === 'number';
+
+  return {
+    previous: typeof previous === 'number' ? previous : null,
+    current: typeof current === 'number' ? current : null,
+    difference: known ? round(current - previous) : null,
+    percent: known && previous > 0 ? round(((current - previous) / previous) * 100) : null
+  };
+};
+
+/**
+ * Compare a supplier's responses in two consecutive rounds
+ *
+ * Line items keep their ID when a stage is created from the previous one;
+ * items added to the new stage afterwards are matched by name.
+ *
+ * @param {object} previous - Response in the earlier round, with rfp_id populated
+ * @param {object} current - Response in the later round, with rfp_id populated
+ * @returns {object} Changes to the proposal, budget, price total and line item prices
+ */
+const compareRounds = (previous, current) => {
+  const previousItems = previous.rfp_id.line_items || [];
+  const findPrice = (response, itemId) => {
+    return (response.line_item_prices || []).find((entry) => entry.line_item_id.equals(itemId));
+  };
+
+  const lineItems = (current.rfp_id.line_items || []).map((item) => {
+    const previousItem = previousItems.find((candidate) => candidate._id.equals(item._id)) ||
+      previousItems.find((candidate) => candidate.item === item.item);
+    const before = previousItem ? findPrice(previous, previousItem._id) : null;
+    const after = findPrice(current, item._id);
+
+    return {
+      line_item_id: item._id,
+      item: item.item,
+      unit_price: compareAmounts(before && before.unit_price, after && after.unit_price)
+    };
+  });
+
+  return {
+    from: { response_id: previous._id, rfp_id: previous.rfp_id._id, stage: previous.rfp_id.stage },
+    to: { response_id: current._id, rfp_id: current.rfp_id._id, stage: current.rfp_id.stage },
+    proposal: {
+      changed: previous.proposal !== current.proposal,
+      previous: previous.proposal,
+      current: current.proposal
+    },
+    proposed_budget: compareAmounts(previous.proposed_budget, current.proposed_budget),
+    price_total: compareAmounts(previous.price_total, current.price_total),
+    line_items: lineItems
+  };
+};
+
+module.exports = {
+  STAGES,
+  canFollowStage,
+  compareRounds
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const Session = require('../models/Session');
+const { signToken, verifyToken } = require('./keyRing');
+
+/**
+ * Token Utilities
+ *
+ * This file contains helpers for issuing and verifying access tokens
+ * and for managing the rotating refresh tokens stored in sessions.
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = config.jwt.expiresIn;
+const REFRESH_TOKEN_TTL_DAYS = config.jwt.refreshTokenTtlDays;
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random opaque token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return signToken(
+    { userId, sid: sessionId },
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed JWT
+ * @returns {object} Decoded payload
+ */
+const verifyAccessToken = (token) => {
+  const decoded = verifyToken(token);
+
+  // Purpose-bound tokens (such as 2FA challenges) are never access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived token proving the first login factor was passed
+ * @param {string} userId - User ID
+ * @returns {string} Signed JWT
+ */
+const generateChallengeToken = (userId) => {
+  return signToken(
+    { userId, purpose: '2fa_challenge' },
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Signed JWT
+ * @returns {object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = verifyToken(token);
+    return decoded.purpose === '2fa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the token payload returned to clients
+ * @param {object} session - Session document
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {object} Token response fields
+ */
+const buildTokenResponse = (session, refreshToken) => {
+  const accessToken = generateAccessToken(session.user_id, session._id);
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: exp - iat
+  };
+};
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {object} user - User document
+ * @param {object} req - Express request (for IP and user agent)
+ * @returns {Promise<object>} Token response fields
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateOpaqueToken();
+
+  const session = new Session({
+    user_id: user._id,
+    refresh_token_hash: hashToken(refreshToken),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    last_used_at: new Date(),
+    ip_address: req.ip,
+    user_agent: (req.get('User-Agent') || '').substring(0, 500)
+  });
+
+  await session.save();
+
+  return buildTokenResponse(session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ *
+ * The presented token is rotated out on every use. If a token that was
+ * already rotated out is presented again, the whole session is revoked,
+ * because either the client or an attacker is holding a stolen copy.
+ *
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {Promise<object>} `{ tokens }` on success or `{ error }` on failure
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refresh_token_hash: tokenHash })
+    .select('+previous_token_hashes');
+
+  if (!session) {
+    const reusedSession = await Session.findOne({ previous_token_hashes: tokenHash });
+
+    if (reusedSession && !reusedSession.revoked_at) {
+      await reusedSession.revoke('reuse_detected');
+      return { error: 'reuse_detected', session: reusedSession };
+    }
+
+    return { error: 'invalid' };
+  }
+
+  if (session.revoked_at) {
+    return { error: 'revoked', session };
+  }
+
+  if (session.expires_at <= new Date()) {
+    return { error: 'expired', session };
+  }
+
+  const newRefreshToken = generateOpaqueToken();
+  session.previous_token_hashes.push(tokenHash);
+  session.refresh_token_hash = hashToken(newRefreshToken);
+  session.last_used_at = new Date();
+  await session.save();
+
+  return { session, tokens: buildTokenResponse(session, newRefreshToken) };
+};
+
+/**
+ * Find the session an access token was issued for, if it is still usable
+ * @param {object} decoded - Decoded access token payload
+ * @returns {Promise<object|null>} Active session or null
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.is_active || session.user_id.toString() !== decoded.userId.toString()) {
+    return null;
+  }
+
+  return session;
+};
+
+module.exports = {
+  hashToken,
+  generateOpaqueToken,
+  generateAccessToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession
+};
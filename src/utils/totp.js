@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Utilities
+ *
+ * This file implements time-based one-time passwords (RFC 6238) on top of
+ * HOTP (RFC 4226), compatible with common authenticator apps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the HOTP code for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero padded code
+ */
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % Math.pow(10, CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step counter for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+const getCounter = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TIME_STEP_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a timestamp
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Current code
+ */
+const generateTOTP = (secret, timestamp = Date.now()) => {
+  return generateHOTP(secret, getCounter(timestamp));
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of time steps accepted before and after now
+ * @returns {number|null} Matched time step counter, or null if invalid
+ */
+const verifyTOTP = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== CODE_DIGITS) {
+    return null;
+  }
+
+  const currentCounter = getCounter();
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = currentCounter + offset;
+    const expected = generateHOTP(secret, counter);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment
+ * @param {object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account label (username or email)
+ * @param {string} options.issuer - Issuer label
+ * @returns {string} otpauth URI
+ */
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri
+};
@@ -0,0 +1,159 @@
+jest.mock('../src/utils/rfpNotifications');
+jest.mock('../src/utils/rfpEvents');
+
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const Response = require('../src/models/Response');
+const Addendum = require('../src/models/Addendum');
+const { sendAddendumEmails } = require('../src/utils/rfpNotifications');
+const { updateRFP } = require('../src/controllers/rfpController');
+const { acknowledgeAddendum } = require('../src/controllers/addendumController');
+
+/**
+ * RFP addendum tests
+ *
+ * RFP, response and addendum queries are stubbed and notifications are
+ * mocked, so no database or mail transport is needed.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+const supplier = { _id: new mongoose.Types.ObjectId(), role: 'supplier' };
+
+const buildRFP = (overrides = {}) => new RFP({
+  title: 'Office cleaning',
+  description: 'Weekly cleaning of two floors',
+  created_by: buyer._id,
+  status: 'published',
+  deadline: new Date(Date.now() + 7 * DAY),
+  ...overrides
+});
+
+const stubRFP = (rfp) => {
+  jest.spyOn(RFP, 'findById').mockResolvedValue(rfp);
+  jest.spyOn(rfp, 'save').mockResolvedValue(rfp);
+  jest.spyOn(rfp, 'populate').mockResolvedValue(rfp);
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await handler({ body: {}, ...req }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('updateRFP on a published RFP', () => {
+  it('issues the changes as a numbered addendum', async () => {
+    const rfp = buildRFP({ version: 1 });
+    stubRFP(rfp);
+    const save = jest.spyOn(Addendum.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await call(updateRFP, {
+      user: buyer,
+      params: { id: rfp._id },
+      body: { description: 'Daily cleaning of two floors', amendment_reason: 'Frequency changed' }
+    });
+
+    const addendum = save.mock.contexts[0];
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'RFP updated with addendum 2' }));
+    expect(rfp.version).toBe(2);
+    expect(addendum).toMatchObject({ rfp_id: rfp._id, number: 2, reason: 'Frequency changed' });
+    expect(addendum.changes.map((change) => change.toObject())).toEqual([{
+      field: 'description',
+      old_value: 'Weekly cleaning of two floors',
+      new_value: 'Daily cleaning of two floors'
+    }]);
+    expect(sendAddendumEmails).toHaveBeenCalledWith(rfp, addendum);
+  });
+
+  it('requires a reason for the amendment', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp);
+
+    const res = await call(updateRFP, { user: buyer, params: { id: rfp._id }, body: { title: 'Office and kitchen cleaning' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Amendment reason required' }));
+    expect(rfp.save).not.toHaveBeenCalled();
+  });
+
+  it('does not issue addenda for drafts', async () => {
+    const rfp = buildRFP({ status: 'draft' });
+    stubRFP(rfp);
+    const save = jest.spyOn(Addendum.prototype, 'save');
+
+    const res = await call(updateRFP, { user: buyer, params: { id: rfp._id }, body: { title: 'Office and kitchen cleaning' } });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'RFP updated successfully' }));
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('acknowledgeAddendum', () => {
+  const stubResponse = () => {
+    const response = new Response({ rfp_id: new mongoose.Types.ObjectId(), submitted_by: supplier._id });
+    const addendum = new Addendum({ rfp_id: response.rfp_id, number: 2, reason: 'Frequency changed' });
+    jest.spyOn(Response, 'findById').mockResolvedValue(response);
+    jest.spyOn(response, 'save').mockResolvedValue(response);
+    jest.spyOn(Addendum, 'findOne').mockResolvedValue(addendum);
+    jest.spyOn(Addendum, 'findPendingFor').mockResolvedValue([]);
+    return { response, addendum };
+  };
+
+  it('records the acknowledgement once', async () => {
+    const { response, addendum } = stubResponse();
+    const req = { user: supplier, params: { id: response._id, addendumId: addendum._id } };
+
+    const first = await call(acknowledgeAddendum, req);
+    const second = await call(acknowledgeAddendum, req);
+
+    expect(first.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Addendum 2 acknowledged successfully' }));
+    expect(second.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Addendum 2 was already acknowledged' }));
+    expect(response.acknowledged_addenda).toHaveLength(1);
+    expect(response.acknowledged_addenda[0]).toMatchObject({ addendum_id: addendum._id, acknowledged_by: supplier._id });
+    expect(response.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses other suppliers', async () => {
+    const { response, addendum } = stubResponse();
+    const otherSupplier = { _id: new mongoose.Types.ObjectId(), role: 'supplier' };
+
+    const res = await call(acknowledgeAddendum, { user: otherSupplier, params: { id: response._id, addendumId: addendum._id } });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(response.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('Addendum.findPendingFor', () => {
+  it('looks for unacknowledged addenda issued after the response was started', () => {
+    const response = new Response({ rfp_id: new mongoose.Types.ObjectId(), submitted_by: supplier._id, created_at: new Date() });
+    const acknowledgedId = new mongoose.Types.ObjectId();
+    response.acknowledged_addenda.push({ addendum_id: acknowledgedId, acknowledged_by: supplier._id });
+    const find = jest.spyOn(Addendum, 'find').mockReturnValue({ sort: () => [] });
+
+    Addendum.findPendingFor(response);
+
+    expect(find).toHaveBeenCalledWith({
+      rfp_id: response.rfp_id,
+      created_at: { $gt: response.created_at },
+      _id: { $nin: [acknowledgedId] }
+    });
+  });
+});
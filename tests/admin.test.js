@@ -0,0 +1,123 @@
+jest.mock('../src/utils/accountEmails');
+jest.mock('../src/utils/authEvents');
+
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { sendPasswordResetEmail } = require('../src/utils/accountEmails');
+const { hashToken } = require('../src/utils/tokens');
+const { recordAuthEvent } = require('../src/utils/authEvents');
+const { authorize } = require('../src/middleware/auth');
+const { updateUserStatus, updateUserRole, forcePasswordReset } = require('../src/controllers/adminController');
+
+/**
+ * User administration tests
+ *
+ * User lookups and writes are stubbed and mail is mocked, so no database
+ * or mail transport is needed.
+ */
+
+const admin = new User({ username: 'root', email: 'root@example.com', role: 'admin' });
+
+const stubUser = (overrides = {}) => {
+  const user = new User({ username: 'jane', email: 'jane@example.com', role: 'supplier', is_active: true, ...overrides });
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({});
+  return user;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, id, body = {}) => {
+  const req = { user: admin, params: { id: id.toString() }, body, ip: '127.0.0.1', get: () => 'jest' };
+  const res = mockResponse();
+  const next = jest.fn();
+  await handler(req, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('authorize', () => {
+  it('only lets the listed roles through', () => {
+    const next = jest.fn();
+    const res = mockResponse();
+
+    authorize('admin')({ user: admin }, res, next);
+    authorize('admin')({ user: { role: 'buyer' } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('updateUserStatus', () => {
+  it('deactivates a user and signs them out everywhere', async () => {
+    const user = stubUser();
+
+    const res = await call(updateUserStatus, user._id, { is_active: false });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'User deactivated successfully' }));
+    expect(user.is_active).toBe(false);
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, 'admin');
+    expect(recordAuthEvent).toHaveBeenCalledWith(expect.anything(), 'admin_user_status', 'success', {
+      user,
+      actor: admin,
+      reason: 'deactivated'
+    });
+  });
+
+  it('refuses to change the admin\'s own account', async () => {
+    jest.spyOn(User, 'findById');
+
+    const res = await call(updateUserStatus, admin._id, { is_active: false });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateUserRole', () => {
+  it('changes the role and records the previous one', async () => {
+    const user = stubUser();
+
+    await call(updateUserRole, user._id, { role: 'buyer' });
+
+    expect(user.role).toBe('buyer');
+    expect(recordAuthEvent).toHaveBeenCalledWith(expect.anything(), 'admin_user_role', 'success', expect.objectContaining({
+      metadata: { from: 'supplier', to: 'buyer' }
+    }));
+  });
+});
+
+describe('forcePasswordReset', () => {
+  it('requires a new password, signs the user out and emails a reset link', async () => {
+    const user = stubUser();
+
+    const res = await call(forcePasswordReset, user._id);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(user.password_reset_required).toBe(true);
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, 'admin');
+    expect(sendPasswordResetEmail).toHaveBeenCalledWith(user, expect.any(String), { forced: true });
+    expect(user.password_reset_token).toBe(hashToken(sendPasswordResetEmail.mock.calls[0][1]));
+  });
+
+  it('returns 404 for unknown users', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+
+    const res = await call(forcePasswordReset, 'missing');
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const ApiKey = require('../src/models/ApiKey');
+const { authenticate, requireScope } = require('../src/middleware/auth');
+
+/**
+ * API key authentication tests
+ *
+ * Key and user lookups are stubbed, so no database is needed.
+ */
+
+const buildUser = (overrides = {}) => {
+  return new User({ username: 'integration', email: 'ops@example.com', role: 'buyer', is_active: true, ...overrides });
+};
+
+const buildKey = (user, overrides = {}) => {
+  const apiKey = new ApiKey({ name: 'ERP', user_id: user._id, scopes: ['rfps:read'], ...overrides });
+  jest.spyOn(apiKey, 'recordUsage').mockResolvedValue({});
+  return apiKey;
+};
+
+const stubLookups = (user, apiKey) => {
+  jest.spyOn(ApiKey, 'findActiveByKey').mockResolvedValue(apiKey);
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run requireScope (when given) and authenticate like a route would
+const authenticateWithKey = async (scope) => {
+  const req = { ip: '127.0.0.1', header: (name) => (name === 'X-API-Key' ? 'rfpk_test' : undefined) };
+  const res = mockResponse();
+  const next = jest.fn();
+
+  if (scope) requireScope(scope)(req, res, () => {});
+  await authenticate(req, res, next);
+
+  return { req, res, next };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('API key authentication', () => {
+  it('authenticates as the key owner on routes declaring a granted scope', async () => {
+    const user = buildUser();
+    const apiKey = buildKey(user);
+    stubLookups(user, apiKey);
+
+    const { req, next } = await authenticateWithKey('rfps:read');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe(user);
+    expect(req.apiKey).toBe(apiKey);
+    expect(apiKey.recordUsage).toHaveBeenCalledWith(req);
+  });
+
+  it('refuses routes without a scope and scopes the key lacks', async () => {
+    const user = buildUser();
+    stubLookups(user, buildKey(user));
+
+    const unscoped = await authenticateWithKey();
+    const missing = await authenticateWithKey('rfps:write');
+
+    expect(unscoped.res.status).toHaveBeenCalledWith(403);
+    expect(missing.res.status).toHaveBeenCalledWith(403);
+    expect(missing.res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'API key is missing the rfps:write scope' }));
+  });
+
+  it('refuses unknown keys and keys of inactive owners', async () => {
+    stubLookups(null, null);
+    expect((await authenticateWithKey('rfps:read')).res.status).toHaveBeenCalledWith(401);
+
+    const inactive = buildUser({ is_active: false });
+    stubLookups(inactive, buildKey(inactive));
+    expect((await authenticateWithKey('rfps:read')).res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('stops organization keys of owners who left the organization', async () => {
+    const user = buildUser({ organization_id: new mongoose.Types.ObjectId() });
+    stubLookups(user, buildKey(user, { organization_id: new mongoose.Types.ObjectId() }));
+
+    expect((await authenticateWithKey('rfps:read')).res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('refuses keys of owners who must reset their password', async () => {
+    const user = buildUser({ password_reset_required: true });
+    stubLookups(user, buildKey(user));
+
+    const { res, next } = await authenticateWithKey('rfps:read');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Password reset required' }));
+  });
+
+  it('refuses keys of owners who have not enabled required two-factor authentication', async () => {
+    const user = buildUser({ two_factor_enabled: false });
+    jest.spyOn(user, 'isTwoFactorRequired').mockReturnValue(true);
+    stubLookups(user, buildKey(user));
+
+    const { res, next } = await authenticateWithKey('rfps:read');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Two-factor authentication required' }));
+  });
+});
@@ -0,0 +1,109 @@
+const AuthEvent = require('../src/models/AuthEvent');
+const { recordAuthEvent } = require('../src/utils/authEvents');
+const { exportAuthEvents } = require('../src/controllers/adminController');
+
+/**
+ * Auth event audit log tests
+ *
+ * Event writes and queries are stubbed, so no database is needed.
+ */
+
+const request = (fields = {}) => ({ ip: '127.0.0.1', get: () => 'jest', query: {}, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordAuthEvent', () => {
+  it('records the user, actor and request details', async () => {
+    const create = jest.spyOn(AuthEvent, 'create').mockResolvedValue({});
+    const user = { _id: 'user-id', username: 'jane' };
+
+    await recordAuthEvent(request(), 'login', 'failure', { user, actor: { _id: 'admin-id' }, reason: 'invalid_password' });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'login',
+      outcome: 'failure',
+      reason: 'invalid_password',
+      user_id: 'user-id',
+      username: 'jane',
+      actor_id: 'admin-id',
+      ip_address: '127.0.0.1',
+      user_agent: 'jest'
+    }));
+  });
+
+  it('never fails the request when the log cannot be written', async () => {
+    jest.spyOn(AuthEvent, 'create').mockRejectedValue(new Error('database down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(recordAuthEvent(request(), 'login', 'success', { username: 'jane' })).resolves.toBeUndefined();
+  });
+});
+
+describe('AuthEvent', () => {
+  it('cannot be changed or deleted once stored', async () => {
+    const event = new AuthEvent({ type: 'login', outcome: 'success', username: 'jane' });
+    event.isNew = false;
+    event.reason = 'edited';
+
+    await expect(event.save()).rejects.toThrow('append-only');
+    await expect(event.deleteOne()).rejects.toThrow('append-only');
+    await expect(AuthEvent.updateMany({}, { reason: 'edited' })).rejects.toThrow('append-only');
+    await expect(AuthEvent.deleteMany({})).rejects.toThrow('append-only');
+  });
+});
+
+describe('exportAuthEvents', () => {
+  const stubEvents = (events) => {
+    jest.spyOn(AuthEvent, 'find').mockReturnValue({
+      sort: () => ({ lean: () => ({ cursor: () => events }) })
+    });
+  };
+
+  const exportAs = async (query) => {
+    const res = { body: '' };
+    res.setHeader = jest.fn();
+    res.type = jest.fn();
+    res.write = jest.fn((chunk) => { res.body += chunk; });
+    res.end = jest.fn((chunk = '') => { res.body += chunk; });
+    const next = jest.fn();
+
+    await exportAuthEvents(request({ query }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  const event = {
+    _id: 'event-id',
+    created_at: new Date('2026-01-02T03:04:05Z'),
+    type: 'login',
+    outcome: 'failure',
+    username: '=HYPERLINK("http://evil")',
+    user_agent: 'Mozilla, "quoted"',
+    metadata: { method: 'password' }
+  };
+
+  it('exports CSV with quoted cells and neutralized formulas', async () => {
+    stubEvents([event]);
+
+    const res = await exportAs({ type: 'login' });
+
+    const [header, row] = res.body.trim().split('\n');
+    expect(AuthEvent.find).toHaveBeenCalledWith({ type: 'login' });
+    expect(res.type).toHaveBeenCalledWith('text/csv');
+    expect(header).toBe('created_at,type,outcome,reason,username,user_id,actor_id,ip_address,user_agent,metadata');
+    expect(row).toBe('2026-01-02T03:04:05.000Z,login,failure,,"\'=HYPERLINK(""http://evil"")",,,,"Mozilla, ""quoted""","{""method"":""password""}"');
+  });
+
+  it('exports JSON', async () => {
+    stubEvents([event, { ...event, _id: 'second-id' }]);
+
+    const res = await exportAs({ format: 'json' });
+
+    const exported = JSON.parse(res.body);
+    expect(exported.map((entry) => entry.id)).toEqual(['event-id', 'second-id']);
+    expect(exported[0]).not.toHaveProperty('_id');
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../src/utils/rfpNotifications');
+jest.mock('../src/utils/rfpEvents');
+
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const Response = require('../src/models/Response');
+const Award = require('../src/models/Award');
+const { sendAwardEmails } = require('../src/utils/rfpNotifications');
+const { awardRFP } = require('../src/controllers/awardController');
+
+/**
+ * RFP award tests
+ *
+ * RFP, response and award writes are stubbed and notifications are mocked,
+ * so no database or mail transport is needed.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+
+const buildResponse = (rfp) => new Response({
+  rfp_id: rfp._id,
+  submitted_by: new mongoose.Types.ObjectId(),
+  status: 'submitted'
+});
+
+// A closed RFP with two submitted responses
+const stubRFP = (overrides = {}) => {
+  const rfp = new RFP({
+    title: 'Office cleaning',
+    created_by: buyer._id,
+    status: 'closed',
+    deadline: new Date(Date.now() - DAY),
+    ...overrides
+  });
+  const responses = [buildResponse(rfp), buildResponse(rfp)];
+
+  jest.spyOn(RFP, 'findById').mockReturnValue({ select: () => Promise.resolve(rfp) });
+  jest.spyOn(Response, 'find').mockReturnValue({ select: () => Promise.resolve(responses) });
+  jest.spyOn(Response, 'updateMany').mockResolvedValue({});
+  jest.spyOn(rfp, 'save').mockResolvedValue(rfp);
+
+  return { rfp, responses };
+};
+
+const award = async (rfp, body) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await awardRFP({ user: buyer, params: { id: rfp._id }, body }, res, next);
+
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('awardRFP', () => {
+  it('approves the winner, rejects the other responses and records the award', async () => {
+    const { rfp, responses: [winner, loser] } = stubRFP();
+    const save = jest.spyOn(Award.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await award(rfp, {
+      awards: [{ response_id: winner._id.toString(), amount: 12000 }],
+      rejection_reason: 'Higher price'
+    });
+
+    const record = save.mock.contexts[0];
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'RFP awarded to 1 response(s), 1 rejected' }));
+    expect(record.winners[0]).toMatchObject({ response_id: winner._id, supplier_id: winner.submitted_by, amount: 12000 });
+    expect(record.rejected_response_ids).toEqual([loser._id]);
+    expect(Response.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [winner._id] } },
+      { $set: expect.objectContaining({ status: 'approved' }) }
+    );
+    expect(Response.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [loser._id] } },
+      { $set: expect.objectContaining({ status: 'rejected', reviewer_notes: 'Higher price' }) }
+    );
+    expect(rfp.status).toBe('awarded');
+    expect(sendAwardEmails).toHaveBeenCalledWith(rfp, record, [loser]);
+  });
+
+  it('only awards closed RFPs', async () => {
+    const { rfp, responses: [winner] } = stubRFP({ status: 'published', deadline: new Date(Date.now() + DAY) });
+
+    const res = await award(rfp, { awards: [{ response_id: winner._id, amount: 1 }] });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Cannot award RFP' }));
+    expect(Response.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses to award while the bids are sealed', async () => {
+    const { rfp, responses: [winner] } = stubRFP({ sealed: true, deadline: new Date(Date.now() + DAY) });
+
+    const res = await award(rfp, { awards: [{ response_id: winner._id, amount: 1 }] });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Bids sealed' }));
+    expect(Response.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses unknown and repeated winners', async () => {
+    const { rfp, responses: [winner] } = stubRFP();
+
+    const res = await award(rfp, {
+      awards: [
+        { response_id: winner._id, amount: 1 },
+        { response_id: winner._id, amount: 1 },
+        { response_id: new mongoose.Types.ObjectId(), amount: 1 }
+      ]
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].details.map((detail) => detail.message)).toEqual([
+      'Response is awarded more than once',
+      'Response is not a submitted response to this RFP'
+    ]);
+    expect(Response.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('requires finalized consensus scores when the RFP has a panel', async () => {
+    const { rfp, responses: [winner] } = stubRFP({ evaluators: [new mongoose.Types.ObjectId()] });
+
+    const res = await award(rfp, { awards: [{ response_id: winner._id, amount: 1 }] });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].details[0].message).toBe('Finalize the consensus scores of this response before awarding it');
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../src/utils/rfpNotifications');
+
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const RFPInvitation = require('../src/models/RFPInvitation');
+const Clarification = require('../src/models/Clarification');
+const { sendClarificationQuestionEmail, sendClarificationAnswerEmails } = require('../src/utils/rfpNotifications');
+const { getClarifications, askClarification, answerClarification } = require('../src/controllers/clarificationController');
+
+/**
+ * Clarification Q&A tests
+ *
+ * RFP, invitation and clarification queries are stubbed and notifications
+ * are mocked, so no database or mail transport is needed.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+const supplier = { _id: new mongoose.Types.ObjectId(), role: 'supplier', organization_id: new mongoose.Types.ObjectId() };
+
+const buildRFP = (overrides = {}) => new RFP({
+  title: 'Office cleaning',
+  created_by: buyer._id,
+  status: 'published',
+  deadline: new Date(Date.now() + 7 * DAY),
+  ...overrides
+});
+
+const stubRFP = (rfp, invited = true) => {
+  jest.spyOn(RFP, 'findById').mockReturnValue({ select: () => Promise.resolve(rfp) });
+  jest.spyOn(RFPInvitation, 'isInvited').mockResolvedValue(invited);
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await handler({ query: {}, body: {}, ...req }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('askClarification', () => {
+  it('records the question for the asker and their organization and follows the RFP', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp);
+    const save = jest.spyOn(Clarification.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(RFP, 'registerInterest').mockResolvedValue({});
+
+    const res = await call(askClarification, { user: supplier, params: { id: rfp._id }, body: { question: 'Are windows included?' } });
+
+    const clarification = save.mock.contexts[0];
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(clarification.asked_by).toEqual(supplier._id);
+    expect(clarification.organization_id).toEqual(supplier.organization_id);
+    expect(RFP.registerInterest).toHaveBeenCalledWith(rfp._id, supplier._id);
+    expect(sendClarificationQuestionEmail).toHaveBeenCalledWith(rfp, clarification);
+  });
+
+  it('refuses questions after the questions cutoff', async () => {
+    const rfp = buildRFP({ questions_deadline: new Date(Date.now() - DAY) });
+    stubRFP(rfp);
+    const save = jest.spyOn(Clarification.prototype, 'save');
+
+    const res = await call(askClarification, { user: supplier, params: { id: rfp._id }, body: { question: 'Late?' } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Questions closed' }));
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('refuses questions from suppliers not invited to the RFP', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp, false);
+
+    const res = await call(askClarification, { user: supplier, params: { id: rfp._id }, body: { question: 'Can we bid?' } });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('answerClarification', () => {
+  it('lets only the RFP owner answer', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp);
+    jest.spyOn(Clarification, 'findOne');
+    const otherBuyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+
+    const res = await call(answerClarification, { user: otherBuyer, params: { id: rfp._id, questionId: 'question-id' }, body: { answer: 'Yes' } });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Clarification.findOne).not.toHaveBeenCalled();
+  });
+
+  it('publishes a public answer to interested suppliers', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp);
+    const clarification = new Clarification({ rfp_id: rfp._id, asked_by: supplier._id, question: 'Are windows included?' });
+    jest.spyOn(clarification, 'save').mockResolvedValue(clarification);
+    jest.spyOn(Clarification, 'findOne').mockResolvedValue(clarification);
+
+    const res = await call(answerClarification, {
+      user: buyer,
+      params: { id: rfp._id, questionId: clarification._id },
+      body: { answer: 'Yes, inside and out', visibility: 'public' }
+    });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Question answered publicly' }));
+    expect(clarification).toMatchObject({ answer: 'Yes, inside and out', visibility: 'public', answered_by: buyer._id });
+    expect(clarification.is_answered).toBe(true);
+    expect(sendClarificationAnswerEmails).toHaveBeenCalledWith(rfp, clarification);
+  });
+});
+
+describe('getClarifications', () => {
+  // Stub Clarification.find(...).sort(...).skip(...).limit(...)
+  const stubClarifications = (clarifications) => {
+    const query = {
+      sort: () => query,
+      skip: () => query,
+      limit: () => query,
+      populate: jest.fn(() => query),
+      then: (resolve, reject) => Promise.resolve(clarifications).then(resolve, reject)
+    };
+    jest.spyOn(Clarification, 'find').mockReturnValue(query);
+    jest.spyOn(Clarification, 'countDocuments').mockResolvedValue(clarifications.length);
+    return query;
+  };
+
+  it('shows suppliers public answers anonymously next to their own questions', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp);
+    const otherSupplierId = new mongoose.Types.ObjectId();
+    const own = new Clarification({ rfp_id: rfp._id, asked_by: supplier._id, question: 'Ours' });
+    const publicAnswer = new Clarification({
+      rfp_id: rfp._id,
+      asked_by: otherSupplierId,
+      question: 'Theirs',
+      answer: 'Answered',
+      visibility: 'public',
+      answered_at: new Date()
+    });
+    const query = stubClarifications([own, publicAnswer]);
+
+    const res = await call(getClarifications, { user: supplier, params: { id: rfp._id } });
+
+    const filter = Clarification.find.mock.calls[0][0];
+    expect(filter.$or).toContainEqual({ visibility: 'public', answered_at: { $ne: null } });
+    expect(filter.$or).toContainEqual({ asked_by: supplier._id });
+    expect(query.populate).not.toHaveBeenCalled();
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data[0].asked_by).toEqual(supplier._id);
+    expect(data[1]).not.toHaveProperty('asked_by');
+  });
+
+  it('shows the buyer side every question with who asked it', async () => {
+    const rfp = buildRFP();
+    stubRFP(rfp);
+    const query = stubClarifications([]);
+
+    await call(getClarifications, { user: buyer, params: { id: rfp._id } });
+
+    expect(Clarification.find).toHaveBeenCalledWith({ rfp_id: rfp._id });
+    expect(query.populate).toHaveBeenCalledWith('asked_by', expect.any(String));
+  });
+
+  it('hides the board from suppliers while the RFP is a draft', async () => {
+    const rfp = buildRFP({ status: 'draft' });
+    stubRFP(rfp);
+    jest.spyOn(Clarification, 'find');
+
+    const res = await call(getClarifications, { user: supplier, params: { id: rfp._id } });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Clarification.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Configuration validation tests
+ *
+ * The config module validates process.env when it is loaded, so every test
+ * loads a fresh copy with the variables it needs.
+ */
+
+const ORIGINAL_ENV = process.env;
+
+const loadConfig = (env = {}) => {
+  process.env = { ...ORIGINAL_ENV, ...env };
+
+  let config;
+  jest.isolateModules(() => {
+    config = require('../src/config');
+  });
+
+  return config;
+};
+
+afterEach(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+describe('config', () => {
+  it('applies defaults', () => {
+    const config = loadConfig();
+
+    expect(config.jwt.expiresIn).toBe('15m');
+    expect(config.jwt.refreshTokenTtlDays).toBe(7);
+    expect(config.scheduler.enabled).toBe(true);
+  });
+
+  it('reads a JWT lifetime without a unit as seconds', () => {
+    const config = loadConfig({ JWT_EXPIRES_IN: '900' });
+
+    expect(config.jwt.expiresIn).toBe(900);
+  });
+
+  it('issues access tokens for the configured number of seconds', () => {
+    process.env = { ...ORIGINAL_ENV, JWT_EXPIRES_IN: '900' };
+
+    jest.isolateModules(() => {
+      const jwt = require('jsonwebtoken');
+      const { generateAccessToken, verifyAccessToken } = require('../src/utils/tokens');
+      const token = generateAccessToken('user-id', 'session-id');
+      const { exp, iat } = jwt.decode(token);
+
+      expect(exp - iat).toBe(900);
+      expect(verifyAccessToken(token).sid).toBe('session-id');
+    });
+  });
+
+  it('rejects invalid values with the variable name', () => {
+    expect(() => loadConfig({ JWT_EXPIRES_IN: '15 minutes' })).toThrow('JWT_EXPIRES_IN must be a number of seconds or a duration');
+    expect(() => loadConfig({ PORT: '0' })).toThrow('PORT must be at least 1');
+    expect(() => loadConfig({ REQUIRE_2FA_FOR_BUYERS: 'yes' })).toThrow('REQUIRE_2FA_FOR_BUYERS must be true or false');
+  });
+
+  it('requires a real secret and a database in production', () => {
+    expect(() => loadConfig({ NODE_ENV: 'production', MONGODB_URI: '', JWT_SECRET: '' }))
+      .toThrow(/MONGODB_URI is required when NODE_ENV is production[\s\S]*JWT_SECRET/);
+
+    expect(() => loadConfig({
+      NODE_ENV: 'production',
+      MONGODB_URI: 'mongodb://db.example.com/rfp',
+      JWT_SECRET: '<generate with: openssl rand -hex 64>'
+    })).toThrow('JWT_SECRET (or JWT_KEYS / JWT_KEYS_FILE) must be set to a real secret');
+
+    const config = loadConfig({
+      NODE_ENV: 'production',
+      MONGODB_URI: 'mongodb://db.example.com/rfp',
+      JWT_SECRET: 'a-real-secret'
+    });
+    expect(config.isProduction).toBe(true);
+  });
+
+  it('requires a client ID when single sign-on is configured', () => {
+    expect(() => loadConfig({ OIDC_ISSUER: 'https://idp.example.com' })).toThrow('OIDC_CLIENT_ID is required');
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../src/utils/rfpNotifications');
+jest.mock('../src/utils/rfpEvents');
+
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const RFP = require('../src/models/RFP');
+const { sendDeadlineExtensionEmails } = require('../src/utils/rfpNotifications');
+const { extendDeadline } = require('../src/controllers/rfpController');
+
+/**
+ * Deadline extension tests
+ *
+ * The RFP lookup and save are stubbed and notifications are mocked, so no
+ * database or mail transport is needed.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+
+const buildRFP = (overrides = {}) => {
+  const rfp = new RFP({
+    title: 'Office cleaning',
+    created_by: buyer._id,
+    status: 'published',
+    deadline: new Date(Date.now() + DAY),
+    ...overrides
+  });
+  jest.spyOn(RFP, 'findById').mockResolvedValue(rfp);
+  jest.spyOn(rfp, 'save').mockResolvedValue(rfp);
+  jest.spyOn(rfp, 'populate').mockResolvedValue(rfp);
+  return rfp;
+};
+
+const extend = async (rfp, deadline, user = buyer) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await extendDeadline({ user, params: { id: rfp._id }, body: { deadline: deadline.toISOString(), reason: 'Site visit moved' } }, res, next);
+
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('extendDeadline', () => {
+  it('moves the deadline of a published RFP and records the history', async () => {
+    const rfp = buildRFP();
+    const previousDeadline = rfp.deadline;
+    const newDeadline = new Date(Date.now() + 3 * DAY);
+
+    const res = await extend(rfp, newDeadline);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'RFP deadline extended successfully' }));
+    expect(rfp.deadline).toEqual(newDeadline);
+    expect(rfp.deadline_history[0]).toMatchObject({
+      previous_deadline: previousDeadline,
+      new_deadline: newDeadline,
+      reason: 'Site visit moved',
+      reopened: false,
+      extended_by: buyer._id
+    });
+    expect(sendDeadlineExtensionEmails).toHaveBeenCalledWith(rfp, rfp.deadline_history[0]);
+  });
+
+  it('reopens an RFP closed at its deadline within the grace period', async () => {
+    const closedAt = new Date(Date.now() - HOUR);
+    const rfp = buildRFP({ status: 'closed', deadline: closedAt, closed_at: closedAt, closed_reason: 'deadline' });
+
+    const res = await extend(rfp, new Date(Date.now() + DAY));
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'RFP reopened with a new deadline' }));
+    expect(rfp.status).toBe('published');
+    expect(rfp.closed_at).toBeUndefined();
+    expect(rfp.deadline_history[0].reopened).toBe(true);
+  });
+
+  it('does not reopen RFPs closed after the grace period or by hand', async () => {
+    const graceHours = config.deadlineExtension.reopenGraceHours;
+    const longClosed = new Date(Date.now() - (graceHours + 1) * HOUR);
+
+    const expired = buildRFP({ status: 'closed', deadline: longClosed, closed_at: longClosed, closed_reason: 'deadline' });
+    expect((await extend(expired, new Date(Date.now() + DAY))).status).toHaveBeenCalledWith(400);
+
+    const closedByHand = buildRFP({ status: 'closed', closed_at: new Date(), closed_reason: 'manual' });
+    expect((await extend(closedByHand, new Date(Date.now() + 2 * DAY))).status).toHaveBeenCalledWith(400);
+  });
+
+  it('refuses to extend a sealed RFP once its bids are opened', async () => {
+    const rfp = buildRFP({ sealed: true, bid_opening: { opened_at: new Date(), opened_by: buyer._id } });
+
+    const res = await extend(rfp, new Date(Date.now() + 3 * DAY));
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Bids unsealed' }));
+    expect(rfp.save).not.toHaveBeenCalled();
+  });
+
+  it('extends a sealed RFP while its bids are still sealed', async () => {
+    const rfp = buildRFP({ sealed: true });
+
+    const res = await extend(rfp, new Date(Date.now() + 3 * DAY));
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(rfp.save).toHaveBeenCalled();
+  });
+
+  it('only accepts later deadlines from the RFP owner', async () => {
+    const rfp = buildRFP();
+    const otherBuyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+
+    expect((await extend(rfp, new Date(Date.now() + HOUR))).status).toHaveBeenCalledWith(400);
+    expect((await extend(rfp, new Date(Date.now() + 3 * DAY), otherBuyer)).status).toHaveBeenCalledWith(403);
+    expect(rfp.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const RFPInvitation = require('../src/models/RFPInvitation');
+const Document = require('../src/models/Document');
+const { downloadDocument } = require('../src/controllers/documentController');
+
+/**
+ * Document download access tests
+ *
+ * Document and RFP lookups and the file check are stubbed, so no database
+ * or files are needed.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+const supplier = { _id: new mongoose.Types.ObjectId(), role: 'supplier', email_verified: true };
+
+const buildRFP = (overrides = {}) => new RFP({
+  created_by: buyer._id,
+  status: 'published',
+  deadline: new Date(Date.now() + HOUR),
+  ...overrides
+});
+
+// Stub Document.findById(...).populate(...).populate(...)
+const stubDocument = (document) => {
+  const query = { populate: () => query, then: (resolve, reject) => Promise.resolve(document).then(resolve, reject) };
+  jest.spyOn(Document, 'findById').mockReturnValue(query);
+};
+
+const stubRFP = (rfp) => {
+  jest.spyOn(RFP, 'findById').mockReturnValue(
+    Object.assign(Promise.resolve(rfp), { select: () => Promise.resolve(rfp) })
+  );
+};
+
+const download = async (user) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.setHeader = jest.fn();
+  res.sendFile = jest.fn();
+
+  await downloadDocument({ user, params: { id: 'document-id' } }, res, jest.fn());
+
+  return res.status.mock.calls.length > 0 ? res.status.mock.calls[0][0] : 200;
+};
+
+beforeEach(() => {
+  jest.spyOn(fs, 'access').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('response documents', () => {
+  const responseDocument = (rfp) => ({
+    uploaded_by: supplier._id,
+    response_id: { rfp_id: rfp._id, submitted_by: supplier._id },
+    file_path: '/tmp/proposal.pdf'
+  });
+
+  it('stay hidden from the buyer side while the bids are sealed', async () => {
+    const rfp = buildRFP({ sealed: true });
+    stubDocument(responseDocument(rfp));
+    stubRFP(rfp);
+
+    expect(await download(buyer)).toBe(403);
+    expect(await download(supplier)).toBe(200);
+  });
+
+  it('are readable by the buyer side once the bids are opened', async () => {
+    const rfp = buildRFP({ sealed: true, bid_opening: { opened_at: new Date(), opened_by: buyer._id } });
+    stubDocument(responseDocument(rfp));
+    stubRFP(rfp);
+
+    expect(await download(buyer)).toBe(200);
+  });
+
+  it('are never readable anonymously', async () => {
+    const rfp = buildRFP();
+    stubDocument(responseDocument(rfp));
+    stubRFP(rfp);
+
+    expect(await download(null)).toBe(403);
+  });
+});
+
+describe('RFP documents', () => {
+  const rfpDocument = (rfp) => ({ uploaded_by: buyer._id, rfp_id: rfp, file_path: '/tmp/specification.pdf' });
+
+  it('of published public RFPs are readable by everyone', async () => {
+    const rfp = buildRFP();
+    stubDocument(rfpDocument(rfp));
+    stubRFP(rfp);
+
+    expect(await download(null)).toBe(200);
+    expect(await download(supplier)).toBe(200);
+  });
+
+  it('of drafts are only readable by the buyer side', async () => {
+    const rfp = buildRFP({ status: 'draft' });
+    stubDocument(rfpDocument(rfp));
+    stubRFP(rfp);
+
+    expect(await download(supplier)).toBe(403);
+    expect(await download(buyer)).toBe(200);
+  });
+
+  it('of invite-only RFPs are only readable by invited suppliers', async () => {
+    const rfp = buildRFP({ visibility: 'invite_only' });
+    stubDocument(rfpDocument(rfp));
+    stubRFP(rfp);
+    jest.spyOn(RFPInvitation, 'exists').mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 1 });
+
+    expect(await download(null)).toBe(403);
+    expect(await download(supplier)).toBe(403);
+    expect(await download(supplier)).toBe(200);
+  });
+});
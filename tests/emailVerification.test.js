@@ -0,0 +1,102 @@
+jest.mock('../src/utils/accountEmails');
+jest.mock('../src/utils/authEvents');
+
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const RFPInvitation = require('../src/models/RFPInvitation');
+const { sendVerificationEmail } = require('../src/utils/accountEmails');
+const { hashToken } = require('../src/utils/tokens');
+const { requireVerifiedEmail } = require('../src/middleware/auth');
+const { register, verifyEmail } = require('../src/controllers/authController');
+
+/**
+ * Email verification tests
+ *
+ * User and Session writes are stubbed and mail is mocked, so no database or
+ * mail transport is needed.
+ */
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (fields) => ({ ip: '127.0.0.1', get: () => 'jest', ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('register', () => {
+  it('creates an unverified account and emails a verification token', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session.prototype, 'save').mockResolvedValue();
+    jest.spyOn(RFPInvitation, 'claimForUser').mockResolvedValue({});
+    const res = mockResponse();
+
+    await register(request({
+      body: { username: 'jane', email: 'jane@example.com', password: 'Password1', full_name: 'Jane Doe', role: 'supplier' }
+    }), res, jest.fn());
+
+    const user = save.mock.contexts[0];
+    const [mailedUser, token] = sendVerificationEmail.mock.calls[0];
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mailedUser).toBe(user);
+    expect(user.email_verified).toBe(false);
+    expect(user.email_verification_token).toBe(hashToken(token));
+    expect(RFPInvitation.claimForUser).toHaveBeenCalledWith(user);
+  });
+});
+
+describe('verifyEmail', () => {
+  it('marks the email verified and consumes the token', async () => {
+    const user = new User({ username: 'jane', email: 'jane@example.com', email_verified: false });
+    user.createEmailVerificationToken();
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findByEmailVerificationToken').mockResolvedValue(user);
+    const res = mockResponse();
+
+    await verifyEmail(request({ params: { token: 'emailed-token' } }), res, jest.fn());
+
+    expect(user.email_verified).toBe(true);
+    expect(user.email_verified_at).toBeInstanceOf(Date);
+    expect(user.email_verification_token).toBeUndefined();
+  });
+
+  it('rejects unknown or expired tokens', async () => {
+    jest.spyOn(User, 'findByEmailVerificationToken').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await verifyEmail(request({ params: { token: 'expired-token' } }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('requireVerifiedEmail', () => {
+  const check = (user) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    requireVerifiedEmail({ user }, res, next);
+    return { res, next };
+  };
+
+  it('blocks unverified accounts', () => {
+    const { res, next } = check({ email_verified: false });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('lets verified accounts and accounts from before verification through', () => {
+    expect(check({ email_verified: true }).next).toHaveBeenCalled();
+    expect(check({}).next).toHaveBeenCalled();
+  });
+});
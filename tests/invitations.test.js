@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const RFPInvitation = require('../src/models/RFPInvitation');
+const { buildInvitationFilter } = require('../src/utils/permissions');
+
+/**
+ * Invite-only access tests
+ *
+ * RFPInvitation.exists is stubbed so no database is needed.
+ */
+
+const organizationId = new mongoose.Types.ObjectId();
+const supplier = { _id: new mongoose.Types.ObjectId(), role: 'supplier', organization_id: organizationId, email_verified: true };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RFPInvitation.isInvited', () => {
+  it('lets everyone see public RFPs without looking up invitations', async () => {
+    const exists = jest.spyOn(RFPInvitation, 'exists');
+
+    await expect(RFPInvitation.isInvited(null, new RFP({ visibility: 'public' }))).resolves.toBe(true);
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  it('requires an active invitation for invite-only RFPs', async () => {
+    const rfp = new RFP({ visibility: 'invite_only' });
+    const exists = jest.spyOn(RFPInvitation, 'exists').mockResolvedValueOnce({ _id: 1 }).mockResolvedValueOnce(null);
+
+    await expect(RFPInvitation.isInvited(null, rfp)).resolves.toBe(false);
+    await expect(RFPInvitation.isInvited(supplier, rfp)).resolves.toBe(true);
+    await expect(RFPInvitation.isInvited(supplier, rfp)).resolves.toBe(false);
+
+    expect(exists).toHaveBeenCalledWith({
+      rfp_id: rfp._id,
+      status: { $in: RFPInvitation.ACTIVE_STATUSES },
+      $or: [{ supplier_id: supplier._id }, { organization_id: organizationId }]
+    });
+  });
+
+  it('requires the shortlist for later stages before checking invitations', async () => {
+    const exists = jest.spyOn(RFPInvitation, 'exists').mockResolvedValue({ _id: 1 });
+    const rfp = new RFP({ visibility: 'invite_only', previous_stage_id: new mongoose.Types.ObjectId(), shortlist: [] });
+
+    await expect(RFPInvitation.isInvited(supplier, rfp)).resolves.toBe(false);
+    expect(exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('RFPInvitation.filterForUser', () => {
+  it('ignores invitations claimed by an unverified email', () => {
+    const filter = RFPInvitation.filterForUser({ ...supplier, organization_id: null, email_verified: false });
+
+    expect(filter).toEqual({
+      status: { $in: RFPInvitation.ACTIVE_STATUSES },
+      $or: [{ supplier_id: supplier._id }],
+      claimed_at: null
+    });
+  });
+});
+
+describe('buildInvitationFilter', () => {
+  it('limits anonymous users to public first stages', () => {
+    expect(buildInvitationFilter(null)).toEqual({
+      $and: [
+        { $or: [{ previous_stage_id: null }] },
+        { $or: [{ visibility: { $ne: 'invite_only' } }] }
+      ]
+    });
+  });
+
+  it('adds the RFPs a supplier is invited or shortlisted to', () => {
+    const invitedId = new mongoose.Types.ObjectId();
+    const [stages, visibility] = buildInvitationFilter(supplier, [invitedId]).$and;
+
+    expect(stages.$or).toContainEqual({ 'shortlist.supplier_id': supplier._id });
+    expect(stages.$or).toContainEqual({ 'shortlist.organization_id': organizationId });
+    expect(visibility.$or).toContainEqual({ _id: { $in: [invitedId] } });
+    expect(visibility.$or).not.toContainEqual({ created_by: supplier._id });
+  });
+
+  it('lets the buyer side see its own invite-only RFPs', () => {
+    const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+    const [stages, visibility] = buildInvitationFilter(buyer).$and;
+
+    expect(stages.$or).toContainEqual({ created_by: buyer._id });
+    expect(visibility.$or).toContainEqual({ created_by: buyer._id });
+  });
+});
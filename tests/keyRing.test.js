@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * JWT key ring tests
+ *
+ * The key ring is built when its module is loaded, so every test loads a
+ * fresh copy with the key configuration it needs.
+ */
+
+const ORIGINAL_ENV = process.env;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const PRIVATE_PEM = privateKey.export({ type: 'pkcs8', format: 'pem' });
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+
+const OLD_KEY = { kid: 'old', alg: 'HS256', secret: 'old-secret-that-is-long-enough' };
+const NEW_KEY = { kid: 'new', alg: 'ES256', private_key: PRIVATE_PEM };
+
+const loadKeyRing = (env = {}) => {
+  process.env = { ...ORIGINAL_ENV, ...env };
+
+  let keyRing;
+  jest.isolateModules(() => {
+    keyRing = require('../src/utils/keyRing');
+  });
+
+  return keyRing;
+};
+
+const withKeys = (entries, signingKeyId) => {
+  return loadKeyRing({ JWT_KEYS: JSON.stringify(entries), JWT_SIGNING_KEY_ID: signingKeyId || '' });
+};
+
+afterEach(() => {
+  process.env = ORIGINAL_ENV;
+});
+
+describe('JWT key ring', () => {
+  it('falls back to JWT_SECRET as an HS256 key', () => {
+    const { signToken, verifyToken } = loadKeyRing({ JWT_KEYS: '', JWT_SECRET: 'legacy-secret' });
+
+    const token = signToken({ userId: 'user-id' });
+    const legacyToken = jwt.sign({ userId: 'user-id' }, 'legacy-secret');
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'HS256', kid: 'default' });
+    expect(verifyToken(token).userId).toBe('user-id');
+    expect(verifyToken(legacyToken).userId).toBe('user-id');
+  });
+
+  it('signs with the configured key and still accepts tokens of the previous key', () => {
+    const oldToken = withKeys([OLD_KEY]).signToken({ userId: 'user-id' });
+    const { signToken, verifyToken } = withKeys([OLD_KEY, NEW_KEY], 'new');
+
+    const token = signToken({ userId: 'user-id' });
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: 'new' });
+    expect(verifyToken(token).userId).toBe('user-id');
+    expect(verifyToken(oldToken).userId).toBe('user-id');
+  });
+
+  it('rejects tokens of retired keys and of unknown key IDs', () => {
+    const oldToken = withKeys([OLD_KEY]).signToken({ userId: 'user-id' });
+    const retired = { ...OLD_KEY, retire_at: new Date(Date.now() - 1000).toISOString() };
+    const { signToken, verifyToken } = withKeys([retired, NEW_KEY]);
+
+    const forged = jwt.sign({ userId: 'user-id' }, OLD_KEY.secret, { keyid: 'missing' });
+
+    expect(() => verifyToken(oldToken)).toThrow('unknown or retired signing key');
+    expect(() => verifyToken(forged)).toThrow('unknown or retired signing key');
+    expect(jwt.decode(signToken({}), { complete: true }).header.kid).toBe('new');
+  });
+
+  it('never signs with keys that only have a public key', () => {
+    const { signToken, verifyToken } = withKeys([{ kid: 'partner', alg: 'ES256', public_key: PUBLIC_PEM }, OLD_KEY], 'partner');
+
+    const token = signToken({ userId: 'user-id' });
+    const partnerToken = jwt.sign({ userId: 'user-id' }, PRIVATE_PEM, { algorithm: 'ES256', keyid: 'partner' });
+
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe('old');
+    expect(verifyToken(partnerToken).userId).toBe('user-id');
+  });
+
+  it('publishes only active asymmetric keys in the JWKS', () => {
+    const { getJwks } = withKeys([OLD_KEY, NEW_KEY]);
+
+    const { keys } = getJwks();
+
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kid: 'new', alg: 'ES256', use: 'sig', kty: 'EC', crv: 'P-256' });
+    expect(keys[0]).not.toHaveProperty('d');
+  });
+
+  it('refuses invalid key configurations', () => {
+    expect(() => withKeys([OLD_KEY, OLD_KEY])).toThrow('Duplicate JWT key id old');
+    expect(() => withKeys([OLD_KEY], 'missing')).toThrow('JWT_SIGNING_KEY_ID missing is not in the key ring');
+    expect(() => withKeys([{ kid: 'rsa', alg: 'RS256', private_key: PRIVATE_PEM }])).toThrow('JWT key rsa is not a valid RS256 key');
+  });
+});
@@ -0,0 +1,87 @@
+const LoginThrottle = require('../src/models/LoginThrottle');
+const config = require('../src/config');
+
+/**
+ * Login throttle tests
+ *
+ * The throttle's queries are stubbed to keep one in-memory document per
+ * test, so no database is needed.
+ */
+
+const { backoffThreshold, lockoutThreshold, failureWindowMinutes } = config.loginThrottle;
+
+const request = { ip: '127.0.0.1', get: () => 'jest' };
+
+// Keep a single throttle document, as the upsert would
+const stubStore = () => {
+  const throttle = new LoginThrottle({ username: 'jane', failed_attempts: 0 });
+  jest.spyOn(throttle, 'save').mockResolvedValue(throttle);
+  jest.spyOn(LoginThrottle, 'updateOne').mockResolvedValue({});
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    throttle.failed_attempts += update.$inc.failed_attempts;
+    throttle.last_failed_at = update.$set.last_failed_at;
+    return throttle;
+  });
+  return throttle;
+};
+
+const failTimes = async (count, accountExists = true) => {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await LoginThrottle.registerFailure('jane', request, accountExists);
+  }
+  return result;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LoginThrottle.registerFailure', () => {
+  it('backs off exponentially after the backoff threshold', async () => {
+    stubStore();
+
+    const first = await failTimes(backoffThreshold - 1);
+    expect(first.throttle.getRetryAfterSeconds()).toBe(0);
+
+    const backoff = await failTimes(1);
+    const delay = backoff.throttle.getRetryAfterSeconds();
+    const doubled = (await failTimes(1)).throttle.getRetryAfterSeconds();
+
+    expect(delay).toBeGreaterThan(0);
+    expect(doubled).toBe(delay * 2);
+  });
+
+  it('locks the username at the lockout threshold and returns an unlock token once', async () => {
+    const throttle = stubStore();
+
+    const { unlockToken } = await failTimes(lockoutThreshold);
+
+    expect(unlockToken).toEqual(expect.any(String));
+    expect(throttle.is_locked).toBe(true);
+    expect(throttle.events.map((event) => event.type)).toEqual(['locked']);
+    expect((await failTimes(1)).unlockToken).toBeNull();
+  });
+
+  it('keeps the throttles of existing accounts', async () => {
+    const throttle = stubStore();
+
+    await failTimes(1, true);
+
+    expect(throttle.expires_at).toBeUndefined();
+  });
+
+  it('lets throttles of unknown usernames expire with their failures or lock', async () => {
+    const throttle = stubStore();
+
+    await failTimes(1, false);
+    expect(throttle.expires_at.getTime() - throttle.last_failed_at.getTime()).toBe(failureWindowMinutes * 60 * 1000);
+
+    await failTimes(lockoutThreshold, false);
+    expect(throttle.expires_at.getTime()).toBeGreaterThanOrEqual(throttle.locked_until.getTime());
+  });
+
+  it('has a TTL index on the expiry', () => {
+    expect(LoginThrottle.schema.indexes()).toContainEqual([{ expires_at: 1 }, expect.objectContaining({ expireAfterSeconds: 0 })]);
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../src/utils/accountEmails');
+jest.mock('../src/utils/authEvents');
+jest.mock('../src/utils/oidc', () => ({
+  OIDC_ISSUER: 'https://idp.example.com',
+  isOidcEnabled: () => true,
+  exchangeCode: jest.fn(),
+  verifyIdToken: jest.fn(),
+  mapRoleFromClaims: jest.fn()
+}));
+jest.mock('../src/utils/tokens', () => ({
+  ...jest.requireActual('../src/utils/tokens'),
+  createSession: jest.fn().mockResolvedValue({ access_token: 'access', refresh_token: 'refresh' })
+}));
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const OidcState = require('../src/models/OidcState');
+const RFPInvitation = require('../src/models/RFPInvitation');
+const { exchangeCode, verifyIdToken, mapRoleFromClaims } = require('../src/utils/oidc');
+const { createSession } = require('../src/utils/tokens');
+const { oidcCallback } = require('../src/controllers/oidcController');
+
+/**
+ * Single sign-on callback tests
+ *
+ * The identity provider and all model queries are stubbed, so no network
+ * or database is needed.
+ */
+
+const ISSUER = 'https://idp.example.com';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+};
+
+// A pending authorization request, optionally started from POST /link
+const stubAuthorization = (linkUserId) => {
+  const authorization = new OidcState({ state_hash: 'hash', nonce: 'nonce', code_verifier: 'verifier', link_user_id: linkUserId });
+  jest.spyOn(OidcState, 'findOneAndDelete').mockReturnValue({ select: () => Promise.resolve(authorization) });
+  return authorization;
+};
+
+const stubClaims = (claims) => {
+  exchangeCode.mockResolvedValue({ id_token: 'id-token' });
+  verifyIdToken.mockResolvedValue({ sub: 'idp-123', ...claims });
+};
+
+// Answer User.findOne by identity first, then by email
+const stubUserLookups = ({ byIdentity = null, byEmail = null } = {}) => {
+  jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (filter.oidc_subject ? byIdentity : byEmail));
+};
+
+const callback = async () => {
+  const req = { ip: '127.0.0.1', get: () => 'jest', query: { code: 'auth-code', state: 'state' } };
+  const res = mockResponse();
+  const next = jest.fn();
+  await oidcCallback(req, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('oidcCallback', () => {
+  it('logs in the user already linked to the identity', async () => {
+    const user = new User({ username: 'jane', email: 'jane@example.com', role: 'buyer', is_active: true });
+    stubAuthorization();
+    stubClaims({ email: 'jane@example.com' });
+    stubUserLookups({ byIdentity: user });
+
+    const res = await callback();
+
+    expect(User.findOne).toHaveBeenCalledWith({ oidc_issuer: ISSUER, oidc_subject: 'idp-123' });
+    expect(createSession).toHaveBeenCalledWith(user, expect.anything());
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Login successful', access_token: 'access' }));
+  });
+
+  it('provisions a new user with the mapped role on first login', async () => {
+    stubAuthorization();
+    stubClaims({ email: 'new@example.com', email_verified: true, preferred_username: 'new.user', name: 'New User' });
+    stubUserLookups();
+    mapRoleFromClaims.mockReturnValue('supplier');
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    const save = jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(RFPInvitation, 'claimForUser').mockResolvedValue({});
+
+    const res = await callback();
+
+    const user = save.mock.contexts[0];
+    expect(user).toMatchObject({
+      username: 'new_user',
+      email: 'new@example.com',
+      role: 'supplier',
+      email_verified: true,
+      oidc_issuer: ISSUER,
+      oidc_subject: 'idp-123'
+    });
+    expect(RFPInvitation.claimForUser).toHaveBeenCalledWith(user);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Login successful' }));
+  });
+
+  it('refuses to provision users the role mapping does not cover', async () => {
+    stubAuthorization();
+    stubClaims({ email: 'new@example.com' });
+    stubUserLookups();
+    mapRoleFromClaims.mockReturnValue(null);
+    const save = jest.spyOn(User.prototype, 'save');
+
+    const res = await callback();
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('does not take over an existing account with the same email', async () => {
+    const existingUser = new User({ username: 'jane', email: 'jane@example.com', role: 'buyer', email_verified: true });
+    stubAuthorization();
+    stubClaims({ email: 'jane@example.com', email_verified: true });
+    stubUserLookups({ byEmail: existingUser });
+    const save = jest.spyOn(existingUser, 'save');
+
+    const res = await callback();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Account exists' }));
+    expect(save).not.toHaveBeenCalled();
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it('links the identity to the account that started the link', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const linkedUser = new User({ _id: userId, username: 'jane', email: 'jane@example.com', role: 'buyer' });
+    stubAuthorization(userId);
+    stubClaims({ email: 'jane@example.com' });
+    stubUserLookups();
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(linkedUser);
+
+    const res = await callback();
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      userId,
+      expect.objectContaining({ oidc_issuer: ISSUER, oidc_subject: 'idp-123' }),
+      { new: true }
+    );
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ linked: true }));
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it('refuses to link an identity that belongs to another account', async () => {
+    const otherUser = new User({ username: 'mallory', email: 'mallory@example.com', role: 'buyer' });
+    stubAuthorization(new mongoose.Types.ObjectId());
+    stubClaims({ email: 'jane@example.com' });
+    stubUserLookups({ byIdentity: otherUser });
+    jest.spyOn(User, 'findByIdAndUpdate');
+
+    const res = await callback();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown or already used states', async () => {
+    jest.spyOn(OidcState, 'findOneAndDelete').mockReturnValue({ select: () => Promise.resolve(null) });
+
+    const res = await callback();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(exchangeCode).not.toHaveBeenCalled();
+  });
+
+  it('rejects ID tokens that fail verification', async () => {
+    stubAuthorization();
+    exchangeCode.mockResolvedValue({ id_token: 'id-token' });
+    verifyIdToken.mockRejectedValue(new Error('nonce mismatch'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findOne');
+
+    const res = await callback();
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+});
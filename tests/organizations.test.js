@@ -0,0 +1,121 @@
+jest.mock('../src/utils/accountEmails');
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Organization = require('../src/models/Organization');
+const OrganizationInvitation = require('../src/models/OrganizationInvitation');
+const { sendOrganizationInvitationEmail } = require('../src/utils/accountEmails');
+const { hasRFPAccess, hasResponseAccess, buildAccessFilter } = require('../src/utils/permissions');
+const { createInvitation, acceptInvitation } = require('../src/controllers/organizationController');
+
+/**
+ * Organization membership and permission tests
+ *
+ * Model queries are stubbed, so no database is needed.
+ */
+
+const buildUser = (role, overrides = {}) => {
+  const user = new User({ username: `${role}-user`, email: `${role}@example.com`, role, ...overrides });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('organization permissions', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const creator = buildUser('buyer');
+  const rfp = { created_by: creator._id, organization_id: organizationId };
+  const member = (organizationRole) => buildUser('buyer', { organization_id: organizationId, organization_role: organizationRole });
+
+  it('grants each organization role its access levels', () => {
+    expect(hasRFPAccess(member('owner'), rfp, 'manage')).toBe(true);
+    expect(hasRFPAccess(member('manager'), rfp, 'manage')).toBe(true);
+    expect(hasRFPAccess(member('evaluator'), rfp, 'manage')).toBe(false);
+    expect(hasRFPAccess(member('evaluator'), rfp, 'evaluate')).toBe(true);
+    expect(hasRFPAccess(member('viewer'), rfp, 'evaluate')).toBe(false);
+    expect(hasRFPAccess(member('viewer'), rfp, 'view')).toBe(true);
+  });
+
+  it('always grants the creator full access and outsiders none', () => {
+    expect(hasRFPAccess(creator, rfp, 'manage')).toBe(true);
+    expect(hasRFPAccess(buildUser('buyer'), rfp, 'view')).toBe(false);
+    expect(hasResponseAccess(buildUser('supplier'), { submitted_by: creator._id, organization_id: organizationId }, 'view')).toBe(false);
+  });
+
+  it('only adds the organization to query filters for roles with the access level', () => {
+    expect(buildAccessFilter(member('viewer'), 'created_by', 'view').$or).toContainEqual({ organization_id: organizationId });
+    expect(buildAccessFilter(member('viewer'), 'created_by', 'manage').$or).toHaveLength(1);
+  });
+});
+
+describe('organization invitations', () => {
+  const buildOrganization = (side) => new Organization({ name: 'Acme', created_by: new mongoose.Types.ObjectId(), side });
+
+  const inviteRequest = (organization, email) => ({
+    user: buildUser(organization.side, { organization_id: organization._id, organization_role: 'owner' }),
+    body: { email, role: 'viewer' }
+  });
+
+  it('refuses to invite an account of the other side', async () => {
+    const organization = buildOrganization('buyer');
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+    jest.spyOn(User, 'findOne').mockResolvedValue(buildUser('supplier'));
+    const res = mockResponse();
+
+    await createInvitation(inviteRequest(organization, 'supplier@example.com'), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Role mismatch' }));
+    expect(sendOrganizationInvitationEmail).not.toHaveBeenCalled();
+  });
+
+  it('invites accounts of the same side and addresses without an account', async () => {
+    const organization = buildOrganization('buyer');
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+    jest.spyOn(OrganizationInvitation, 'updateMany').mockResolvedValue({});
+    jest.spyOn(OrganizationInvitation.prototype, 'save').mockResolvedValue();
+
+    for (const invitee of [buildUser('buyer'), null]) {
+      jest.spyOn(User, 'findOne').mockResolvedValue(invitee);
+      const res = mockResponse();
+
+      await createInvitation(inviteRequest(organization, 'new@example.com'), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    }
+  });
+
+  it('refuses to let an account of the other side accept an invitation', async () => {
+    const organization = buildOrganization('buyer');
+    const supplier = buildUser('supplier');
+    jest.spyOn(OrganizationInvitation, 'findByToken').mockResolvedValue(
+      new OrganizationInvitation({ organization_id: organization._id, email: supplier.email, role: 'viewer' })
+    );
+    jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+    const res = mockResponse();
+
+    await acceptInvitation({ user: supplier, body: { token: 'emailed-token' } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(supplier.organization_id).toBeUndefined();
+    expect(supplier.save).not.toHaveBeenCalled();
+  });
+
+  it('takes the side of organizations created before sides were recorded from their creator', async () => {
+    const organization = buildOrganization(undefined);
+    jest.spyOn(User, 'findById').mockResolvedValue(buildUser('supplier'));
+
+    await expect(organization.getSide()).resolves.toBe('supplier');
+  });
+});
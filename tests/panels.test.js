@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const Response = require('../src/models/Response');
+const { calculateEvaluation, getVisibleScores, analyzeScores } = require('../src/utils/scoring');
+
+/**
+ * Evaluation panel tests
+ */
+
+const owner = new mongoose.Types.ObjectId();
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+const carol = new mongoose.Types.ObjectId();
+const formerMember = new mongoose.Types.ObjectId();
+
+const rfp = new RFP({
+  created_by: owner,
+  evaluators: [alice, bob, carol],
+  evaluation_criteria: [{ name: 'Quality', weight: 1 }]
+});
+const [quality] = rfp.evaluation_criteria;
+
+// Scores of every evaluator; only the given evaluators have submitted theirs
+const buildResponse = (scores, submittedBy) => new Response({
+  rfp_id: rfp._id,
+  scores: scores.map(([scoredBy, score]) => ({ criterion_id: quality._id, score, scored_by: scoredBy })),
+  evaluator_submissions: submittedBy.map((evaluatorId) => ({ evaluator_id: evaluatorId }))
+});
+
+describe('blind panel scoring', () => {
+  const response = buildResponse([[alice, 8], [bob, 6], [carol, 2], [formerMember, 10]], [alice, bob, formerMember]);
+
+  it('only counts submitted scores of current panel members', () => {
+    const evaluation = calculateEvaluation(rfp, response);
+
+    expect(evaluation.criteria[0]).toMatchObject({ average_score: 7, score_count: 2 });
+    expect(evaluation.weighted_total).toBe(70);
+  });
+
+  it('shows evaluators only their own scores until they submit', () => {
+    const carolSees = getVisibleScores({ _id: carol }, rfp, response).map((entry) => entry.score);
+    const aliceSees = getVisibleScores({ _id: alice }, rfp, response).map((entry) => entry.score);
+    const ownerSees = getVisibleScores({ _id: owner }, rfp, response).map((entry) => entry.score);
+
+    expect(carolSees).toEqual([2]);
+    expect(aliceSees).toEqual([8, 6]);
+    expect(ownerSees).toEqual([8, 6]);
+  });
+
+  it('uses the finalized consensus scores instead of the panel average', () => {
+    const decided = buildResponse([[alice, 8], [bob, 6]], [alice, bob]);
+    decided.consensus = { scores: [{ criterion_id: quality._id, score: 9 }], finalized_by: owner, finalized_at: new Date() };
+
+    const evaluation = calculateEvaluation(rfp, decided);
+
+    expect(evaluation).toMatchObject({ weighted_total: 90, consensus: true });
+  });
+});
+
+describe('analyzeScores', () => {
+  it('reports the spread of submitted scores and flags outliers', () => {
+    const response = buildResponse([[alice, 8], [bob, 7], [carol, 1]], [alice, bob, carol]);
+
+    const [report] = analyzeScores(rfp, response);
+
+    expect(report).toMatchObject({ score_count: 3, median: 7, lowest: 1, highest: 8, high_variance: true });
+    expect(report.outliers).toEqual([carol]);
+  });
+
+  it('does not flag panels that agree', () => {
+    const response = buildResponse([[alice, 8], [bob, 7]], [alice, bob]);
+
+    const [report] = analyzeScores(rfp, response);
+
+    expect(report).toMatchObject({ high_variance: false, outliers: [] });
+  });
+});
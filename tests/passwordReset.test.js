@@ -0,0 +1,105 @@
+jest.mock('../src/utils/accountEmails');
+jest.mock('../src/utils/authEvents');
+
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { sendPasswordResetEmail } = require('../src/utils/accountEmails');
+const { recordAuthEvent } = require('../src/utils/authEvents');
+const { hashToken } = require('../src/utils/tokens');
+const { forgotPassword, resetPassword } = require('../src/controllers/authController');
+
+/**
+ * Password reset tests
+ *
+ * User and Session queries are stubbed and mail is mocked, so no database
+ * or mail transport is needed.
+ */
+
+const GENERIC_ANSWER = { message: 'If an account with that email exists, a password reset link has been sent' };
+
+const buildUser = (overrides = {}) => {
+  const user = new User({ username: 'jane', email: 'jane@example.com', full_name: 'Jane Doe', role: 'buyer', ...overrides });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (body) => ({ body, ip: '127.0.0.1', get: () => 'jest' });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('forgotPassword', () => {
+  it('emails a reset token and stores only its hash', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const res = mockResponse();
+
+    await forgotPassword(request({ email: user.email }), res, jest.fn());
+
+    const [, token] = sendPasswordResetEmail.mock.calls[0];
+    expect(user.password_reset_token).toBe(hashToken(token));
+    expect(user.password_reset_expires.getTime()).toBeGreaterThan(Date.now());
+    expect(res.json).toHaveBeenCalledWith(GENERIC_ANSWER);
+  });
+
+  it('answers the same way for unknown addresses', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await forgotPassword(request({ email: 'nobody@example.com' }), res, jest.fn());
+
+    expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(GENERIC_ANSWER);
+  });
+
+  it('answers the same way when the mail cannot be sent', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findOne').mockResolvedValue(buildUser());
+    sendPasswordResetEmail.mockRejectedValueOnce(new Error('SMTP down'));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await forgotPassword(request({ email: 'jane@example.com' }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(GENERIC_ANSWER);
+    expect(recordAuthEvent).toHaveBeenCalledWith(expect.anything(), 'password_reset_request', 'failure',
+      expect.objectContaining({ reason: 'mail_failed' }));
+  });
+});
+
+describe('resetPassword', () => {
+  it('sets the new password, consumes the token and signs out every session', async () => {
+    const user = buildUser({ password_reset_required: true });
+    user.createPasswordResetToken();
+    jest.spyOn(User, 'findByPasswordResetToken').mockResolvedValue(user);
+    const revokeAll = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({});
+    const res = mockResponse();
+
+    await resetPassword(request({ token: 'emailed-token', new_password: 'NewPassword1' }), res, jest.fn());
+
+    expect(user.password).toBe('NewPassword1');
+    expect(user.password_reset_token).toBeUndefined();
+    expect(user.password_reset_required).toBe(false);
+    expect(revokeAll).toHaveBeenCalledWith(user._id, 'password_reset');
+  });
+
+  it('rejects unknown or expired tokens', async () => {
+    jest.spyOn(User, 'findByPasswordResetToken').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await resetPassword(request({ token: 'expired-token', new_password: 'NewPassword1' }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,83 @@
+const RFP = require('../src/models/RFP');
+const { priceLineItems, buildPriceComparison } = require('../src/utils/pricing');
+
+/**
+ * Line item pricing tests
+ */
+
+const rfp = new RFP({
+  line_items: [
+    { item: 'Laptop', quantity: 3, mandatory: true },
+    { item: 'Dock', quantity: 2 }
+  ]
+});
+const [laptop, dock] = rfp.line_items;
+
+describe('priceLineItems', () => {
+  it('computes line and response totals from the RFP quantities', () => {
+    const result = priceLineItems(rfp, [
+      { line_item_id: laptop._id.toString(), unit_price: '999.99', total: 1 },
+      { line_item_id: dock._id, unit_price: 120.5 }
+    ]);
+
+    expect(result.errors).toEqual([]);
+    expect(result.line_item_prices.map((entry) => entry.total)).toEqual([2999.97, 241]);
+    expect(result.line_item_prices[0].quantity).toBe(3);
+    expect(result.price_total).toBe(3240.97);
+  });
+
+  it('leaves unpriced items out of the total', () => {
+    const result = priceLineItems(rfp, [{ line_item_id: laptop._id, unit_price: 10 }, { line_item_id: dock._id }]);
+
+    expect(result.line_item_prices).toHaveLength(1);
+    expect(result.price_total).toBe(30);
+  });
+
+  it('reports unknown, duplicate and negative prices', () => {
+    const result = priceLineItems(rfp, [
+      { line_item_id: 'not-an-item', unit_price: 1 },
+      { line_item_id: laptop._id, unit_price: -5 },
+      { line_item_id: laptop._id, unit_price: 5 }
+    ]);
+
+    expect(result.errors.map((error) => error.field)).toEqual([
+      'line_item_prices[0].line_item_id',
+      'line_item_prices[1].unit_price',
+      'line_item_prices[2].line_item_id'
+    ]);
+  });
+
+  it('requires mandatory items only when asked to', () => {
+    const prices = [{ line_item_id: dock._id, unit_price: 1 }];
+
+    expect(priceLineItems(rfp, prices).errors).toEqual([]);
+    expect(priceLineItems(rfp, prices, { requireMandatory: true }).errors).toEqual([
+      expect.objectContaining({ field: 'line_item_prices', message: '"Laptop" must be priced' })
+    ]);
+  });
+
+  it('has no total when the RFP has no line items', () => {
+    expect(priceLineItems(new RFP({}), []).price_total).toBeUndefined();
+  });
+});
+
+describe('buildPriceComparison', () => {
+  it('compares totals of complete responses only', () => {
+    const complete = { _id: 'a', ...priceLineItems(rfp, [
+      { line_item_id: laptop._id, unit_price: 100 },
+      { line_item_id: dock._id, unit_price: 10 }
+    ]) };
+    const cheaper = { _id: 'b', ...priceLineItems(rfp, [{ line_item_id: laptop._id, unit_price: 50 }]) };
+    const other = { _id: 'c', ...priceLineItems(rfp, [
+      { line_item_id: laptop._id, unit_price: 200 },
+      { line_item_id: dock._id, unit_price: 20 }
+    ]) };
+
+    const comparison = buildPriceComparison(rfp, [complete, cheaper, other]);
+
+    expect(comparison.responses.map((column) => column.complete)).toEqual([true, false, true]);
+    expect(comparison.totals).toEqual({ lowest: 320, median: 480, highest: 640 });
+    expect(comparison.items[0].unit_price).toEqual({ lowest: 50, median: 100, highest: 200 });
+    expect(comparison.items[1].prices[1].unit_price).toBeNull();
+  });
+});
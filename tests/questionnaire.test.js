@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const { validateAnswers } = require('../src/utils/questionnaire');
+
+/**
+ * Questionnaire answer validation tests
+ */
+
+const rfp = new RFP({
+  sections: [{
+    title: 'Company',
+    questions: [
+      { text: 'Company profile', type: 'text', mandatory: true, max_length: 20 },
+      { text: 'Employees', type: 'number' },
+      { text: 'ISO 9001 certified', type: 'yes_no', mandatory: true },
+      { text: 'Regions', type: 'multi_choice', options: ['EU', 'US', 'APAC'] }
+    ]
+  }, {
+    title: 'Commercial',
+    questions: [
+      { text: 'Support plan', type: 'single_choice', options: ['Basic', 'Premium'] },
+      { text: 'Insurance certificate', type: 'file' }
+    ]
+  }]
+});
+const [profile, employees, certified, regions, plan, certificate] = rfp.getQuestions().map((question) => question._id.toString());
+
+describe('validateAnswers', () => {
+  it('normalizes valid answers and drops blank ones', () => {
+    const { answers, errors } = validateAnswers(rfp, {
+      [profile]: '  Cleaning since 1990  ',
+      [employees]: 120,
+      [certified]: false,
+      [regions]: ['EU', 'EU', 'US'],
+      [plan]: ''
+    });
+
+    expect(errors).toEqual([]);
+    expect(answers).toEqual({
+      [profile]: 'Cleaning since 1990',
+      [employees]: 120,
+      [certified]: false,
+      [regions]: ['EU', 'US']
+    });
+  });
+
+  it('reports answers that do not match their question', () => {
+    const { errors } = validateAnswers(rfp, new Map([
+      [profile, 'A profile that is far too long'],
+      [employees, '120'],
+      [plan, 'Gold'],
+      ['not-a-question', 'x']
+    ]));
+
+    expect(errors.map((error) => error.message)).toEqual([
+      'Answer to "Company profile" cannot exceed 20 characters',
+      'Answer to "Employees" must be a number',
+      'Answer to "Support plan" must be one of: Basic, Premium',
+      'Answer does not match a question of this RFP'
+    ]);
+  });
+
+  it('requires mandatory answers only when asked to', () => {
+    expect(validateAnswers(rfp, { [employees]: 5 }).errors).toEqual([]);
+
+    const { errors } = validateAnswers(rfp, { [employees]: 5, [certified]: 'yes' }, { requireMandatory: true });
+
+    expect(errors.map((error) => error.message)).toEqual([
+      'Answer to "ISO 9001 certified" must be true or false',
+      '"Company profile" is mandatory'
+    ]);
+  });
+
+  it('only accepts file answers referencing documents of the response', () => {
+    const attached = new mongoose.Types.ObjectId();
+    const other = new mongoose.Types.ObjectId().toString();
+
+    const valid = validateAnswers(rfp, { [certificate]: attached.toString() }, { documentIds: [attached] });
+    const invalid = validateAnswers(rfp, { [certificate]: [other] }, { documentIds: [attached] });
+
+    expect(valid.answers[certificate]).toEqual([attached.toString()]);
+    expect(invalid.errors[0].message).toBe('Answer to "Insurance certificate" must reference documents uploaded to this response');
+  });
+});
@@ -0,0 +1,137 @@
+jest.mock('../src/utils/rfpNotifications');
+
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const config = require('../src/config');
+const notifications = require('../src/utils/rfpNotifications');
+const { rfpEvents, RFP_EVENTS } = require('../src/utils/rfpEvents');
+const { runScheduledTransitions } = require('../src/utils/rfpScheduler');
+const { runScheduler } = require('../src/controllers/schedulerController');
+
+/**
+ * RFP scheduler tests
+ *
+ * RFP.findOneAndUpdate is stubbed with queues of due RFPs, so no database
+ * is needed.
+ */
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+// Answer each transition's findOneAndUpdate from its own queue, then null
+const stubTransitions = ({ publish = [], close = [] }) => {
+  return jest.spyOn(RFP, 'findOneAndUpdate').mockImplementation((filter) => {
+    const queue = filter.status === 'draft' ? publish : close;
+    return Promise.resolve(queue.shift() || null);
+  });
+};
+
+const buildRFP = (status, overrides = {}) => new RFP({ _id: new mongoose.Types.ObjectId(), status, ...overrides });
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  config.scheduler.cronSecret = undefined;
+});
+
+describe('runScheduledTransitions', () => {
+  it('publishes due drafts and closes expired RFPs with atomic status-conditioned updates', async () => {
+    const findOneAndUpdate = stubTransitions({ publish: [buildRFP('published')], close: [buildRFP('closed')] });
+
+    const { published, closed } = await runScheduledTransitions(now);
+
+    expect(published).toHaveLength(1);
+    expect(closed).toHaveLength(1);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { status: 'draft', publish_at: { $lte: now }, deadline: { $gt: now } },
+      { $set: { status: 'published', published_at: now } },
+      expect.objectContaining({ new: true })
+    );
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { status: 'published', deadline: { $lte: now } },
+      { $set: { status: 'closed', closed_at: now, closed_reason: 'deadline' } },
+      expect.objectContaining({ new: true })
+    );
+  });
+
+  it('emits one schedule event per transition', async () => {
+    const events = [];
+    const record = (event) => (payload) => events.push([event, payload.previous_status, payload.trigger]);
+    const onPublished = record(RFP_EVENTS.published);
+    const onClosed = record(RFP_EVENTS.closed);
+
+    rfpEvents.on(RFP_EVENTS.published, onPublished);
+    rfpEvents.on(RFP_EVENTS.closed, onClosed);
+    stubTransitions({ publish: [buildRFP('published'), buildRFP('published')], close: [buildRFP('closed')] });
+
+    try {
+      await runScheduledTransitions(now);
+    } finally {
+      rfpEvents.off(RFP_EVENTS.published, onPublished);
+      rfpEvents.off(RFP_EVENTS.closed, onClosed);
+    }
+
+    expect(events).toEqual([
+      ['rfp.published', 'draft', 'schedule'],
+      ['rfp.published', 'draft', 'schedule'],
+      ['rfp.closed', 'published', 'schedule']
+    ]);
+
+    // Listeners run asynchronously
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(notifications.sendRFPPublishedEmail).toHaveBeenCalledTimes(2);
+    expect(notifications.sendRFPClosedEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing when no RFP is due', async () => {
+    stubTransitions({});
+
+    await expect(runScheduledTransitions(now)).resolves.toEqual({ published: [], closed: [] });
+  });
+});
+
+describe('runScheduler', () => {
+  const request = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+  it('is disabled until a cron secret is configured', async () => {
+    const res = mockResponse();
+
+    await runScheduler(request('Bearer anything'), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  it('rejects requests without the cron secret', async () => {
+    config.scheduler.cronSecret = 'cron-secret';
+    const findOneAndUpdate = stubTransitions({});
+
+    for (const authorization of [undefined, 'Bearer wrong-secret', 'cron-secret']) {
+      const res = mockResponse();
+      await runScheduler(request(authorization), res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('runs the transitions for the cron job', async () => {
+    config.scheduler.cronSecret = 'cron-secret';
+    const rfp = buildRFP('closed');
+    stubTransitions({ close: [rfp] });
+    const res = mockResponse();
+
+    await runScheduler(request('Bearer cron-secret'), res, jest.fn());
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      message: '0 RFP(s) published, 1 RFP(s) closed',
+      data: { published: [], closed: [rfp._id] }
+    });
+  });
+});
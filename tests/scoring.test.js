@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const Response = require('../src/models/Response');
+const { calculateEvaluation, rankResponses } = require('../src/utils/scoring');
+
+/**
+ * Weighted evaluation and ranking tests
+ */
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+const rfp = new RFP({
+  evaluation_criteria: [
+    { name: 'Price', weight: 60 },
+    { name: 'Quality', weight: 40, min_score: 1, max_score: 5 }
+  ]
+});
+const [price, quality] = rfp.evaluation_criteria;
+
+const buildResponse = (scores) => new Response({
+  rfp_id: rfp._id,
+  scores: scores.map(([criterion, score, scoredBy = alice]) => ({ criterion_id: criterion._id, score, scored_by: scoredBy }))
+});
+
+describe('calculateEvaluation', () => {
+  it('averages the scores of each criterion and weights them on their scale', () => {
+    const response = buildResponse([[price, 6, alice], [price, 10, bob], [quality, 5]]);
+
+    const evaluation = calculateEvaluation(rfp, response);
+
+    expect(evaluation).toMatchObject({ weighted_total: 88, complete: true, consensus: false });
+    expect(evaluation.criteria.map((criterion) => [criterion.name, criterion.average_score, criterion.score_count])).toEqual([
+      ['Price', 8, 2],
+      ['Quality', 5, 1]
+    ]);
+  });
+
+  it('counts unscored criteria as zero and marks the evaluation incomplete', () => {
+    const evaluation = calculateEvaluation(rfp, buildResponse([[price, 5]]));
+
+    expect(evaluation).toMatchObject({ weighted_total: 30, complete: false });
+    expect(evaluation.criteria[1]).toMatchObject({ average_score: null, score_count: 0 });
+  });
+
+  it('has no total without any score', () => {
+    expect(calculateEvaluation(rfp, buildResponse([])).weighted_total).toBeNull();
+  });
+});
+
+describe('rankResponses', () => {
+  it('ranks by weighted total, sharing ranks on ties and leaving unscored responses out', () => {
+    const best = buildResponse([[price, 8], [quality, 5]]);
+    const tiedA = buildResponse([[price, 10], [quality, 3]]);
+    const tiedB = buildResponse([[price, 10], [quality, 3]]);
+    const unscored = buildResponse([]);
+
+    const evaluations = rankResponses(rfp, [tiedA, unscored, best, tiedB]);
+    const rankOf = (response) => evaluations.get(response._id.toString()).rank;
+
+    expect(rankOf(best)).toBe(1);
+    expect(rankOf(tiedA)).toBe(2);
+    expect(rankOf(tiedB)).toBe(2);
+    expect(rankOf(unscored)).toBeNull();
+  });
+});
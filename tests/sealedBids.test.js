@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const { canReadResponseContent } = require('../src/utils/permissions');
+
+/**
+ * Sealed bid visibility tests
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+const supplier = { _id: new mongoose.Types.ObjectId(), role: 'supplier' };
+const response = { submitted_by: supplier._id };
+
+const buildRFP = (overrides = {}) => {
+  return new RFP({
+    created_by: buyer._id,
+    deadline: new Date(Date.now() + HOUR),
+    sealed: true,
+    ...overrides
+  });
+};
+
+describe('RFP#isSealed', () => {
+  it('keeps bids sealed until the deadline', () => {
+    const rfp = buildRFP();
+
+    expect(rfp.isSealed()).toBe(true);
+    expect(rfp.isSealed(new Date(Date.now() + 2 * HOUR))).toBe(false);
+  });
+
+  it('unseals bids at a recorded bid opening', () => {
+    const rfp = buildRFP({ bid_opening: { opened_at: new Date(), opened_by: buyer._id } });
+
+    expect(rfp.isSealed()).toBe(false);
+  });
+
+  it('never seals RFPs created without sealing', () => {
+    expect(buildRFP({ sealed: false }).isSealed()).toBe(false);
+  });
+});
+
+describe('canReadResponseContent', () => {
+  it('hides sealed responses from the buyer side only', () => {
+    const rfp = buildRFP();
+
+    expect(canReadResponseContent(buyer, rfp, response)).toBe(false);
+    expect(canReadResponseContent(supplier, rfp, response)).toBe(true);
+  });
+
+  it('shows responses to the buyer side once the deadline has passed', () => {
+    const rfp = buildRFP({ deadline: new Date(Date.now() - HOUR) });
+
+    expect(canReadResponseContent(buyer, rfp, response)).toBe(true);
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const { canFollowStage, compareRounds } = require('../src/utils/stages');
+const { findShortlistEntry, isShortlisted } = require('../src/utils/permissions');
+
+/**
+ * Procurement stage linking tests
+ */
+
+describe('canFollowStage', () => {
+  it('only moves stages forward, repeating best-and-final offers', () => {
+    expect(canFollowStage('rfi', 'rfp')).toBe(true);
+    expect(canFollowStage('rfi', 'bafo')).toBe(true);
+    expect(canFollowStage('bafo', 'bafo')).toBe(true);
+    expect(canFollowStage('rfp', 'rfp')).toBe(false);
+    expect(canFollowStage('rfp', 'rfi')).toBe(false);
+  });
+});
+
+describe('isShortlisted', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const supplier = { _id: new mongoose.Types.ObjectId(), organization_id: organizationId };
+  const colleague = { _id: new mongoose.Types.ObjectId(), organization_id: organizationId };
+  const outsider = { _id: new mongoose.Types.ObjectId() };
+
+  const stage = new RFP({
+    stage: 'bafo',
+    previous_stage_id: new mongoose.Types.ObjectId(),
+    shortlist: [{ supplier_id: supplier._id, organization_id: organizationId, response_id: new mongoose.Types.ObjectId() }]
+  });
+
+  it('opens a later stage to the shortlisted suppliers and their organizations', () => {
+    expect(isShortlisted(supplier, stage)).toBe(true);
+    expect(isShortlisted(colleague, stage)).toBe(true);
+    expect(isShortlisted(outsider, stage)).toBe(false);
+    expect(findShortlistEntry(colleague, stage).response_id).toEqual(stage.shortlist[0].response_id);
+  });
+
+  it('opens a first stage to every supplier', () => {
+    expect(isShortlisted(outsider, new RFP({ stage: 'rfi' }))).toBe(true);
+  });
+});
+
+describe('compareRounds', () => {
+  const first = new RFP({ stage: 'rfp', line_items: [{ item: 'Laptop', quantity: 2 }] });
+  // The next stage keeps the item's ID and adds an item matched by name
+  const second = new RFP({
+    stage: 'bafo',
+    line_items: [{ _id: first.line_items[0]._id, item: 'Laptop', quantity: 2 }, { item: 'Dock', quantity: 1 }]
+  });
+
+  const previous = {
+    _id: new mongoose.Types.ObjectId(),
+    rfp_id: first,
+    proposal: 'Original offer',
+    proposed_budget: 2000,
+    price_total: 2000,
+    line_item_prices: [{ line_item_id: first.line_items[0]._id, unit_price: 1000 }]
+  };
+  const current = {
+    _id: new mongoose.Types.ObjectId(),
+    rfp_id: second,
+    proposal: 'Best and final offer',
+    proposed_budget: 1900,
+    price_total: 1850,
+    line_item_prices: [
+      { line_item_id: second.line_items[0]._id, unit_price: 900 },
+      { line_item_id: second.line_items[1]._id, unit_price: 50 }
+    ]
+  };
+
+  it('reports the changes between two rounds', () => {
+    const comparison = compareRounds(previous, current);
+
+    expect(comparison.from.stage).toBe('rfp');
+    expect(comparison.to.stage).toBe('bafo');
+    expect(comparison.proposal.changed).toBe(true);
+    expect(comparison.price_total).toEqual({ previous: 2000, current: 1850, difference: -150, percent: -7.5 });
+    expect(comparison.line_items[0].unit_price).toEqual({ previous: 1000, current: 900, difference: -100, percent: -10 });
+    expect(comparison.line_items[1].unit_price).toEqual({ previous: null, current: 50, difference: null, percent: null });
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../src/utils/rfpEvents');
+
+const mongoose = require('mongoose');
+const RFP = require('../src/models/RFP');
+const RFPTemplate = require('../src/models/RFPTemplate');
+const Document = require('../src/models/Document');
+const { findPlaceholders, fillPlaceholders } = require('../src/utils/rfpTemplates');
+const { createRFP, cloneRFP } = require('../src/controllers/rfpController');
+
+/**
+ * RFP template and cloning tests
+ *
+ * Template, RFP and document queries are stubbed, so no database is needed.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), role: 'buyer' };
+
+const buildTemplate = () => new RFPTemplate({
+  name: 'Cleaning',
+  title: 'Cleaning of {{site}}',
+  description: 'Cleaning of {{ site }} for {{months}} months',
+  category: 'Facilities',
+  sections: [{ title: 'Experience', questions: [{ text: 'References at {{site}}?', type: 'text' }] }],
+  created_by: buyer._id
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await handler({ user: buyer, params: {}, body: {}, ...req }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+// Capture the RFPs the handlers save
+const stubRFPSave = () => {
+  jest.spyOn(RFP.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  return jest.spyOn(RFP.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('placeholders', () => {
+  it('finds and fills placeholders in nested content, leaving unknown ones', () => {
+    const content = { title: 'Cleaning of {{site}}', sections: [{ title: '{{ months }} months at {{site}}' }] };
+
+    expect(findPlaceholders(content)).toEqual(['months', 'site']);
+    expect(fillPlaceholders(content, { site: 'HQ' })).toEqual({
+      title: 'Cleaning of HQ',
+      sections: [{ title: '{{ months }} months at HQ' }]
+    });
+  });
+
+  it('lists the placeholders of a template and the ones a render left open', () => {
+    const template = buildTemplate();
+
+    const { content, missing } = template.render({ site: 'HQ' });
+
+    expect(template.placeholders).toEqual(['months', 'site']);
+    expect(missing).toEqual(['months']);
+    expect(content.sections[0].questions[0].text).toBe('References at HQ?');
+    expect(content.sections[0]).not.toHaveProperty('_id');
+  });
+});
+
+describe('createRFP from a template', () => {
+  it('fills the template and lets the request override its fields', async () => {
+    const template = buildTemplate();
+    jest.spyOn(RFPTemplate, 'findById').mockResolvedValue(template);
+    const save = stubRFPSave();
+
+    const res = await call(createRFP, {
+      body: {
+        template_id: template._id,
+        placeholders: { site: 'HQ', months: 12 },
+        category: 'Cleaning',
+        deadline: new Date(Date.now() + 7 * DAY)
+      }
+    });
+
+    const rfp = save.mock.contexts[0];
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(rfp).toMatchObject({ title: 'Cleaning of HQ', description: 'Cleaning of HQ for 12 months', category: 'Cleaning' });
+    expect(rfp.sections[0]._id).not.toEqual(template.sections[0]._id);
+  });
+
+  it('requires a value for every placeholder', async () => {
+    jest.spyOn(RFPTemplate, 'findById').mockResolvedValue(buildTemplate());
+    const save = stubRFPSave();
+
+    const res = await call(createRFP, { body: { template_id: 'template-id', placeholders: { site: 'HQ' } } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Missing placeholder values',
+      details: [{ field: 'placeholders.months', message: 'A value for {{months}} is required' }]
+    }));
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('hides templates of other buyers', async () => {
+    const template = buildTemplate();
+    template.created_by = new mongoose.Types.ObjectId();
+    jest.spyOn(RFPTemplate, 'findById').mockResolvedValue(template);
+
+    const res = await call(createRFP, { body: { template_id: template._id, placeholders: { site: 'HQ', months: 12 } } });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('cloneRFP', () => {
+  it('copies the content into a new draft', async () => {
+    const source = new RFP({
+      title: 'Office cleaning',
+      description: 'Weekly cleaning',
+      created_by: buyer._id,
+      status: 'closed',
+      deadline: new Date(Date.now() - DAY),
+      evaluation_criteria: [{ name: 'Price', weight: 100 }],
+      response_count: 4
+    });
+    jest.spyOn(RFP, 'findById').mockResolvedValue(source);
+    jest.spyOn(Document, 'find').mockResolvedValue([]);
+    const save = stubRFPSave();
+    const deadline = new Date(Date.now() + 14 * DAY);
+
+    const res = await call(cloneRFP, { params: { id: source._id }, body: { deadline } });
+
+    const rfp = save.mock.contexts[0];
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(rfp).toMatchObject({
+      title: 'Office cleaning (copy)',
+      description: 'Weekly cleaning',
+      status: 'draft',
+      deadline,
+      cloned_from: source._id,
+      response_count: 0
+    });
+    expect(rfp.evaluation_criteria[0].name).toBe('Price');
+    expect(rfp.evaluation_criteria[0]._id).not.toEqual(source.evaluation_criteria[0]._id);
+  });
+
+  it('hides RFPs of other buyers', async () => {
+    jest.spyOn(RFP, 'findById').mockResolvedValue(new RFP({ title: 'Secret', created_by: new mongoose.Types.ObjectId() }));
+    const save = stubRFPSave();
+
+    const res = await call(cloneRFP, { params: { id: 'rfp-id' } });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
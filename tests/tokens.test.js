@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Session = require('../src/models/Session');
+const { hashToken, rotateRefreshToken, verifyAccessToken } = require('../src/utils/tokens');
+
+/**
+ * Token rotation tests
+ *
+ * Sessions are built in memory and the queries of rotateRefreshToken are
+ * stubbed, so no database is needed.
+ */
+
+const buildSession = (refreshToken, overrides = {}) => {
+  const session = new Session({
+    user_id: new mongoose.Types.ObjectId(),
+    refresh_token_hash: hashToken(refreshToken),
+    previous_token_hashes: [],
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides
+  });
+
+  jest.spyOn(session, 'save').mockResolvedValue(session);
+  return session;
+};
+
+// Answer Session.findOne by the field the query looks up
+const stubFindOne = (sessions) => {
+  jest.spyOn(Session, 'findOne').mockImplementation((filter) => {
+    const match = sessions.find((session) => {
+      return filter.refresh_token_hash
+        ? session.refresh_token_hash === filter.refresh_token_hash
+        : session.previous_token_hashes.includes(filter.previous_token_hashes);
+    }) || null;
+
+    return Object.assign(Promise.resolve(match), { select: () => Promise.resolve(match) });
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+  it('issues a new token pair and rotates the presented token out', async () => {
+    const session = buildSession('first-token');
+    stubFindOne([session]);
+
+    const result = await rotateRefreshToken('first-token');
+
+    expect(result.error).toBeUndefined();
+    expect(result.tokens.refresh_token).not.toBe('first-token');
+    expect(session.refresh_token_hash).toBe(hashToken(result.tokens.refresh_token));
+    expect(session.previous_token_hashes).toContain(hashToken('first-token'));
+    expect(session.save).toHaveBeenCalled();
+
+    const decoded = verifyAccessToken(result.tokens.access_token);
+    expect(decoded.sid).toBe(session._id.toString());
+    expect(decoded.userId).toBe(session.user_id.toString());
+  });
+
+  it('revokes the session when a rotated-out token is presented again', async () => {
+    const session = buildSession('first-token');
+    stubFindOne([session]);
+
+    const { tokens } = await rotateRefreshToken('first-token');
+    const reuse = await rotateRefreshToken('first-token');
+
+    expect(reuse.error).toBe('reuse_detected');
+    expect(session.revoked_at).toBeInstanceOf(Date);
+    expect(session.revoked_reason).toBe('reuse_detected');
+
+    // The token issued before the reuse stops working with the session
+    const next = await rotateRefreshToken(tokens.refresh_token);
+    expect(next.error).toBe('revoked');
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    const expired = buildSession('old-token', { expires_at: new Date(Date.now() - 1000) });
+    stubFindOne([expired]);
+
+    expect((await rotateRefreshToken('unknown-token')).error).toBe('invalid');
+    expect((await rotateRefreshToken('old-token')).error).toBe('expired');
+    expect(expired.save).not.toHaveBeenCalled();
+  });
+});
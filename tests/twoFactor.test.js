@@ -0,0 +1,138 @@
+jest.mock('../src/utils/accountEmails');
+jest.mock('../src/utils/authEvents');
+jest.mock('../src/utils/tokens', () => ({
+  ...jest.requireActual('../src/utils/tokens'),
+  createSession: jest.fn().mockResolvedValue({ access_token: 'access', refresh_token: 'refresh' })
+}));
+
+const User = require('../src/models/User');
+const LoginThrottle = require('../src/models/LoginThrottle');
+const { generateChallengeToken } = require('../src/utils/tokens');
+const { base32Encode, generateSecret, generateTOTP, verifyTOTP } = require('../src/utils/totp');
+const { verifyTwoFactorLogin } = require('../src/controllers/twoFactorController');
+
+/**
+ * Two-factor authentication tests
+ *
+ * User and throttle lookups and session creation are stubbed, so no
+ * database is needed.
+ */
+
+// RFC 6238 appendix B secret for SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const request = (body) => ({ ip: '127.0.0.1', get: () => 'jest', body });
+
+// A 2FA-enabled user with one known recovery code
+const stubUser = (overrides = {}) => {
+  const user = new User({
+    username: 'jane',
+    email: 'jane@example.com',
+    role: 'buyer',
+    is_active: true,
+    two_factor_enabled: true,
+    two_factor_secret: generateSecret(),
+    ...overrides
+  });
+  const [recoveryCode] = user.generateRecoveryCodes();
+
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+  jest.spyOn(LoginThrottle, 'findOne').mockResolvedValue(null);
+  jest.spyOn(LoginThrottle, 'clearFailures').mockResolvedValue({});
+
+  return { user, recoveryCode };
+};
+
+const loginWith = async (user, fields) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await verifyTwoFactorLogin(request({ challenge_token: generateChallengeToken(user._id), ...fields }), res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TOTP codes', () => {
+  it('matches the RFC 6238 reference values', () => {
+    expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTOTP(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTOTP(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('accepts the current code and one step of clock drift, but nothing older', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+
+    expect(verifyTOTP(secret, generateTOTP(secret, now))).not.toBeNull();
+    expect(verifyTOTP(secret, generateTOTP(secret, now - 30 * 1000))).not.toBeNull();
+    expect(verifyTOTP(secret, generateTOTP(secret, now - 120 * 1000))).toBeNull();
+    expect(verifyTOTP(secret, 'abcdef')).toBeNull();
+  });
+});
+
+describe('verifyTwoFactorLogin', () => {
+  it('issues tokens for a valid TOTP code', async () => {
+    const { user } = stubUser();
+
+    const res = await loginWith(user, { code: generateTOTP(user.two_factor_secret) });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Login successful', access_token: 'access' }));
+    expect(LoginThrottle.clearFailures).toHaveBeenCalledWith('jane');
+  });
+
+  it('refuses to accept the same TOTP code twice', async () => {
+    const { user } = stubUser();
+    const code = generateTOTP(user.two_factor_secret);
+
+    await loginWith(user, { code });
+    jest.spyOn(LoginThrottle, 'registerFailure').mockResolvedValue({ throttle: new LoginThrottle({ username: 'jane' }) });
+    const replay = await loginWith(user, { code });
+
+    expect(replay.status).toHaveBeenCalledWith(401);
+    expect(LoginThrottle.registerFailure).toHaveBeenCalledWith('jane', expect.anything(), true);
+  });
+
+  it('consumes a recovery code so it only works once', async () => {
+    const { user, recoveryCode } = stubUser();
+
+    const res = await loginWith(user, { recovery_code: recoveryCode });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Login successful',
+      recovery_codes_remaining: user.two_factor_recovery_codes.length
+    }));
+    expect(user.useRecoveryCode(recoveryCode)).toBe(false);
+  });
+
+  it('rejects challenge tokens of accounts without 2FA', async () => {
+    const { user } = stubUser({ two_factor_enabled: false });
+
+    const res = await loginWith(user, { code: generateTOTP(user.two_factor_secret) });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid challenge' }));
+  });
+
+  it('rejects codes while the username is throttled', async () => {
+    const { user } = stubUser();
+    const locked = new LoginThrottle({ username: 'jane', locked_until: new Date(Date.now() + 60 * 1000) });
+    LoginThrottle.findOne.mockResolvedValue(locked);
+
+    const res = await loginWith(user, { code: generateTOTP(user.two_factor_secret) });
+
+    expect(res.status).toHaveBeenCalledWith(423);
+  });
+});